@@ -0,0 +1,203 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { dataDir, countJobsCreated } from './jobStore.js';
+import { writeJsonAtomic } from './jsonFile.js';
+
+// API-key authentication, per-key rate limits and daily job quotas.
+//   ADMIN_API_KEY            - static admin key (enough for local use); admins see every job and manage keys
+//   AUTH_DISABLED=true       - skip authentication entirely (single-user development only)
+//   RATE_LIMIT_PER_MINUTE    - default requests per minute per key (0 = unlimited)
+//   DAILY_JOB_QUOTA          - default jobs per key in any 24 hours (0 = unlimited)
+// Issued keys are stored hashed in DATA_DIR/apiKeys.json; the plain key is only shown once, when it is created.
+// Clients send `Authorization: Bearer <key>` or `X-API-Key: <key>`. EventSource and WebSocket clients cannot set
+// headers, so GET requests (SSE, downloads) and the /live upgrade also accept `?apiKey=<key>`.
+
+export const AUTH_DISABLED = process.env.AUTH_DISABLED === 'true';
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || '';
+const DEFAULT_RATE_LIMIT_PER_MINUTE = parseInt(process.env.RATE_LIMIT_PER_MINUTE ?? '60', 10) || 0;
+const DEFAULT_DAILY_JOB_QUOTA = parseInt(process.env.DAILY_JOB_QUOTA ?? '0', 10) || 0;
+
+export const ROLES = ['user', 'admin'];
+const ADMIN_PRINCIPAL = { id: 'admin', name: 'Admin', role: 'admin', rateLimitPerMinute: 0, dailyJobQuota: 0, monthlyBudget: null };
+
+const keysFile = path.join(dataDir, 'apiKeys.json');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RATE_WINDOW_MS = 60 * 1000;
+
+let apiKeys = [];
+try {
+    if (fs.existsSync(keysFile)) { apiKeys = JSON.parse(fs.readFileSync(keysFile, 'utf8')); }
+} catch (err) {
+    console.error(`Could not read API keys from ${keysFile}:`, err.message);
+}
+
+if (AUTH_DISABLED) {
+    console.warn('AUTH_DISABLED=true: every request is treated as the admin. Do not expose this server.');
+} else if (!ADMIN_API_KEY && !apiKeys.some(k => !k.revokedAt)) {
+    console.warn('No ADMIN_API_KEY set and no API keys issued: every request will be rejected with 401.');
+}
+
+const persistKeys = () => writeJsonAtomic(keysFile, apiKeys);
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const adminKeyHash = ADMIN_API_KEY ? hashKey(ADMIN_API_KEY) : null;
+
+const hashesMatch = (a, b) => crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+
+// Public view of a stored key (never the hash)
+const toKeySummary = ({ hash, ...record }) => record;
+
+const toPrincipal = (record) => ({
+    id: record.id,
+    name: record.name,
+    role: record.role,
+    rateLimitPerMinute: record.rateLimitPerMinute ?? DEFAULT_RATE_LIMIT_PER_MINUTE,
+    dailyJobQuota: record.dailyJobQuota ?? DEFAULT_DAILY_JOB_QUOTA,
+    monthlyBudget: record.monthlyBudget ?? null,
+});
+
+const keyFromRequest = (req) => {
+    const header = req.headers.authorization ?? '';
+    if (header.toLowerCase().startsWith('bearer ')) { return header.slice(7).trim(); }
+    if (req.headers['x-api-key']) { return String(req.headers['x-api-key']).trim(); }
+    if (req.method === 'GET') { return new URL(req.url, 'http://localhost').searchParams.get('apiKey'); }
+    return null;
+};
+
+// Resolve the caller of an HTTP request or WebSocket upgrade; null when the key is missing or unknown
+export const authenticate = (req) => {
+    if (AUTH_DISABLED) { return ADMIN_PRINCIPAL; }
+    const key = keyFromRequest(req);
+    if (!key) { return null; }
+    const hash = hashKey(key);
+    if (adminKeyHash && hashesMatch(hash, adminKeyHash)) { return ADMIN_PRINCIPAL; }
+    const record = apiKeys.find(k => !k.revokedAt && hashesMatch(hash, k.hash));
+    return record ? toPrincipal(record) : null;
+};
+
+// The principal behind a stored owner id, for work done without a request (queued downloads, feed checks);
+// null once the key has been revoked
+export const findPrincipal = (id) => {
+    if (id === ADMIN_PRINCIPAL.id) { return ADMIN_PRINCIPAL; }
+    const record = apiKeys.find(k => k.id === id && !k.revokedAt);
+    return record ? toPrincipal(record) : null;
+};
+
+export const isAdmin = (principal) => principal?.role === 'admin';
+
+// Jobs belong to the key that created them; admins can reach every job
+export const canAccessJob = (principal, job) => Boolean(job) && (isAdmin(principal) || job.ownerId === principal?.id);
+
+// Fixed one-minute window per key
+const rateWindows = new Map();
+
+const consumeRequest = (principal) => {
+    const limit = principal.rateLimitPerMinute;
+    if (!limit) { return { allowed: true }; }
+    const now = Date.now();
+    let window = rateWindows.get(principal.id);
+    if (!window || now - window.startedAt >= RATE_WINDOW_MS) {
+        window = { startedAt: now, count: 0 };
+        rateWindows.set(principal.id, window);
+    }
+    window.count++;
+    return {
+        allowed: window.count <= limit,
+        limit,
+        remaining: Math.max(0, limit - window.count),
+        retryAfterSec: Math.ceil((window.startedAt + RATE_WINDOW_MS - now) / 1000),
+    };
+};
+
+// Returns an error message when the key has used up its daily job quota, otherwise null. Counted from the job
+// store's creation log, so deleting jobs does not give quota back.
+export const jobQuotaError = (principal) => {
+    const quota = principal.dailyJobQuota;
+    if (!quota) { return null; }
+    const used = countJobsCreated(principal.id, new Date(Date.now() - DAY_MS).toISOString());
+    return used >= quota ? `Daily job quota reached (${quota} jobs per 24 hours).` : null;
+};
+
+// Express middleware: authenticate every request and apply the key's rate limit
+export const requireAuth = (req, res, next) => {
+    const principal = authenticate(req);
+    if (!principal) { return res.status(401).json({ error: 'A valid API key is required (Authorization: Bearer <key>).' }); }
+    req.principal = principal;
+    const { allowed, limit, remaining, retryAfterSec } = consumeRequest(principal);
+    if (limit) {
+        res.set('X-RateLimit-Limit', String(limit));
+        res.set('X-RateLimit-Remaining', String(remaining));
+    }
+    if (!allowed) {
+        res.set('Retry-After', String(retryAfterSec));
+        return res.status(429).json({ error: `Rate limit exceeded (${limit} requests per minute). Try again in ${retryAfterSec}s.` });
+    }
+    next();
+};
+
+export const requireAdmin = (req, res, next) => {
+    if (!isAdmin(req.principal)) { return res.status(403).json({ error: 'Admin API key required.' }); }
+    next();
+};
+
+// Put in front of routes that create jobs (before multer, so a rejected upload is never stored)
+export const requireJobQuota = (req, res, next) => {
+    const error = jobQuotaError(req.principal);
+    if (error) { return res.status(429).json({ error }); }
+    next();
+};
+
+const parseBudget = (value) => {
+    if (value === undefined || value === null || value === '') { return null; }
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) { throw new Error('monthlyBudget must be a non-negative amount in USD.'); }
+    return number || null;
+};
+
+const parseLimit = (value, label) => {
+    if (value === undefined || value === null || value === '') { return null; }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) { throw new Error(`${label} must be a whole number (0 = unlimited).`); }
+    return number;
+};
+
+// Issue a new key; returns the plain key, which is not stored anywhere
+export const createApiKey = ({ name, role = 'user', rateLimitPerMinute, dailyJobQuota, monthlyBudget } = {}) => {
+    if (typeof name !== 'string' || !name.trim()) { throw new Error('Key name is required.'); }
+    if (!ROLES.includes(role)) { throw new Error(`Unknown role '${role}'. Use one of: ${ROLES.join(', ')}.`); }
+    const key = `tk_${crypto.randomBytes(24).toString('base64url')}`;
+    const record = {
+        id: crypto.randomUUID(),
+        name: name.trim(),
+        role,
+        prefix: key.slice(0, 7),
+        hash: hashKey(key),
+        rateLimitPerMinute: parseLimit(rateLimitPerMinute, 'rateLimitPerMinute'),
+        dailyJobQuota: parseLimit(dailyJobQuota, 'dailyJobQuota'),
+        monthlyBudget: parseBudget(monthlyBudget),
+        createdAt: new Date().toISOString(),
+        revokedAt: null,
+    };
+    apiKeys.push(record);
+    persistKeys();
+    return { key, apiKey: toKeySummary(record) };
+};
+
+export const listApiKeys = () => apiKeys.map(toKeySummary);
+
+export const revokeApiKey = (id) => {
+    const record = apiKeys.find(k => k.id === id && !k.revokedAt);
+    if (!record) { return null; }
+    record.revokedAt = new Date().toISOString();
+    persistKeys();
+    rateWindows.delete(id);
+    return toKeySummary(record);
+};
+
+// CORS_ORIGINS: comma-separated list of allowed browser origins, or * for any
+export const corsOptions = () => {
+    const origins = (process.env.CORS_ORIGINS ?? 'http://localhost:3000').split(',').map(o => o.trim()).filter(Boolean);
+    return { origin: origins.includes('*') ? true : origins, exposedHeaders: ['X-RateLimit-Limit', 'X-RateLimit-Remaining', 'Retry-After'] };
+};
@@ -0,0 +1,159 @@
+import { formatTimestamp } from './exporters.js';
+import { speakerDisplayName } from './speakers.js';
+import { estimateTranscriptTokens } from './usage.js';
+import { jobUnits, tokenizeText } from './search.js';
+
+// Question answering over a transcript. Short transcripts are sent whole; long ones are split into units (segments,
+// or paragraphs when there are none) and the units most relevant to the question are retrieved with BM25, merged
+// with their neighbours into numbered passages. The model answers from the passages only, quotes them and cites
+// them as [P1], [P2]... so every answer can be traced back to a timestamp and speaker.
+//   CHAT_FULL_TRANSCRIPT_TOKENS - transcripts up to this size are sent whole (default 8000)
+//   CHAT_MAX_PASSAGES           - units retrieved from longer transcripts (default 12)
+//   CHAT_MAX_HISTORY            - earlier messages of the conversation sent along (default 10)
+const CHAT_FULL_TRANSCRIPT_TOKENS = parseInt(process.env.CHAT_FULL_TRANSCRIPT_TOKENS, 10) || 8000;
+const CHAT_MAX_PASSAGES = parseInt(process.env.CHAT_MAX_PASSAGES, 10) || 12;
+const CHAT_MAX_HISTORY = parseInt(process.env.CHAT_MAX_HISTORY, 10) || 10;
+
+const MAX_QUESTION_LENGTH = 2000;
+const MAX_MESSAGE_LENGTH = 20000;
+// Units on each side of a retrieved unit that are added for context
+const NEIGHBOUR_UNITS = 1;
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Words too common to say anything about relevance
+const STOPWORDS = new Set(('a an and are as at be but by did do does for from had has have he her his how i if in is it its me '
+    + 'my of on or our she so that the their them they this to up us was we were what when where which who why will with '
+    + 'would you your about all any can could every list mentioned said say tell there been into than then').split(' '));
+
+// The question and history of a /chat body; history is [{ role: 'user'|'assistant', content }], oldest first.
+// Throws on invalid input.
+export const parseChatRequest = (body = {}) => {
+    const question = typeof body.question === 'string' ? body.question.trim() : '';
+    if (!question) { throw new Error('question is required.'); }
+    if (question.length > MAX_QUESTION_LENGTH) { throw new Error(`question must be at most ${MAX_QUESTION_LENGTH} characters.`); }
+    let history = body.history ?? [];
+    if (typeof history === 'string') {
+        try {
+            history = JSON.parse(history);
+        } catch {
+            throw new Error('history must be a list of { role, content } messages.');
+        }
+    }
+    if (!Array.isArray(history)) { throw new Error('history must be a list of { role, content } messages.'); }
+    history = history.map(message => {
+        if (!['user', 'assistant'].includes(message?.role) || typeof message.content !== 'string' || !message.content.trim()) {
+            throw new Error("Each history message needs a role ('user' or 'assistant') and a content text.");
+        }
+        return { role: message.role, content: message.content.slice(0, MAX_MESSAGE_LENGTH) };
+    });
+    return { question, history: history.slice(-CHAT_MAX_HISTORY) };
+};
+
+const queryTerms = (text) => tokenizeText(text).filter(term => !STOPWORDS.has(term));
+
+// BM25 score of every unit for the query terms
+const bm25Scores = (unitTerms, terms) => {
+    const averageLength = unitTerms.reduce((sum, t) => sum + t.length, 0) / Math.max(1, unitTerms.length);
+    const uniqueTerms = [...new Set(terms)];
+    const idf = new Map(uniqueTerms.map(term => {
+        const containing = unitTerms.filter(t => t.includes(term)).length;
+        return [term, Math.log(1 + (unitTerms.length - containing + 0.5) / (containing + 0.5))];
+    }));
+    return unitTerms.map(t => uniqueTerms.reduce((score, term) => {
+        const frequency = t.filter(x => x === term).length;
+        if (frequency === 0) { return score; }
+        return score + idf.get(term) * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * t.length / averageLength));
+    }, 0));
+};
+
+// Indexes of the units to use: the best matches with their neighbours, or an even spread over the transcript when
+// nothing matches (e.g. "what was this about?")
+const selectUnits = (units, terms) => {
+    const scores = bm25Scores(units.map(unit => tokenizeText(unit.text)), terms);
+    const ranked = scores.map((score, index) => ({ score, index })).filter(r => r.score > 0).sort((a, b) => b.score - a.score).slice(0, CHAT_MAX_PASSAGES);
+    if (ranked.length === 0) {
+        const step = units.length / Math.min(units.length, CHAT_MAX_PASSAGES);
+        return [...new Set(Array.from({ length: Math.min(units.length, CHAT_MAX_PASSAGES) }, (_, i) => Math.floor(i * step)))];
+    }
+    const selected = new Set();
+    ranked.forEach(({ index }) => {
+        for (let i = Math.max(0, index - NEIGHBOUR_UNITS); i <= Math.min(units.length - 1, index + NEIGHBOUR_UNITS); i++) { selected.add(i); }
+    });
+    return [...selected].sort((a, b) => a - b);
+};
+
+// Adjacent selected units by the same speaker become one passage
+const buildPassages = (units, indexes, speakerNames) => {
+    const passages = [];
+    indexes.forEach(index => {
+        const unit = units[index];
+        const last = passages[passages.length - 1];
+        if (last && last.lastIndex === index - 1 && last.speakerId === unit.speaker) {
+            last.text += ` ${unit.text.trim()}`;
+            last.end = unit.end ?? last.end;
+            last.lastIndex = index;
+            return;
+        }
+        passages.push({
+            segmentIndex: unit.segmentIndex,
+            start: unit.start,
+            end: unit.end,
+            speakerId: unit.speaker,
+            speaker: speakerDisplayName(unit.speaker, speakerNames),
+            text: unit.text.trim(),
+            lastIndex: index,
+        });
+    });
+    return passages.map(({ lastIndex, ...passage }, i) => ({
+        id: `P${i + 1}`,
+        ...passage,
+        timestamp: passage.start === null ? null : formatTimestamp(passage.start).slice(0, 8),
+    }));
+};
+
+const passageLine = (p) => `[${p.id}]${p.timestamp ? ` [${p.timestamp}]` : ''}${p.speaker ? ` ${p.speaker}:` : ''} ${p.text}`;
+
+// The passages to answer from, for a job-like { transcript, segments, options.speakerNames }.
+// Returns { passages, retrieval: 'full'|'bm25' }.
+export const retrievePassages = (job, question, history = []) => {
+    const units = jobUnits(job);
+    const speakerNames = job.options?.speakerNames ?? {};
+    if (estimateTranscriptTokens(units.map(unit => unit.text).join('\n')) <= CHAT_FULL_TRANSCRIPT_TOKENS) {
+        return { passages: buildPassages(units, units.map((_, i) => i), speakerNames), retrieval: 'full' };
+    }
+    // A follow-up such as "and who owns that?" needs the words of the previous question too
+    const previousQuestion = [...history].reverse().find(message => message.role === 'user')?.content ?? '';
+    const terms = [...queryTerms(question), ...queryTerms(previousQuestion)];
+    return { passages: buildPassages(units, selectUnits(units, terms), speakerNames), retrieval: 'bm25' };
+};
+
+// Gemini contents for the conversation: the history as user/model turns, then the question with the passages
+export const buildChatContents = (question, history, { passages, retrieval }) => {
+    const prompt = [
+        'You answer questions about a transcript, using only the transcript passages below.',
+        retrieval === 'full'
+            ? 'The passages are the complete transcript, in order.'
+            : 'The passages are the parts of a longer transcript that best match the question, in order; other parts are not shown.',
+        'Ground every statement in the passages: quote the relevant words in double quotes and cite the passage as [P1], [P2]... '
+        + 'together with its [HH:MM:SS] timestamp and speaker when the passage has them.',
+        'If the passages do not contain the answer, say so plainly instead of guessing. Answer in the language of the question and use Markdown.',
+        '',
+        'Transcript passages:',
+        ...passages.map(passageLine),
+        '',
+        `Question: ${question}`,
+    ].join('\n');
+    return [
+        ...history.map(message => ({ role: message.role === 'assistant' ? 'model' : 'user', parts: [{ text: message.content }] })),
+        { role: 'user', parts: [{ text: prompt }] },
+    ];
+};
+
+// The passages an answer cites, in order of first citation
+export const extractCitations = (answer, passages) => {
+    const byId = new Map(passages.map(p => [p.id, p]));
+    const cited = [...new Set([...(answer ?? '').matchAll(/\bP(\d+)\b/g)].map(m => `P${m[1]}`))];
+    return cited.filter(id => byId.has(id)).map(id => byId.get(id));
+};
@@ -0,0 +1,119 @@
+import { normalizeWord, segmentsFromWords, formatSegments } from './speakers.js';
+
+// Silence-aware chunk boundaries. Instead of cutting every segmentDurationSec, each cut moves to the pause
+// (FFmpeg silencedetect) nearest to where the target chunk length puts it, so words and sentences are not split.
+// Neighbouring chunks still share a little audio around every cut; stitchChunks trims each chunk to its own
+// range and drops the words a chunk repeats from the one before.
+//   CHUNK_SILENCE_THRESHOLD_DB   - level treated as silence when looking for cut points (default -35)
+//   CHUNK_SILENCE_MIN_SEC        - shortest pause used as a cut point (default 0.4)
+
+const CHUNK_SILENCE_THRESHOLD_DB = parseFloat(process.env.CHUNK_SILENCE_THRESHOLD_DB) || -35;
+const CHUNK_SILENCE_MIN_SEC = parseFloat(process.env.CHUNK_SILENCE_MIN_SEC) || 0.4;
+// How far a cut may move from its target to reach a pause, as a share of the chunk length
+const SEARCH_WINDOW_SHARE = 0.2;
+// No chunk (in particular the last one) is cut shorter than this
+const MIN_CHUNK_SEC = 5;
+// Longest run of words treated as repeated across a cut. Word timings must also agree; plain text
+// (providers without word timings) needs at least two repeated words.
+const MAX_REPEATED_WORDS = 8;
+const REPEAT_TOLERANCE_SEC = 1;
+const MIN_REPEATED_TEXT_WORDS = 2;
+
+const round3 = (seconds) => Math.round(seconds * 1000) / 1000;
+
+export const silenceDetectFilter = () => `silencedetect=noise=${CHUNK_SILENCE_THRESHOLD_DB}dB:d=${CHUNK_SILENCE_MIN_SEC}`;
+
+// Split `duration` into chunks of about `targetSec`, cutting in the middle of the nearest pause within the search
+// window, or at the target when there is none. Returns [{ keepFrom, keepUntil, cutAtSilence }], where cutAtSilence
+// tells whether the cut at keepUntil fell in a pause.
+export const planChunkWindows = (silences, duration, targetSec) => {
+    const searchSec = targetSec * SEARCH_WINDOW_SHARE;
+    const pauses = silences.map(s => (s.start + s.end) / 2);
+    const windows = [];
+    let from = 0;
+    while (duration - from > targetSec + MIN_CHUNK_SEC) {
+        const target = from + targetSec;
+        const pause = pauses
+            .filter(at => Math.abs(at - target) <= searchSec && at >= from + MIN_CHUNK_SEC && at <= duration - MIN_CHUNK_SEC)
+            .sort((a, b) => Math.abs(a - target) - Math.abs(b - target))[0];
+        const until = round3(pause ?? target);
+        windows.push({ keepFrom: from, keepUntil: until, cutAtSilence: pause !== undefined });
+        from = until;
+    }
+    windows.push({ keepFrom: from, keepUntil: duration, cutAtSilence: false });
+    return windows;
+};
+
+// Number of leading words that repeat the last words of the previous chunk at about the same time
+const repeatedWordCount = (previousWords, words) => {
+    for (let count = Math.min(MAX_REPEATED_WORDS, previousWords.length, words.length); count > 0; count--) {
+        const tail = previousWords.slice(-count);
+        if (tail.every((w, i) => normalizeWord(w.word) === normalizeWord(words[i].word) && Math.abs(w.start - words[i].start) <= REPEAT_TOLERANCE_SEC)) {
+            return count;
+        }
+    }
+    return 0;
+};
+
+// Remove the leading words of `text` that repeat the end of `previousText`, keeping a leading timestamp or
+// speaker label and the original spacing
+const dropRepeatedText = (previousText = '', text = '') => {
+    const lead = /^\s*(?:\[[\d:.]+\]\s*)?(?:Speaker \d+:\s*)?/.exec(text)[0];
+    const tokens = [...text.slice(lead.length).matchAll(/\S+\s*/g)].map(m => m[0]);
+    const previous = previousText.trim().split(/\s+/).slice(-MAX_REPEATED_WORDS).map(normalizeWord);
+    for (let count = Math.min(MAX_REPEATED_WORDS, previous.length, tokens.length); count >= MIN_REPEATED_TEXT_WORDS; count--) {
+        if (tokens.slice(0, count).every((t, i) => normalizeWord(t) === previous[previous.length - count + i])) {
+            return lead + tokens.slice(count).join('');
+        }
+    }
+    return text;
+};
+
+const isMissing = (record) => Boolean(record?.segments?.some(s => s.missing));
+
+// Takes chunk records in order ({ start, end, keepFrom, keepUntil, channel, words, segments, transcript,
+// formattedTranscript, ... }) and returns them trimmed to their own range, without the words repeated from the
+// previous chunk of the same channel. Chunks cut without overlap are returned unchanged. Deterministic, so
+// streaming and the final assembly agree.
+export const stitchChunks = (records) => {
+    const stitched = [];
+    records.forEach(record => {
+        const previous = stitched[stitched.length - 1];
+        const hasOverlap = record.keepFrom !== undefined && (record.keepFrom > record.start || record.keepUntil < record.end);
+        const follows = record.keepFrom > record.start && previous && !isMissing(previous) && (previous.channel ?? null) === (record.channel ?? null);
+        if (!hasOverlap || isMissing(record)) {
+            stitched.push(record);
+            return;
+        }
+        const words = record.words ?? [];
+        if (words.length === 0) {
+            // No word timings (e.g. Gemini chunks): compare the text on both sides of the cut
+            if (!follows) { stitched.push(record); return; }
+            const [firstSegment, ...otherSegments] = record.segments ?? [];
+            const previousSegment = previous.segments?.[previous.segments.length - 1];
+            stitched.push({
+                ...record,
+                transcript: dropRepeatedText(previous.transcript, record.transcript),
+                formattedTranscript: dropRepeatedText(previous.formattedTranscript, record.formattedTranscript),
+                segments: firstSegment ? [{ ...firstSegment, text: dropRepeatedText(previousSegment?.text, firstSegment.text) }, ...otherSegments] : [],
+            });
+            return;
+        }
+        let kept = words.filter(w => w.start >= record.keepFrom && w.start < record.keepUntil);
+        if (follows && previous.words?.length > 0) { kept = kept.slice(repeatedWordCount(previous.words, kept)); }
+        if (kept.length === words.length) {
+            stitched.push(record);
+            return;
+        }
+        const segments = segmentsFromWords(kept);
+        const text = kept.map(w => w.punctuated_word ?? w.word).join(' ') + ' ';
+        stitched.push({
+            ...record,
+            words: kept,
+            segments,
+            transcript: text,
+            formattedTranscript: kept.some(w => Number.isInteger(w.speaker)) ? formatSegments(segments) : text,
+        });
+    });
+    return stitched;
+};
@@ -0,0 +1,457 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { once } from 'events';
+import { pipeline } from 'stream/promises';
+import { fileURLToPath } from 'url';
+import { format, parseArgs } from 'util';
+import dotenv from 'dotenv';
+import { OUTPUT_FORMATS } from './exporters.js';
+import { writeJsonAtomic } from './jsonFile.js';
+import { runPool } from './workerPool.js';
+
+// Command-line client: transcribe files or whole folders through the same HTTP API the web UI uses.
+//   transcribe <files|dirs> [--model nova-3] [--diarize] [--summarize] [--format srt] [--out ./out]
+// With --server it talks to a running server; otherwise server.js is started in-process on a loopback port with
+// a one-off admin key, the settings of backend/.env and its own temporary DATA_DIR and uploads folder (removed on
+// exit), so it never touches the jobs, files or feeds of a server that uses the same folders. Outputs are written next to each input, or under --out with the folder
+// structure of the input directories. A manifest in every output folder records the SHA-256 of each finished
+// input, so files already transcribed with the same settings are skipped (and copies of them get the existing
+// outputs) unless --force is given.
+//   TRANSCRIBE_SERVER_URL - default for --server
+//   TRANSCRIBE_API_KEY    - default for --api-key
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, '.env') });
+
+const MANIFEST_NAME = '.transcribe-manifest.json';
+const AUDIO_EXTENSIONS = new Set(['.mp3', '.wav', '.m4a', '.aac', '.flac', '.ogg', '.oga', '.opus', '.webm', '.mp4', '.m4v', '.mov', '.mkv', '.wma', '.aiff', '.aif', '.amr']);
+// Exports that already contain the summary; the others get it as <name>.summary.md
+const FORMATS_WITH_SUMMARY = ['txt', 'json', 'docx'];
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+const BAR_WIDTH = 24;
+
+const USAGE = `Usage: transcribe <files|directories...> [options]
+
+Options:
+  -m, --model <id>          Transcription model (server default when omitted), e.g. nova-3, gemini-2.0-flash
+      --diarize             Label speakers
+      --summarize           Summarize each transcript with Gemini
+  -f, --format <format>     Output format: ${OUTPUT_FORMATS.join(', ')} (default txt)
+  -l, --language <code>     Spoken language, e.g. en, de or auto
+  -o, --out <dir>           Write outputs here instead of next to each input
+  -c, --concurrency <n>     Files transcribed at the same time (default 2)
+  -r, --recursive           Include subfolders of directories
+      --force               Transcribe again even if the manifest has the file
+      --server <url>        Use a running server (default: $TRANSCRIBE_SERVER_URL, else run in-process)
+      --api-key <key>       API key for --server (default: $TRANSCRIBE_API_KEY)
+  -v, --verbose             Show the in-process server's log
+  -h, --help                Show this help
+`;
+
+const fail = (message) => {
+    process.stderr.write(`transcribe: ${message}\n`);
+    process.exit(2);
+};
+
+const parseCliArgs = () => {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            allowPositionals: true,
+            options: {
+                model: { type: 'string', short: 'm' },
+                diarize: { type: 'boolean', default: false },
+                summarize: { type: 'boolean', default: false },
+                format: { type: 'string', short: 'f', default: 'txt' },
+                language: { type: 'string', short: 'l' },
+                out: { type: 'string', short: 'o' },
+                concurrency: { type: 'string', short: 'c', default: '2' },
+                recursive: { type: 'boolean', short: 'r', default: false },
+                force: { type: 'boolean', default: false },
+                server: { type: 'string' },
+                'api-key': { type: 'string' },
+                verbose: { type: 'boolean', short: 'v', default: false },
+                help: { type: 'boolean', short: 'h', default: false },
+            },
+        });
+    } catch (err) {
+        fail(`${err.message}\n\n${USAGE}`);
+    }
+    const { values, positionals } = parsed;
+    if (values.help) {
+        process.stdout.write(USAGE);
+        process.exit(0);
+    }
+    if (positionals.length === 0) { fail(`no input files given.\n\n${USAGE}`); }
+    const format = values.format.toLowerCase();
+    if (!OUTPUT_FORMATS.includes(format)) { fail(`unsupported format '${values.format}'. Use one of: ${OUTPUT_FORMATS.join(', ')}.`); }
+    const concurrency = parseInt(values.concurrency, 10);
+    if (!(concurrency > 0)) { fail('--concurrency must be a positive number.'); }
+    return {
+        inputs: positionals,
+        settings: { model: values.model ?? null, diarize: values.diarize, summarize: values.summarize, format, language: values.language ?? null },
+        out: values.out ? path.resolve(values.out) : null,
+        concurrency,
+        recursive: values.recursive,
+        force: values.force,
+        serverUrl: values.server ?? process.env.TRANSCRIBE_SERVER_URL ?? null,
+        apiKey: values['api-key'] ?? process.env.TRANSCRIBE_API_KEY ?? null,
+        verbose: values.verbose,
+    };
+};
+
+// Audio files of a directory, sorted by path
+const listAudioFiles = (dir, recursive) => fs.readdirSync(dir, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap(entry => {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) { return recursive && !entry.name.startsWith('.') ? listAudioFiles(fullPath, recursive) : []; }
+        return entry.isFile() && AUDIO_EXTENSIONS.has(path.extname(entry.name).toLowerCase()) ? [fullPath] : [];
+    });
+
+// Every input file with the folder its outputs go to; files named explicitly are taken whatever their extension
+const collectInputs = (inputs, out, recursive) => {
+    const files = new Map();
+    inputs.forEach(input => {
+        const inputPath = path.resolve(input);
+        if (!fs.existsSync(inputPath)) { fail(`'${input}' does not exist.`); }
+        if (fs.statSync(inputPath).isDirectory()) {
+            listAudioFiles(inputPath, recursive).forEach(file => {
+                files.set(file, out ? path.join(out, path.relative(inputPath, path.dirname(file))) : path.dirname(file));
+            });
+        } else {
+            files.set(inputPath, out ?? path.dirname(inputPath));
+        }
+    });
+    return [...files].map(([file, outputDir]) => ({ file, outputDir, name: path.parse(file).name }));
+};
+
+const hashFile = async (file) => {
+    const hash = crypto.createHash('sha256');
+    await pipeline(fs.createReadStream(file), hash);
+    return hash.digest('hex');
+};
+
+// Manifests by output folder: { [sha256]: { file, settings, outputs, jobId, completedAt } }
+const manifests = new Map();
+const loadManifest = (dir) => {
+    if (!manifests.has(dir)) {
+        let manifest = {};
+        try {
+            const manifestPath = path.join(dir, MANIFEST_NAME);
+            if (fs.existsSync(manifestPath)) { manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8')); }
+        } catch (err) {
+            process.stderr.write(`Ignoring unreadable manifest in ${dir}: ${err.message}\n`);
+        }
+        manifests.set(dir, manifest);
+    }
+    return manifests.get(dir);
+};
+
+const saveManifest = (dir) => writeJsonAtomic(path.join(dir, MANIFEST_NAME), manifests.get(dir));
+
+// The earlier outputs of this content with these settings, if they all still exist
+const previousOutputs = (item, settingsKey) => {
+    const entry = loadManifest(item.outputDir)[item.hash];
+    if (!entry || entry.settings !== settingsKey) { return null; }
+    const outputs = entry.outputs.map(name => path.join(item.outputDir, name));
+    return outputs.every(output => fs.existsSync(output)) ? outputs : null;
+};
+
+// Give `item` the outputs of another file with the same content, renamed after it
+const copyOutputs = (outputs, from, item) => {
+    fs.mkdirSync(item.outputDir, { recursive: true });
+    return outputs.map(output => {
+        const target = path.join(item.outputDir, item.name + path.basename(output).slice(from.name.length));
+        if (path.resolve(output) !== path.resolve(target)) { fs.copyFileSync(output, target); }
+        return target;
+    });
+};
+
+// Per-file progress. On a terminal the files in progress are bars redrawn in place under the finished ones;
+// otherwise every change is printed as a line.
+const createProgressDisplay = (total, stream = process.stderr) => {
+    const active = [];
+    const counts = { done: 0, skipped: 0, failed: 0 };
+    let drawnLines = 0;
+    const width = Math.max(20, Math.min(stream.columns || 100, 140) - 1);
+    const fit = (line) => (line.length > width ? `${line.slice(0, width - 1)}…` : line);
+    const bar = (row) => {
+        const filled = Math.round((row.percent / 100) * BAR_WIDTH);
+        return `[${'#'.repeat(filled)}${'-'.repeat(BAR_WIDTH - filled)}] ${String(Math.round(row.percent)).padStart(3)}%`;
+    };
+    const totals = () => `${counts.done + counts.skipped + counts.failed}/${total} files: ${counts.done} transcribed, ${counts.skipped} skipped, ${counts.failed} failed`;
+
+    const draw = (permanentLines = []) => {
+        if (!stream.isTTY) {
+            permanentLines.forEach(line => stream.write(`${line}\n`));
+            return;
+        }
+        let output = drawnLines > 0 ? `\x1b[${drawnLines}A` : '';
+        const lines = [...permanentLines.map(line => ({ line, permanent: true })), ...active.map(row => ({ line: `${bar(row)} ${row.label}  ${row.message}` })), { line: totals() }];
+        lines.forEach(({ line }) => { output += `\x1b[2K${fit(line)}\n`; });
+        stream.write(output);
+        drawnLines = lines.filter(l => !l.permanent).length;
+    };
+
+    return {
+        start: (label) => {
+            const row = { label, percent: 0, message: 'starting...' };
+            active.push(row);
+            draw(stream.isTTY ? [] : [`${label}: starting...`]);
+            return row;
+        },
+        update: (row, { percent, message }) => {
+            if (percent !== undefined) { row.percent = Math.max(row.percent, Math.min(100, percent)); }
+            const changed = message !== undefined && message !== row.message;
+            if (message !== undefined) { row.message = message; }
+            draw(!stream.isTTY && changed ? [`${row.label}: ${message}`] : []);
+        },
+        finish: (row, outcome, message) => {
+            counts[outcome]++;
+            if (row) { active.splice(active.indexOf(row), 1); }
+            draw([`${{ done: '✔', skipped: '•', failed: '✖' }[outcome]} ${message}`]);
+        },
+        // A line printed above the bars
+        note: (message) => draw([message]),
+        summary: () => (stream.isTTY ? null : totals()),
+        failures: () => counts.failed,
+    };
+};
+
+// Thin client for the server's HTTP API
+const createApiClient = (baseUrl, apiKey) => {
+    const headers = apiKey ? { authorization: `Bearer ${apiKey}` } : {};
+    const request = async (method, urlPath, body = undefined) => {
+        const res = await fetch(new URL(urlPath, baseUrl), { method, headers, body });
+        if (!res.ok) {
+            const text = await res.text();
+            let message = text;
+            try { message = JSON.parse(text).error ?? text; } catch {}
+            throw new Error(`${method} ${urlPath} failed (${res.status}): ${message}`);
+        }
+        return res;
+    };
+    return {
+        request,
+        json: async (method, urlPath, body) => (await request(method, urlPath, body)).json(),
+        // Read the job's SSE stream from `lastEventId` on, calling onEvent(type, data) per event. Resolves with the
+        // last event id when the server closes the stream or a 'done' event arrives.
+        readEvents: async (clientId, lastEventId, onEvent) => {
+            const res = await request('GET', `/progress/${clientId}?lastEventId=${lastEventId}`);
+            const decoder = new TextDecoder();
+            let buffer = '';
+            let event = { type: 'message', data: '', id: null };
+            for await (const chunk of res.body) {
+                buffer += decoder.decode(chunk, { stream: true });
+                let newline;
+                while ((newline = buffer.indexOf('\n')) !== -1) {
+                    const line = buffer.slice(0, newline).replace(/\r$/, '');
+                    buffer = buffer.slice(newline + 1);
+                    if (line === '') {
+                        if (event.id !== null) { lastEventId = event.id; }
+                        if (event.data) {
+                            let data = null;
+                            try { data = JSON.parse(event.data); } catch {}
+                            onEvent(event.type, data);
+                            if (event.type === 'done') {
+                                res.body.cancel().catch(() => {});
+                                return lastEventId;
+                            }
+                        }
+                        event = { type: 'message', data: '', id: null };
+                    } else if (line.startsWith('event:')) { event.type = line.slice(6).trim(); }
+                    else if (line.startsWith('data:')) { event.data += line.slice(5).trim(); }
+                    else if (line.startsWith('id:')) { event.id = parseInt(line.slice(3).trim(), 10) || lastEventId; }
+                }
+            }
+            return lastEventId;
+        },
+    };
+};
+
+// Start server.js in this process on a loopback port, with its data in a temporary folder; resolves with its base
+// URL and the key to use. Its log is hidden unless verbose, except for errors (see main).
+const startInProcessServer = async (verbose) => {
+    if (!verbose) {
+        const quiet = () => {};
+        console.log = quiet;
+        console.info = quiet;
+        console.warn = quiet;
+    }
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'transcribe-'));
+    const apiKey = process.env.ADMIN_API_KEY || crypto.randomBytes(24).toString('hex');
+    process.env.ADMIN_API_KEY = apiKey;
+    process.env.HOST = '127.0.0.1';
+    process.env.PORT = '0';
+    process.env.DATA_DIR = path.join(workDir, 'data');
+    process.env.UPLOADS_DIR = path.join(workDir, 'uploads');
+    const { server } = await import('./server.js');
+    // Registered after the job store's own exit handler, which still writes pending job changes
+    process.on('exit', () => fs.rmSync(workDir, { recursive: true, force: true }));
+    if (!server.listening) { await once(server, 'listening'); }
+    return { baseUrl: `http://127.0.0.1:${server.address().port}`, apiKey };
+};
+
+// Upload one file, follow its progress and write its outputs; resolves with the output paths
+const transcribeFile = async (api, item, settings, display, activeJobs) => {
+    const row = display.start(path.basename(item.file));
+    let clientId = null;
+    // The upload is inside the try too, so a file that cannot be read or is refused by the server ends its row
+    try {
+        const form = new FormData();
+        form.append('audio', await fs.openAsBlob(item.file), path.basename(item.file));
+        if (settings.model) { form.append('model', settings.model); }
+        form.append('diarize', String(settings.diarize));
+        form.append('summarize', String(settings.summarize));
+        form.append('outputFormat', settings.format);
+        if (settings.language) { form.append('language', settings.language); }
+        form.append('title', item.name);
+        display.update(row, { message: 'uploading...' });
+        const created = await api.json('POST', '/transcribe', form);
+        const { queuePosition } = created;
+        clientId = created.clientId;
+        activeJobs.add(clientId);
+        display.update(row, { percent: 5, message: queuePosition > 0 ? `queued (position ${queuePosition})` : 'processing...' });
+        let lastEventId = 0;
+        let lastError = null;
+        let job = null;
+        for (;;) {
+            lastEventId = await api.readEvents(clientId, lastEventId, (type, data) => {
+                if (type === 'status') {
+                    const percent = data?.total > 0 ? 10 + 80 * (data.completed / data.total) : 10;
+                    display.update(row, { percent, message: data?.message ?? '' });
+                } else if (type === 'summary_result' || type === 'translation_result') {
+                    display.update(row, { percent: 95 });
+                } else if (type === 'error') {
+                    lastError = data?.message ?? 'Unknown error';
+                    display.update(row, { message: lastError });
+                }
+            });
+            job = await api.json('GET', `/jobs/${clientId}`);
+            if (TERMINAL_STATUSES.includes(job.status)) { break; }
+            // The stream closed while the job still runs (e.g. a dropped connection): pick up where it left off
+            await new Promise(resolve => setTimeout(resolve, 1000));
+        }
+        if (job.status !== 'completed') { throw new Error(`Job ${clientId} ${job.status}${lastError ? `: ${lastError}` : '.'}`); }
+
+        display.update(row, { percent: 97, message: 'writing outputs...' });
+        fs.mkdirSync(item.outputDir, { recursive: true });
+        const transcriptPath = path.join(item.outputDir, `${item.name}.${settings.format}`);
+        const res = await api.request('GET', `/jobs/${clientId}/download?format=${settings.format}`);
+        fs.writeFileSync(transcriptPath, Buffer.from(await res.arrayBuffer()));
+        const outputs = [transcriptPath];
+        if (job.summary && !FORMATS_WITH_SUMMARY.includes(settings.format)) {
+            const summaryPath = path.join(item.outputDir, `${item.name}.summary.md`);
+            fs.writeFileSync(summaryPath, `${job.summary.trim()}\n`);
+            outputs.push(summaryPath);
+        }
+        return { row, clientId, outputs };
+    } catch (err) {
+        err.row = row;
+        throw err;
+    } finally {
+        if (clientId) { activeJobs.delete(clientId); }
+    }
+};
+
+// Paths below the working directory are shown relative to it
+const displayPath = (file) => {
+    const relative = path.relative(process.cwd(), file);
+    return relative.startsWith('..') ? file : relative;
+};
+
+const recordOutputs = (item, settingsKey, outputs, jobId) => {
+    loadManifest(item.outputDir)[item.hash] = {
+        file: path.basename(item.file),
+        settings: settingsKey,
+        outputs: outputs.map(output => path.relative(item.outputDir, output)),
+        jobId,
+        completedAt: new Date().toISOString(),
+    };
+    saveManifest(item.outputDir);
+};
+
+const main = async () => {
+    const { inputs, settings, out, concurrency, recursive, force, serverUrl, apiKey, verbose } = parseCliArgs();
+    const items = collectInputs(inputs, out, recursive);
+    if (items.length === 0) { fail('no audio files found.'); }
+    const settingsKey = JSON.stringify(settings);
+
+    process.stderr.write(`Hashing ${items.length} file(s)...\n`);
+    for (const item of items) { item.hash = await hashFile(item.file); }
+
+    const connection = serverUrl ? { baseUrl: serverUrl, apiKey } : await startInProcessServer(verbose);
+    const api = createApiClient(connection.baseUrl, connection.apiKey);
+    if (serverUrl) { await api.request('GET', '/models'); } // fail early on a wrong URL or key
+    const display = createProgressDisplay(items.length);
+    // Errors of the in-process server are shown above the bars; their stack traces only with --verbose
+    if (!serverUrl && !verbose) { console.error = (...args) => display.note(format(...args).split('\n')[0]); }
+
+    // Cancel the jobs in flight on Ctrl+C
+    const activeJobs = new Set();
+    process.once('SIGINT', async () => {
+        process.stderr.write('\nCancelling...\n');
+        await Promise.all([...activeJobs].map(id => api.request('POST', `/cancel/${id}`).catch(() => {})));
+        process.exit(130);
+    });
+
+    // Files already in a manifest are skipped; of several files with the same content only the first is sent
+    const firstWithContent = new Map();
+    const toTranscribe = [];
+    const duplicates = [];
+    items.forEach(item => {
+        const outputs = force ? null : previousOutputs(item, settingsKey);
+        if (outputs) {
+            const entry = loadManifest(item.outputDir)[item.hash];
+            if (entry.file === path.basename(item.file)) {
+                display.finish(null, 'skipped', `${path.basename(item.file)}: already transcribed`);
+                return;
+            }
+            // A renamed or copied file: reuse the outputs of the file the manifest has
+            recordOutputs(item, settingsKey, copyOutputs(outputs, { name: path.parse(entry.file).name }, item), entry.jobId);
+            display.finish(null, 'skipped', `${path.basename(item.file)}: same content as ${entry.file}, outputs copied`);
+        } else if (firstWithContent.has(item.hash)) {
+            duplicates.push(item);
+        } else {
+            firstWithContent.set(item.hash, item);
+            toTranscribe.push(item);
+        }
+    });
+
+    const results = new Map();
+    await runPool(toTranscribe, concurrency, async (item) => {
+        try {
+            const { row, clientId, outputs } = await transcribeFile(api, item, settings, display, activeJobs);
+            recordOutputs(item, settingsKey, outputs, clientId);
+            results.set(item.hash, { item, outputs, clientId });
+            display.finish(row, 'done', `${path.basename(item.file)} -> ${outputs.map(displayPath).join(', ')}`);
+        } catch (err) {
+            display.finish(err.row ?? null, 'failed', `${path.basename(item.file)}: ${err.message}`);
+        }
+    });
+
+    duplicates.forEach(item => {
+        const original = results.get(item.hash);
+        if (!original) {
+            display.finish(null, 'failed', `${path.basename(item.file)}: same content as ${path.basename(firstWithContent.get(item.hash).file)}, which failed`);
+            return;
+        }
+        const copied = copyOutputs(original.outputs, original.item, item);
+        recordOutputs(item, settingsKey, copied, original.clientId);
+        display.finish(null, 'skipped', `${path.basename(item.file)}: same content as ${path.basename(original.item.file)}, outputs copied`);
+    });
+
+    const summary = display.summary();
+    if (summary) { process.stderr.write(`${summary}\n`); }
+    // The in-process server would keep running otherwise
+    process.exit(display.failures() > 0 ? 1 : 0);
+};
+
+main().catch(err => {
+    process.stderr.write(`transcribe: ${err.message}\n`);
+    process.exit(1);
+});
@@ -0,0 +1,141 @@
+import { Document, Packer, Paragraph, TextRun, HeadingLevel } from 'docx';
+import { speakerDisplayName } from './speakers.js';
+
+export const OUTPUT_FORMATS = ['txt', 'srt', 'vtt', 'json', 'docx'];
+
+const CONTENT_TYPES = {
+    txt: 'text/plain; charset=utf-8',
+    srt: 'application/x-subrip; charset=utf-8',
+    vtt: 'text/vtt; charset=utf-8',
+    json: 'application/json; charset=utf-8',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+};
+
+// Caption cue limits (roughly two subtitle lines on screen)
+const MAX_CUE_SECONDS = 7;
+const MAX_CUE_CHARS = 84;
+const MAX_CUE_GAP_SECONDS = 1.5;
+
+const pad = (n, width = 2) => String(n).padStart(width, '0');
+
+// 3725.5 -> "01:02:05,500" (SRT) / "01:02:05.500" (VTT)
+export const formatTimestamp = (seconds, msSeparator = '.') => {
+    const totalMs = Math.max(0, Math.round((seconds || 0) * 1000));
+    const h = Math.floor(totalMs / 3600000);
+    const m = Math.floor((totalMs % 3600000) / 60000);
+    const s = Math.floor((totalMs % 60000) / 1000);
+    return `${pad(h)}:${pad(m)}:${pad(s)}${msSeparator}${pad(totalMs % 1000, 3)}`;
+};
+
+// Group word timings into caption-sized cues, breaking on speaker changes, pauses and sentence ends
+const cuesFromWords = (words) => {
+    const cues = [];
+    let current = null;
+    words.forEach(w => {
+        const text = w.punctuated_word ?? w.word;
+        const startsNew = !current
+            || w.speaker !== current.speaker
+            || w.end - current.start > MAX_CUE_SECONDS
+            || current.text.length + text.length + 1 > MAX_CUE_CHARS
+            || w.start - current.end > MAX_CUE_GAP_SECONDS
+            || (/[.?!]$/.test(current.text) && current.text.length > MAX_CUE_CHARS / 2);
+        if (startsNew) {
+            current = { start: w.start, end: w.end, speaker: w.speaker ?? null, text };
+            cues.push(current);
+        } else {
+            current.end = w.end;
+            current.text += ` ${text}`;
+        }
+    });
+    return cues;
+};
+
+export const buildCues = (job) => {
+    if (job.words?.length > 0) { return cuesFromWords(job.words); }
+    return (job.segments ?? []).filter(s => s.text?.trim()).map(s => ({ start: s.start, end: s.end, speaker: s.speaker ?? null, text: s.text.trim() }));
+};
+
+export const toSrt = (job) => buildCues(job).map((cue, i) => {
+    const label = speakerDisplayName(cue.speaker, job.options?.speakerNames);
+    return `${i + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${label ? `${label}: ` : ''}${cue.text}\n`;
+}).join('\n');
+
+export const toVtt = (job) => {
+    const cues = buildCues(job).map(cue => {
+        const label = speakerDisplayName(cue.speaker, job.options?.speakerNames);
+        return `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}\n${label ? `<v ${label}>` : ''}${cue.text}\n`;
+    });
+    return `WEBVTT\n\n${cues.join('\n')}`;
+};
+
+export const toJson = (job) => JSON.stringify({
+    id: job.id,
+    originalName: job.originalName,
+    title: job.title ?? null,
+    tags: job.tags ?? [],
+    model: job.options?.model ?? null,
+    diarize: Boolean(job.options?.diarize),
+    speakerNames: job.options?.speakerNames ?? {},
+    language: job.options?.language ?? null,
+    detectedLanguage: job.detectedLanguage ?? null,
+    duration: job.duration ?? null,
+    boundaries: job.boundaries ?? [],
+    redactions: job.redactions ?? [],
+    transcript: job.transcript,
+    summary: job.summary,
+    summaryData: job.summaryData ?? null,
+    summaryReferences: job.summaryReferences ?? [],
+    segments: job.segments ?? [],
+    words: (job.words ?? []).map(w => ({
+        word: w.punctuated_word ?? w.word,
+        start: w.start,
+        end: w.end,
+        confidence: w.confidence ?? null,
+        speaker: w.speaker ?? null,
+    })),
+}, null, 2);
+
+const transcriptParagraphs = (job) => {
+    if (job.segments?.length > 0) {
+        return job.segments.filter(s => s.text?.trim()).map(s => ({ label: speakerDisplayName(s.speaker, job.options?.speakerNames), start: s.start, text: s.text.trim() }));
+    }
+    return job.transcript.split(/\n{2,}/).filter(p => p.trim()).map(p => ({ label: null, start: null, text: p.trim() }));
+};
+
+export const toTxt = (job) => {
+    let output = '';
+    if (job.summary) { output += `Summary:\n${job.summary.trim()}\n\nTranscript:\n`; }
+    output += transcriptParagraphs(job).map(p => (p.label ? `${p.label}: ${p.text}` : p.text)).join('\n\n');
+    return `${output}\n`;
+};
+
+export const toDocx = async (job) => {
+    const children = [new Paragraph({ text: job.originalName || 'Transcript', heading: HeadingLevel.TITLE })];
+    if (job.summary) {
+        children.push(new Paragraph({ text: 'Summary', heading: HeadingLevel.HEADING_1 }));
+        job.summary.split('\n').forEach(line => children.push(new Paragraph({ text: line })));
+    }
+    children.push(new Paragraph({ text: 'Transcript', heading: HeadingLevel.HEADING_1 }));
+    transcriptParagraphs(job).forEach(p => {
+        const runs = [];
+        if (p.start !== null && p.start !== undefined) { runs.push(new TextRun({ text: `[${formatTimestamp(p.start).slice(0, 8)}] `, color: '888888' })); }
+        if (p.label) { runs.push(new TextRun({ text: `${p.label}: `, bold: true })); }
+        runs.push(new TextRun(p.text));
+        children.push(new Paragraph({ children: runs, spacing: { after: 160 } }));
+    });
+    const doc = new Document({ sections: [{ children }] });
+    return Packer.toBuffer(doc);
+};
+
+// Render a finished job in the requested format
+export const renderExport = async (job, format) => {
+    let body;
+    switch (format) {
+        case 'srt': body = toSrt(job); break;
+        case 'vtt': body = toVtt(job); break;
+        case 'json': body = toJson(job); break;
+        case 'docx': body = await toDocx(job); break;
+        default: body = toTxt(job);
+    }
+    return { body, contentType: CONTENT_TYPES[format] ?? CONTENT_TYPES.txt, extension: OUTPUT_FORMATS.includes(format) ? format : 'txt' };
+};
@@ -0,0 +1,130 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { dataDir } from './jobStore.js';
+import { writeJsonAtomic } from './jsonFile.js';
+import { fetchFeed } from './sources.js';
+
+// Podcast subscriptions: new episodes of a subscribed RSS feed are transcribed automatically.
+// Subscriptions are kept in DATA_DIR/feeds.json. A feed is { id, ownerId, url, title, intervalMinutes, priority,
+// options, tags, seenGuids, createdAt, lastCheckedAt, lastError }, where `options` are the /transcribe options and
+// `tags` the tags used for its episodes, and `seenGuids` the episodes already handled.
+//   FEED_POLL_INTERVAL_SEC      - how often feeds that are due are checked (default 60)
+//   FEED_DEFAULT_INTERVAL_MIN   - check interval of a new subscription unless it sets intervalMinutes (default 60)
+
+const FEED_POLL_INTERVAL_SEC = parseInt(process.env.FEED_POLL_INTERVAL_SEC, 10) || 60;
+const FEED_DEFAULT_INTERVAL_MIN = parseInt(process.env.FEED_DEFAULT_INTERVAL_MIN, 10) || 60;
+const MIN_INTERVAL_MIN = 5;
+
+const feedsFile = path.join(dataDir, 'feeds.json');
+
+let feeds = [];
+try {
+    if (fs.existsSync(feedsFile)) { feeds = JSON.parse(fs.readFileSync(feedsFile, 'utf8')); }
+} catch (err) {
+    console.error(`Could not read feed subscriptions from ${feedsFile}:`, err.message);
+}
+
+const persistFeeds = () => writeJsonAtomic(feedsFile, feeds);
+
+// Public view: the seen list can be long, so only its size is shown
+export const toFeedSummary = ({ seenGuids, ...feed }) => ({ ...feed, seenCount: seenGuids.length });
+
+export const listFeeds = ({ ownerId } = {}) => feeds.filter(f => !ownerId || f.ownerId === ownerId);
+
+export const getFeed = (id) => feeds.find(f => f.id === id) ?? null;
+
+const parseCount = (value, label, fallback) => {
+    if (value === undefined || value === null || value === '') { return fallback; }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) { throw new Error(`${label} must be a whole number.`); }
+    return number;
+};
+
+// Subscribe to a feed (fetched once to check it). Existing episodes count as seen, except the newest `backfill`
+// ones, which the first checkFeed picks up. Rejects when the URL is not a readable RSS feed.
+export const createFeed = async ({ url, ownerId, intervalMinutes, priority, options, tags = [], backfill }) => {
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(String(url ?? ''));
+    } catch {
+        throw new Error('url must be the address of an RSS feed.');
+    }
+    if (!['http:', 'https:'].includes(parsedUrl.protocol)) { throw new Error('url must be an http(s):// address.'); }
+    const interval = parseCount(intervalMinutes, 'intervalMinutes', FEED_DEFAULT_INTERVAL_MIN);
+    if (interval < MIN_INTERVAL_MIN) { throw new Error(`intervalMinutes must be at least ${MIN_INTERVAL_MIN}.`); }
+    const backfillCount = parseCount(backfill, 'backfill', 0);
+    const parsed = await fetchFeed(parsedUrl.href);
+    const feed = {
+        id: crypto.randomUUID(),
+        ownerId,
+        url: parsedUrl.href,
+        title: parsed.title,
+        intervalMinutes: interval,
+        priority,
+        options,
+        tags,
+        seenGuids: parsed.episodes.slice(backfillCount).map(e => e.guid),
+        createdAt: new Date().toISOString(),
+        lastCheckedAt: null,
+        lastError: null,
+    };
+    feeds.push(feed);
+    persistFeeds();
+    return { feed, parsed };
+};
+
+export const deleteFeed = (id) => {
+    const before = feeds.length;
+    feeds = feeds.filter(f => f.id !== id);
+    if (feeds.length === before) { return false; }
+    persistFeeds();
+    return true;
+};
+
+// Hand the feed's unseen episodes, oldest first, to `transcribe(feed, episode)`, which returns the new job id.
+// If it throws (e.g. the daily quota is used up) the remaining episodes stay unseen for the next check.
+// `parsed` skips the fetch when the caller has just read the feed. Resolves with the ids of the jobs created.
+export const checkFeed = async (id, transcribe, parsed = null) => {
+    const feed = getFeed(id);
+    if (!feed) { return []; }
+    const jobIds = [];
+    try {
+        const { title, episodes } = parsed ?? await fetchFeed(feed.url);
+        feed.title = title ?? feed.title;
+        // Forget episodes that have left the feed so the list does not grow forever
+        const current = new Set(episodes.map(e => e.guid));
+        feed.seenGuids = feed.seenGuids.filter(guid => current.has(guid));
+        for (const episode of episodes.filter(e => !feed.seenGuids.includes(e.guid)).reverse()) {
+            jobIds.push(transcribe(feed, episode));
+            feed.seenGuids.push(episode.guid);
+        }
+        feed.lastError = null;
+    } catch (err) {
+        console.warn(`Feed ${feed.id} (${feed.url}): ${err.message}`);
+        feed.lastError = err.message;
+    }
+    feed.lastCheckedAt = new Date().toISOString();
+    persistFeeds();
+    return jobIds;
+};
+
+const isDue = (feed) => !feed.lastCheckedAt || Date.now() - Date.parse(feed.lastCheckedAt) >= feed.intervalMinutes * 60 * 1000;
+
+// Check due feeds in the background, one at a time
+export const startFeedPolling = (transcribe) => {
+    let checking = false;
+    const timer = setInterval(async () => {
+        if (checking) { return; }
+        checking = true;
+        try {
+            for (const feed of feeds.filter(isDue)) {
+                const jobIds = await checkFeed(feed.id, transcribe);
+                if (jobIds.length > 0) { console.log(`Feed ${feed.id}: queued ${jobIds.length} new episode(s).`); }
+            }
+        } finally {
+            checking = false;
+        }
+    }, FEED_POLL_INTERVAL_SEC * 1000);
+    timer.unref();
+};
@@ -0,0 +1,75 @@
+import { GoogleGenerativeAI, HarmCategory, HarmBlockThreshold } from "@google/generative-ai";
+import { GoogleAIFileManager, FileState } from "@google/generative-ai/server";
+
+// Thin wrapper around the Gemini SDK so the rest of the server never touches it directly.
+// `baseUrl` (GEMINI_BASE_URL) points both the model and the File API at another endpoint,
+// e.g. a local stub server when testing.
+
+export const DEFAULT_GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-2.5-pro-exp-03-25';
+
+const FILE_POLL_INTERVAL_MS = 2000;
+const FILE_ACTIVE_TIMEOUT_MS = parseInt(process.env.GEMINI_FILE_TIMEOUT_MS, 10) || 10 * 60 * 1000;
+
+export const SAFETY_SETTINGS = [
+    { category: HarmCategory.HARM_CATEGORY_HARASSMENT, threshold: HarmBlockThreshold.BLOCK_NONE },
+    { category: HarmCategory.HARM_CATEGORY_HATE_SPEECH, threshold: HarmBlockThreshold.BLOCK_NONE },
+    { category: HarmCategory.HARM_CATEGORY_SEXUALLY_EXPLICIT, threshold: HarmBlockThreshold.BLOCK_NONE },
+    { category: HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT, threshold: HarmBlockThreshold.BLOCK_NONE },
+];
+
+export const responseText = (result) => result?.response?.candidates?.[0]?.content?.parts?.[0]?.text ?? '';
+
+// Billed tokens of a generateContent result, for usage metering
+export const tokenUsage = (result) => ({
+    inputTokens: result?.response?.usageMetadata?.promptTokenCount ?? 0,
+    outputTokens: result?.response?.usageMetadata?.candidatesTokenCount ?? 0,
+});
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export const createGeminiClient = ({ apiKey, baseUrl = null, model = DEFAULT_GEMINI_MODEL } = {}) => {
+    if (!apiKey) { throw new Error('A Gemini API key is required.'); }
+    const requestOptions = baseUrl ? { baseUrl } : {};
+    const genAI = new GoogleGenerativeAI(apiKey);
+    const fileManager = new GoogleAIFileManager(apiKey, requestOptions);
+    const generativeModel = genAI.getGenerativeModel({ model }, requestOptions);
+
+    return {
+        modelName: model,
+
+        // Same arguments as GenerativeModel.generateContent
+        generateContent: (...args) => generativeModel.generateContent(...args),
+
+        // Text-only prompt with the shared safety settings
+        generateText: (prompt, generationConfig = undefined) => generativeModel.generateContent({
+            contents: [{ role: 'user', parts: [{ text: prompt }] }],
+            safetySettings: SAFETY_SETTINGS,
+            generationConfig,
+        }),
+
+        // Multi-turn text conversation streamed as it is generated: resolves with { stream, response }, where
+        // `stream` yields partial results and `response` resolves with the complete one
+        generateTextStream: (contents, generationConfig = undefined) => generativeModel.generateContentStream({
+            contents,
+            safetySettings: SAFETY_SETTINGS,
+            generationConfig,
+        }),
+
+        // Upload through the File API and wait until Gemini has finished processing the file.
+        // Resolves with the file metadata ({ name, uri, mimeType, state, ... }).
+        uploadFile: async (filePath, { mimeType, displayName }) => {
+            const { file } = await fileManager.uploadFile(filePath, { mimeType, displayName });
+            let current = file;
+            const deadline = Date.now() + FILE_ACTIVE_TIMEOUT_MS;
+            while (current.state === FileState.PROCESSING) {
+                if (Date.now() > deadline) { throw new Error(`Timed out waiting for Gemini to process uploaded file ${current.name}`); }
+                await sleep(FILE_POLL_INTERVAL_MS);
+                current = await fileManager.getFile(current.name);
+            }
+            if (current.state === FileState.FAILED) { throw new Error(`Gemini failed to process uploaded file ${current.name}`); }
+            return current;
+        },
+
+        deleteFile: (name) => fileManager.deleteFile(name),
+    };
+};
@@ -0,0 +1,233 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import vm from 'vm';
+import { dataDir } from './jobStore.js';
+import { writeJsonAtomic } from './jsonFile.js';
+
+// Glossaries: saved vocabularies for product names and jargon, kept in DATA_DIR/glossaries.json and owned by the
+// API key that created them. A glossary is { id, ownerId, name, description, terms, replacements, createdAt, updatedAt }:
+//   terms         - [{ term, boost }] passed to the provider: Deepgram keyterms (Nova-3) or boosted keywords
+//                   (boost is the keyword intensifier), the Gemini prompt, the whisper.cpp initial prompt
+//   replacements  - [{ find, replace, regex, caseSensitive }] applied to the finished transcript, in order.
+//                   A plain `find` matches whole words; with `regex` it is a JavaScript pattern and `replace`
+//                   may use $1-style groups. Only admin keys may save patterns, patterns that can backtrack
+//                   catastrophically are refused, and each replacement runs under a time limit.
+// Jobs pick glossaries with the `glossary` option (one id or several, comma-separated).
+
+const glossariesFile = path.join(dataDir, 'glossaries.json');
+
+const MAX_TERMS = 100;
+const MAX_TERM_LENGTH = 100;
+const MAX_REPLACEMENTS = 200;
+const MAX_PATTERN_LENGTH = 200;
+// Terms end up in provider prompts and command lines, so they are limited to plain text
+const TERM_PATTERN = /^[\p{L}\p{N} .,'&+/_-]+$/u;
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+let glossaries = [];
+try {
+    if (fs.existsSync(glossariesFile)) { glossaries = JSON.parse(fs.readFileSync(glossariesFile, 'utf8')); }
+} catch (err) {
+    console.error(`Could not read glossaries from ${glossariesFile}:`, err.message);
+}
+
+const persistGlossaries = () => writeJsonAtomic(glossariesFile, glossaries);
+
+// A BCP 47-style language code such as 'en', 'de' or 'pt-BR'
+export const isLanguageCode = (value) => typeof value === 'string' && LANGUAGE_PATTERN.test(value);
+
+export const listGlossaries = ({ ownerId } = {}) => glossaries.filter(g => !ownerId || g.ownerId === ownerId);
+
+export const getGlossary = (id) => glossaries.find(g => g.id === id) ?? null;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whether a pattern is free of the constructs that make backtracking explode: backreferences, and groups repeated
+// by +, * or {n,m} that themselves contain a quantifier or an alternation, as in (a+)+, (a|aa)* or (.*a){20}.
+// Bounded repeats count too: they multiply the ways to match just like unbounded ones.
+export const isSafePattern = (pattern) => {
+    if (/\\[1-9]|\\k</.test(pattern)) { return false; }
+    const groups = [];
+    let risky = false;
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '\\') { i++; continue; }
+        if (char === '[') {
+            // Character classes hold no quantifiers or groups
+            i++;
+            while (i < pattern.length && pattern[i] !== ']') { if (pattern[i] === '\\') { i++; } i++; }
+            continue;
+        }
+        if (char === '(') { groups.push({ quantified: false }); continue; }
+        if (char === ')') {
+            const group = groups.pop() ?? { quantified: false };
+            const next = pattern.slice(i + 1);
+            if (group.quantified && /^([+*]|\{\d+(,\d*)?\})/.test(next)) { risky = true; }
+            // A group that repeats, or holds a quantifier, counts as a quantifier of the group around it
+            if (groups.length > 0 && (group.quantified || /^([+*?]|\{\d*,?\d*\})/.test(next))) { groups[groups.length - 1].quantified = true; }
+            continue;
+        }
+        // The ? of (?:, (?= and (?<name> is not a quantifier
+        if (groups.length > 0 && (char === '|' || ('+*?{'.includes(char) && pattern[i - 1] !== '('))) { groups[groups.length - 1].quantified = true; }
+    }
+    return !risky;
+};
+
+// The RegExp a replacement rule matches with
+const replacementPattern = ({ find, regex, caseSensitive }) => (regex
+    ? new RegExp(find, caseSensitive ? 'g' : 'gi')
+    : new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(find)}(?![\\p{L}\\p{N}])`, caseSensitive ? 'gu' : 'giu'));
+
+const validateTerms = (terms = []) => {
+    if (!Array.isArray(terms)) { throw new Error('terms must be a list of words or { term, boost } objects.'); }
+    if (terms.length > MAX_TERMS) { throw new Error(`A glossary can have at most ${MAX_TERMS} terms.`); }
+    return terms.map(entry => {
+        const { term: rawTerm, boost = null } = typeof entry === 'string' ? { term: entry } : (entry ?? {});
+        const term = String(rawTerm ?? '').trim();
+        if (!term || term.length > MAX_TERM_LENGTH || !TERM_PATTERN.test(term)) {
+            throw new Error(`Invalid term '${term}'. Terms use letters, digits, spaces and . , ' & + / _ - (at most ${MAX_TERM_LENGTH} characters).`);
+        }
+        if (boost !== null && (typeof boost !== 'number' || !Number.isFinite(boost) || boost < -10 || boost > 10)) {
+            throw new Error(`Invalid boost for '${term}': use a number between -10 and 10.`);
+        }
+        return { term, boost };
+    });
+};
+
+const validateReplacements = (replacements = [], { allowRegex = false } = {}) => {
+    if (!Array.isArray(replacements)) { throw new Error('replacements must be a list of { find, replace } objects.'); }
+    if (replacements.length > MAX_REPLACEMENTS) { throw new Error(`A glossary can have at most ${MAX_REPLACEMENTS} replacements.`); }
+    return replacements.map(entry => {
+        const rule = {
+            find: typeof entry?.find === 'string' ? entry.find : '',
+            replace: typeof entry?.replace === 'string' ? entry.replace : '',
+            regex: entry?.regex === true,
+            caseSensitive: entry?.caseSensitive === true,
+        };
+        if (!rule.find.trim() || rule.find.length > MAX_PATTERN_LENGTH || rule.replace.length > MAX_PATTERN_LENGTH) {
+            throw new Error(`Each replacement needs a find text of 1-${MAX_PATTERN_LENGTH} characters and a replace text of at most ${MAX_PATTERN_LENGTH}.`);
+        }
+        if (rule.regex && !allowRegex) { throw new Error('Regular expression replacements can only be saved with an admin key.'); }
+        if (rule.regex && !isSafePattern(rule.find)) {
+            throw new Error(`Pattern '${rule.find}' could take too long to run: avoid backreferences and repeated groups that contain quantifiers or alternatives, such as (a+)+.`);
+        }
+        try {
+            replacementPattern(rule);
+        } catch (err) {
+            throw new Error(`Invalid pattern '${rule.find}': ${err.message}`);
+        }
+        return rule;
+    });
+};
+
+// Validate a glossary body; `existing` is the glossary being updated, if any. allowRegex: the requester may save
+// regular expression replacements (admin keys).
+const validateGlossary = (input, existing = null, { allowRegex = false } = {}) => {
+    const glossary = { ...existing, ...input };
+    if (typeof glossary.name !== 'string' || !glossary.name.trim()) { throw new Error('Glossary name is required.'); }
+    const terms = validateTerms(glossary.terms);
+    const replacements = validateReplacements(glossary.replacements, { allowRegex });
+    if (terms.length === 0 && replacements.length === 0) { throw new Error('A glossary needs at least one term or replacement.'); }
+    return {
+        name: glossary.name.trim(),
+        description: typeof glossary.description === 'string' ? glossary.description.trim() : '',
+        terms,
+        replacements,
+    };
+};
+
+export const createGlossary = (input, ownerId, { allowRegex = false } = {}) => {
+    const now = new Date().toISOString();
+    const glossary = { id: crypto.randomUUID(), ownerId, ...validateGlossary(input, null, { allowRegex }), createdAt: now, updatedAt: now };
+    glossaries.push(glossary);
+    persistGlossaries();
+    return glossary;
+};
+
+export const updateGlossary = (id, changes, { allowRegex = false } = {}) => {
+    const index = glossaries.findIndex(g => g.id === id);
+    if (index === -1) { return null; }
+    glossaries[index] = { ...glossaries[index], ...validateGlossary(changes, glossaries[index], { allowRegex }), updatedAt: new Date().toISOString() };
+    persistGlossaries();
+    return glossaries[index];
+};
+
+export const deleteGlossary = (id) => {
+    const before = glossaries.length;
+    glossaries = glossaries.filter(g => g.id !== id);
+    if (glossaries.length === before) { return false; }
+    persistGlossaries();
+    return true;
+};
+
+// The `glossary` and `language` job options. `canUse(glossary)` decides whether the requester may select a
+// glossary. Returns { glossaryIds, language }; throws on invalid input.
+export const parseVocabularyOptions = (body = {}, canUse = () => true) => {
+    const requested = Array.isArray(body.glossary) ? body.glossary : String(body.glossary ?? '').split(',');
+    const glossaryIds = [...new Set(requested.map(id => String(id).trim()).filter(Boolean))];
+    glossaryIds.forEach(id => {
+        const glossary = getGlossary(id);
+        if (!glossary || !canUse(glossary)) { throw new Error(`Unknown glossary '${id}'.`); }
+    });
+    const language = body.language ? String(body.language).trim() : null;
+    if (language && language !== 'auto' && !isLanguageCode(language)) {
+        throw new Error(`Invalid language '${language}'. Use a language code such as 'en', 'de' or 'pt-BR', or 'auto' to detect it.`);
+    }
+    return { glossaryIds, language };
+};
+
+// Merge the glossaries a job selected: { terms, replacements, missing } (missing = ids deleted since the job was created)
+export const resolveGlossaries = (ids = []) => {
+    const found = ids.map(getGlossary).filter(Boolean);
+    const terms = [];
+    found.flatMap(g => g.terms).forEach(entry => {
+        if (!terms.some(t => t.term.toLowerCase() === entry.term.toLowerCase())) { terms.push(entry); }
+    });
+    return { terms, replacements: found.flatMap(g => g.replacements), missing: ids.filter(id => !getGlossary(id)) };
+};
+
+// Regex rules run in their own context with a time limit, as isSafePattern cannot catch every slow pattern.
+// A rule that runs out of time is skipped from then on (until its glossary is saved again).
+const REGEX_TIMEOUT_MS = 100;
+const regexContext = vm.createContext({});
+const regexReplace = new vm.Script('text.replace(pattern, replacement)');
+const timedOutRules = new WeakSet();
+
+const applyRule = (text, rule) => {
+    if (!rule.regex) { return text.replace(replacementPattern(rule), rule.replace); }
+    if (timedOutRules.has(rule)) { return text; }
+    Object.assign(regexContext, { text, pattern: replacementPattern(rule), replacement: rule.replace });
+    try {
+        return regexReplace.runInContext(regexContext, { timeout: REGEX_TIMEOUT_MS });
+    } catch (err) {
+        if (err.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') { throw err; }
+        timedOutRules.add(rule);
+        console.warn(`Replacement pattern '${rule.find}' took longer than ${REGEX_TIMEOUT_MS} ms and is skipped.`);
+        return text;
+    }
+};
+
+export const applyReplacements = (text, replacements = []) => (text ? replacements.reduce(applyRule, text) : text);
+
+// Apply the replacements to a transcription result. Word timings are kept, so words are corrected one at a time;
+// a rule spanning several words only changes the transcript and segment text.
+export const applyGlossary = (result, replacements = []) => {
+    if (replacements.length === 0) { return result; }
+    return {
+        ...result,
+        transcript: applyReplacements(result.transcript, replacements),
+        formattedTranscript: applyReplacements(result.formattedTranscript, replacements),
+        segments: (result.segments ?? []).map(s => ({ ...s, text: applyReplacements(s.text, replacements) })),
+        words: (result.words ?? []).map(w => ({ ...w, punctuated_word: applyReplacements(w.punctuated_word ?? w.word, replacements) })),
+    };
+};
+
+// Readable name of a language code for prompts, e.g. 'de' -> 'German'
+export const languageName = (code) => {
+    try {
+        return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) ?? code;
+    } catch {
+        return code;
+    }
+};
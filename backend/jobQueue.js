@@ -0,0 +1,86 @@
+import { getJob, updateJob, listJobs, isTerminal } from './jobStore.js';
+
+// Durable job queue. A queued job is an ordinary job record with status 'queued' and a `queue` entry
+// ({ action, priority, enqueuedAt, startedAt }), so the queue lives in the job store and survives restarts.
+// At most MAX_CONCURRENT_JOBS run at once: highest priority first, then first come, first served.
+
+export const PRIORITIES = { low: -1, normal: 0, high: 1 };
+const MAX_CONCURRENT_JOBS = parseInt(process.env.MAX_CONCURRENT_JOBS, 10) || 2;
+
+export const parsePriority = (value) => {
+    const priority = String(value || 'normal').toLowerCase();
+    if (!(priority in PRIORITIES)) { throw new Error(`Unknown priority '${value}'. Use one of: ${Object.keys(PRIORITIES).join(', ')}.`); }
+    return priority;
+};
+
+const byQueueOrder = (a, b) => (PRIORITIES[b.queue.priority] - PRIORITIES[a.queue.priority]) || a.queue.enqueuedAt.localeCompare(b.queue.enqueuedAt);
+
+// runners: { [action]: async (jobId) => {} }, each responsible for finishing its job (status, SSE)
+// onPosition(jobId, { position, queued, running, maxConcurrent }) is called whenever a queued job's position changes
+// Nothing runs until start() is called, so startup recovery can re-queue interrupted jobs first.
+export const createJobQueue = ({ runners, onPosition = () => {}, maxConcurrent = MAX_CONCURRENT_JOBS }) => {
+    const running = new Set();
+    const lastPositions = new Map();
+    let started = false;
+
+    const queuedJobs = () => listJobs({ status: 'queued' }).filter(job => job.queue).sort(byQueueOrder);
+
+    const reportPositions = () => {
+        const queued = queuedJobs();
+        lastPositions.forEach((position, id) => { if (!queued.some(job => job.id === id)) { lastPositions.delete(id); } });
+        queued.forEach((job, index) => {
+            const position = index + 1;
+            if (lastPositions.get(job.id) === position) { return; }
+            lastPositions.set(job.id, position);
+            onPosition(job.id, { position, queued: queued.length, running: running.size, maxConcurrent });
+        });
+    };
+
+    const run = (job) => {
+        running.add(job.id);
+        updateJob(job.id, { status: 'processing', queue: { ...job.queue, startedAt: new Date().toISOString() } });
+        console.log(`[${job.id}] Starting queued ${job.queue.action} (${running.size}/${maxConcurrent} running).`);
+        Promise.resolve()
+            .then(() => runners[job.queue.action](job.id))
+            .catch(err => {
+                console.error(`[${job.id}] Queued ${job.queue.action} failed:`, err);
+                if (getJob(job.id) && !isTerminal(getJob(job.id))) { updateJob(job.id, { status: 'failed' }); }
+            })
+            .finally(() => {
+                running.delete(job.id);
+                schedule();
+            });
+    };
+
+    // Start as many queued jobs as there are free slots and tell the rest where they stand
+    const schedule = () => {
+        if (!started) { return; }
+        const queued = queuedJobs();
+        while (running.size < maxConcurrent && queued.length > 0) { run(queued.shift()); }
+        reportPositions();
+    };
+
+    // Queue a job (status 'queued'); `enqueuedAt` keeps a recovered job's original place in line
+    const enqueue = (jobId, { action, priority = 'normal', enqueuedAt = new Date().toISOString() }) => {
+        if (!runners[action]) { throw new Error(`No runner for queued action '${action}'.`); }
+        updateJob(jobId, { status: 'queued', completedAt: null, queue: { action, priority, enqueuedAt, startedAt: null } });
+        schedule();
+        return position(jobId);
+    };
+
+    // 1-based place in line, or null when the job is not waiting
+    const position = (jobId) => {
+        const index = queuedJobs().findIndex(job => job.id === jobId);
+        return index === -1 ? null : index + 1;
+    };
+
+    const start = () => {
+        started = true;
+        console.log(`Job queue started (${queuedJobs().length} queued, up to ${maxConcurrent} at a time).`);
+        schedule();
+    };
+
+    const stats = () => ({ queued: queuedJobs().length, running: running.size, maxConcurrent });
+
+    return { enqueue, schedule, start, position, stats };
+};
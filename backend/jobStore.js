@@ -0,0 +1,261 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { writeJsonAtomic, readJsonLines } from './jsonFile.js';
+
+// Helper
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// JSON-file job store: one file per job under DATA_DIR/jobs, mirrored in memory. The SSE event log of a job is
+// kept apart in an append-only <id>.events.jsonl, and job files are rewritten at most once per
+// JOB_PERSIST_DELAY_MS while a job changes (immediately when it is created or finishes), so a busy job does not
+// rewrite its whole file for every event.
+export const dataDir = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : path.join(__dirname, 'data');
+const jobsDir = path.join(dataDir, 'jobs');
+if (!fs.existsSync(jobsDir)) { fs.mkdirSync(jobsDir, { recursive: true }); }
+
+export const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+const jobs = new Map();
+
+const JOB_PERSIST_DELAY_MS = 1000;
+
+const jobFilePath = (id) => path.join(jobsDir, `${id}.json`);
+const eventsFilePath = (id) => path.join(jobsDir, `${id}.events.jsonl`);
+
+const persistJob = (job) => {
+    clearTimeout(pendingWrites.get(job.id));
+    pendingWrites.delete(job.id);
+    const { events, ...stored } = job;
+    try {
+        writeJsonAtomic(jobFilePath(job.id), stored);
+    } catch (err) {
+        console.error(`[${job.id}] Failed to persist job:`, err);
+    }
+};
+
+// Job ids with a delayed write pending, and its timer
+const pendingWrites = new Map();
+const schedulePersist = (job) => {
+    if (pendingWrites.has(job.id)) { return; }
+    pendingWrites.set(job.id, setTimeout(() => persistJob(job), JOB_PERSIST_DELAY_MS));
+};
+const flushPendingWrites = () => { [...pendingWrites.keys()].forEach(id => { if (jobs.has(id)) { persistJob(jobs.get(id)); } }); };
+// Write what is pending when the process exits or is stopped (a killed process loses at most the last delay).
+// A signal ends the process only when nothing else handles it.
+process.on('exit', flushPendingWrites);
+[['SIGTERM', 15], ['SIGINT', 2]].forEach(([signal, number]) => process.on(signal, () => {
+    flushPendingWrites();
+    if (process.listenerCount(signal) === 1) { process.exit(128 + number); }
+}));
+
+const appendEventLine = (id, event) => {
+    try {
+        fs.appendFileSync(eventsFilePath(id), `${JSON.stringify(event)}\n`);
+    } catch (err) {
+        console.error(`[${id}] Failed to persist event:`, err);
+    }
+};
+
+const loadEvents = (id) => readJsonLines(eventsFilePath(id));
+
+const loadJobs = () => {
+    const files = fs.readdirSync(jobsDir).filter(f => f.endsWith('.json'));
+    files.forEach(f => {
+        try {
+            const job = JSON.parse(fs.readFileSync(path.join(jobsDir, f), 'utf8'));
+            if (!job?.id) { return; }
+            job.events = loadEvents(job.id);
+            jobs.set(job.id, job);
+        } catch (err) {
+            console.error(`Skipping unreadable job file ${f}:`, err.message);
+        }
+    });
+    console.log(`Loaded ${jobs.size} job(s) from ${jobsDir}`);
+};
+loadJobs();
+
+// Append-only record of job creations, one file per UTC day (DATA_DIR/jobCreations/YYYY-MM-DD.jsonl, one
+// { at, jobId, ownerId } line per job), so daily quotas still count jobs that were deleted since
+const creationsDir = path.join(dataDir, 'jobCreations');
+if (!fs.existsSync(creationsDir)) { fs.mkdirSync(creationsDir, { recursive: true }); }
+const creationLogPath = (day) => path.join(creationsDir, `${day}.jsonl`);
+
+// Entries by day, read from disk the first time a day is needed
+const creationLogs = new Map();
+const readCreationLog = (day) => {
+    if (!creationLogs.has(day)) {
+        let entries = [];
+        try {
+            entries = readJsonLines(creationLogPath(day));
+        } catch (err) {
+            console.error(`Could not read job creation log ${creationLogPath(day)}:`, err.message);
+        }
+        creationLogs.set(day, entries);
+    }
+    return creationLogs.get(day);
+};
+
+const recordCreation = (job) => {
+    const day = job.createdAt.slice(0, 10);
+    const entry = { at: job.createdAt, jobId: job.id, ownerId: job.ownerId };
+    readCreationLog(day).push(entry);
+    try {
+        fs.appendFileSync(creationLogPath(day), `${JSON.stringify(entry)}\n`);
+    } catch (err) {
+        console.error(`[${job.id}] Failed to record job creation:`, err);
+    }
+};
+
+// Jobs an owner has created since `since` (ISO time), including deleted ones
+export const countJobsCreated = (ownerId, since) => {
+    const days = [];
+    for (let day = new Date(`${since.slice(0, 10)}T00:00:00Z`); day <= new Date(); day = new Date(day.getTime() + 24 * 60 * 60 * 1000)) {
+        days.push(day.toISOString().slice(0, 10));
+    }
+    return days.flatMap(readCreationLog).filter(entry => entry.ownerId === ownerId && entry.at >= since).length;
+};
+
+export const createJob = ({ id, type, originalName = null, options = {}, ownerId = null, title = null, tags = [] }) => {
+    const now = new Date().toISOString();
+    const job = {
+        id,
+        type,
+        ownerId,
+        status: 'processing',
+        originalName,
+        title,
+        tags,
+        options,
+        chunks: [],
+        duration: null,
+        transcript: '',
+        segments: [],
+        words: [],
+        summary: null,
+        summaryData: null,
+        summaryReferences: [],
+        usage: null,
+        queue: null,
+        errors: [],
+        events: [],
+        createdAt: now,
+        updatedAt: now,
+        completedAt: null,
+    };
+    jobs.set(id, job);
+    persistJob(job);
+    recordCreation(job);
+    return job;
+};
+
+export const getJob = (id) => jobs.get(id) ?? null;
+
+export const isTerminal = (job) => TERMINAL_STATUSES.includes(job?.status);
+
+// Listeners called with the job each time it reaches a terminal status (again, after a retry)
+const finishListeners = [];
+export const onJobFinished = (listener) => { finishListeners.push(listener); };
+
+export const updateJob = (id, changes) => {
+    const job = jobs.get(id);
+    if (!job) { return null; }
+    const wasTerminal = TERMINAL_STATUSES.includes(job.status);
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    if (TERMINAL_STATUSES.includes(changes.status) && !job.completedAt) { job.completedAt = job.updatedAt; }
+    // Status changes are written at once, so a restart sees where every job stands
+    if (changes.status !== undefined) { persistJob(job); } else { schedulePersist(job); }
+    if (!wasTerminal && TERMINAL_STATUSES.includes(job.status)) {
+        finishListeners.forEach(listener => {
+            try {
+                listener(job);
+            } catch (err) {
+                console.error(`[${job.id}] Job finish listener failed:`, err);
+            }
+        });
+    }
+    return job;
+};
+
+// Store a chunk result at its index so out-of-order or re-run chunks land in the right slot
+export const setChunk = (id, index, chunk) => {
+    const job = jobs.get(id);
+    if (!job) { return null; }
+    job.chunks[index] = { index, ...chunk };
+    job.updatedAt = new Date().toISOString();
+    schedulePersist(job);
+    return job;
+};
+
+// Record an SSE event so it can be replayed to clients that connect late or reconnect
+export const appendEvent = (id, type, data) => {
+    const job = jobs.get(id);
+    if (!job) { return null; }
+    const event = { seq: job.events.length + 1, type, data, at: new Date().toISOString() };
+    job.events.push(event);
+    if (type === 'error') { job.errors.push({ message: data?.message ?? 'Unknown error', at: event.at }); }
+    job.updatedAt = event.at;
+    appendEventLine(id, event);
+    schedulePersist(job);
+    return event;
+};
+
+export const getEventsSince = (id, lastSeq = 0) => {
+    const job = jobs.get(id);
+    if (!job) { return []; }
+    return job.events.filter(e => e.seq > lastSeq);
+};
+
+export const deleteJob = (id) => {
+    if (!jobs.has(id)) { return false; }
+    jobs.delete(id);
+    clearTimeout(pendingWrites.get(id));
+    pendingWrites.delete(id);
+    [jobFilePath(id), eventsFilePath(id)].forEach(filePath => { if (fs.existsSync(filePath)) { fs.unlinkSync(filePath); } });
+    return true;
+};
+
+export const listJobs = ({ status, type, limit, ownerId } = {}) => {
+    let result = [...jobs.values()];
+    if (ownerId !== undefined) { result = result.filter(j => j.ownerId === ownerId); }
+    if (status) { result = result.filter(j => j.status === status); }
+    if (type) { result = result.filter(j => j.type === type); }
+    result.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    if (limit > 0) { result = result.slice(0, limit); }
+    return result;
+};
+
+// Public views: the event log is only exposed through /progress replay, and server-side file paths (inputPath and
+// other *Path fields, chunk audio paths) are never exposed
+export const toJobSummary = (job) => ({
+    id: job.id,
+    type: job.type,
+    ownerId: job.ownerId ?? null,
+    status: job.status,
+    priority: job.queue?.priority ?? null,
+    originalName: job.originalName,
+    title: job.title ?? null,
+    tags: job.tags ?? [],
+    options: job.options,
+    chunkCount: job.chunks.length,
+    failedChunkCount: job.chunks.filter(c => c?.status === 'failed').length,
+    transcriptLength: job.transcript.length,
+    hasSummary: Boolean(job.summary),
+    cost: job.usage?.cost ?? 0,
+    errorCount: job.errors.length,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    completedAt: job.completedAt,
+});
+
+export const toJobDetail = (job) => {
+    const { events, ...rest } = job;
+    const detail = Object.fromEntries(Object.entries(rest).filter(([key]) => !key.endsWith('Path')));
+    detail.chunks = job.chunks.map(chunk => {
+        if (!chunk) { return chunk; }
+        const { path: chunkPath, ...visible } = chunk;
+        return visible;
+    });
+    return { ...detail, eventCount: events.length };
+};
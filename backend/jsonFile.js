@@ -0,0 +1,17 @@
+import fs from 'fs';
+
+// Write JSON to a temp file first and rename it into place, so a crash mid-write never leaves a truncated file.
+// Throws like fs.writeFileSync; callers decide whether a failed write is fatal.
+export const writeJsonAtomic = (filePath, data) => {
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpPath, filePath);
+};
+
+// Entries of a JSON-lines file ([] when it does not exist yet), skipping a line cut short by a crash
+export const readJsonLines = (filePath) => {
+    if (!fs.existsSync(filePath)) { return []; }
+    return fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean).flatMap(line => {
+        try { return [JSON.parse(line)]; } catch { return []; }
+    });
+};
@@ -0,0 +1,265 @@
+import fs from 'fs';
+import path from 'path';
+import { WebSocketServer } from 'ws';
+import { v4 as uuidv4 } from 'uuid';
+import { resolveProvider } from './providers/index.js';
+import { parseSpeakerNames, renameSpeakers, segmentsFromWords, formatSegments } from './speakers.js';
+import { dataDir, createJob, getJob, updateJob, setChunk, isTerminal } from './jobStore.js';
+import { parseSummaryOptions } from './summaryTemplates.js';
+
+// Live microphone transcription over a WebSocket (ws://host/live?model=nova-3&diarize=true&format=pcm&sampleRate=16000).
+// summarize=true summarizes the saved session; summaryTemplate, summaryFormat, summaryLanguage and summaryLength pick the template.
+//
+// Client -> server: binary frames of audio, then a text frame {"type":"stop"} (or just close the socket).
+//   format=pcm         raw 16-bit little-endian PCM (linear16); sampleRate/channels describe it
+//   format=webm | ogg  Opus audio as produced by MediaRecorder
+// Server -> client: JSON text frames
+//   { type: 'ready', jobId }
+//   { type: 'transcript', isFinal, speechFinal, start, end, transcript, words }   (transcript carries speaker labels)
+//   { type: 'error', message }
+//   { type: 'stopped', reason }            the server ended the session (length, size or budget limit reached)
+//   { type: 'saved', jobId, downloadUrl }   once the session has been stored as a regular job
+//
+// The captured audio is kept under DATA_DIR/audio and the session is stored as a job of type 'live'.
+// The upgrade needs an API key (Authorization header or ?apiKey=); the job belongs to that key.
+//   LIVE_MAX_SESSION_SEC - longest a session may run before it is stopped and saved (default 4 hours)
+//   LIVE_MAX_AUDIO_BYTES - most audio a session may send before it is stopped and saved (default 500 MB)
+
+export const audioDir = path.join(dataDir, 'audio');
+if (!fs.existsSync(audioDir)) { fs.mkdirSync(audioDir, { recursive: true }); }
+
+const LIVE_FORMATS = { pcm: 'wav', webm: 'webm', ogg: 'ogg' };
+// How long to wait for the provider to flush its final results after a stop
+const LIVE_CLOSE_TIMEOUT_MS = parseInt(process.env.LIVE_CLOSE_TIMEOUT_MS, 10) || 5000;
+const LIVE_MAX_SESSION_SEC = parseInt(process.env.LIVE_MAX_SESSION_SEC, 10) || 4 * 60 * 60;
+const LIVE_MAX_AUDIO_BYTES = parseInt(process.env.LIVE_MAX_AUDIO_BYTES, 10) || 500 * 1024 * 1024;
+// How often a running session's cost so far is checked against the monthly budgets
+const LIVE_BUDGET_CHECK_MS = 10 * 1000;
+const WAV_HEADER_BYTES = 44;
+
+const liveSessions = new Map();
+
+// Canonical 44-byte PCM WAV header; written as a placeholder first and rewritten with the real size at the end
+const wavHeader = (dataBytes, sampleRate, channels) => {
+    const header = Buffer.alloc(WAV_HEADER_BYTES);
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + dataBytes, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(channels, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * channels * 2, 28);
+    header.writeUInt16LE(channels * 2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36);
+    header.writeUInt32LE(dataBytes, 40);
+    return header;
+};
+
+const labelledText = (words, transcript, diarizeEnabled, speakerNames) => {
+    if (!diarizeEnabled || words.length === 0) { return transcript; }
+    return renameSpeakers(formatSegments(segmentsFromWords(words)).trim(), speakerNames);
+};
+
+const parseLiveOptions = (requestUrl) => {
+    const params = new URL(requestUrl, 'http://localhost').searchParams;
+    const format = (params.get('format') || 'pcm').toLowerCase();
+    if (!LIVE_FORMATS[format]) { throw new Error(`Unsupported format '${format}'. Use one of: ${Object.keys(LIVE_FORMATS).join(', ')}.`); }
+    return {
+        model: params.get('model') || 'nova-2',
+        diarize: params.get('diarize') === 'true',
+        summarize: params.get('summarize') === 'true',
+        format,
+        sampleRate: parseInt(params.get('sampleRate') || params.get('sample_rate'), 10) || 16000,
+        channels: parseInt(params.get('channels'), 10) || 1,
+        speakerNames: parseSpeakerNames(params.get('speakerNames')),
+        summaryOptions: parseSummaryOptions(Object.fromEntries(params)),
+    };
+};
+
+// deps: { sendProgress(id, type, data), summarize(id, text), closeSseConnection(id), authenticate(req), jobQuotaError(principal),
+//         budgetStatus(principal, estimatedCost), costOf(model, units), recordUsage(id, model, units) }
+const startLiveSession = (socket, req, deps) => {
+    const sendToClient = (message) => { if (socket.readyState === socket.OPEN) { socket.send(JSON.stringify(message)); } };
+    const reject = (message) => {
+        sendToClient({ type: 'error', message });
+        socket.close(1008, message.slice(0, 120));
+    };
+
+    let options;
+    try {
+        options = parseLiveOptions(req.url);
+    } catch (err) {
+        return reject(err.message);
+    }
+    const provider = resolveProvider(options.model);
+    const { available, reason } = provider.probe();
+    if (!provider.openLiveStream) { return reject(`${provider.name} does not support live transcription.`); }
+    if (!available) { return reject(`Model '${options.model}' is unavailable: ${reason}`); }
+
+    const id = uuidv4();
+    const extension = LIVE_FORMATS[options.format];
+    const audioPath = path.join(audioDir, `${id}.${extension}`);
+    const startedAt = new Date();
+    const principal = deps.authenticate(req);
+    createJob({ id, type: 'live', originalName: `Live session ${startedAt.toISOString()}.${extension}`, options: { ...options, outputFormat: 'txt' }, ownerId: principal.id });
+    updateJob(id, { audioPath });
+    console.log(`[${id}] Live session started (Model: ${options.model}, Diarize: ${options.diarize}, Format: ${options.format}).`);
+
+    const audioFile = fs.openSync(audioPath, 'w');
+    if (options.format === 'pcm') { fs.writeSync(audioFile, wavHeader(0, options.sampleRate, options.channels)); }
+    let audioBytes = 0;
+    const finalWords = [];
+    const finalTexts = [];
+    let stopping = false;
+    let finished = false;
+    let closeTimer = null;
+    let limitTimer = null;
+    let budgetTimer = null;
+
+    // Streaming is billed for the audio sent; compressed audio arrives in real time, so the session length stands in for it
+    const billedAudioSeconds = () => (options.format === 'pcm'
+        ? audioBytes / (options.sampleRate * options.channels * 2)
+        : (Date.now() - startedAt.getTime()) / 1000);
+
+    const finalize = async () => {
+        if (finished) { return; }
+        finished = true;
+        // The provider may close the stream on its own (idle timeout, dropped connection): no audio may be written
+        // to the closed file after this, and the socket is not read while the session is saved and summarized
+        stopping = true;
+        socket.pause();
+        clearTimeout(closeTimer);
+        clearTimeout(limitTimer);
+        clearInterval(budgetTimer);
+        liveSessions.delete(id);
+        if (options.format === 'pcm') { fs.writeSync(audioFile, wavHeader(audioBytes, options.sampleRate, options.channels), 0, WAV_HEADER_BYTES, 0); }
+        fs.closeSync(audioFile);
+        if (isTerminal(getJob(id))) { socket.resume(); return; } // cancelled or deleted meanwhile
+
+        const duration = options.format === 'pcm' ? audioBytes / (options.sampleRate * options.channels * 2) : (finalWords[finalWords.length - 1]?.end ?? null);
+        const segments = segmentsFromWords(finalWords);
+        const plainTranscript = finalTexts.join(' ');
+        const formattedTranscript = options.diarize ? formatSegments(segments) : plainTranscript;
+        const transcript = renameSpeakers(formattedTranscript, options.speakerNames);
+        setChunk(id, 0, { status: 'completed', start: 0, end: duration, transcript: plainTranscript, formattedTranscript, segments, words: finalWords });
+        updateJob(id, { transcript, segments, words: finalWords, duration });
+        if (audioBytes > 0) { deps.recordUsage(id, options.model, { billedAudioSeconds: billedAudioSeconds() }); }
+        console.log(`[${id}] Live session ended: ${audioBytes} bytes of audio, ${finalWords.length} words.`);
+
+        if (audioBytes === 0) {
+            updateJob(id, { status: 'failed' });
+            deps.sendProgress(id, 'error', { message: 'Live session ended without any audio.' });
+            sendToClient({ type: 'error', message: 'No audio received.' });
+        } else {
+            if (options.summarize) { await deps.summarize(id, options.diarize ? transcript : plainTranscript); }
+            if (isTerminal(getJob(id))) { socket.resume(); return; }
+            updateJob(id, { status: 'completed' });
+            const downloadUrl = `/jobs/${id}/download?format=txt`;
+            deps.sendProgress(id, 'done', { message: 'Live session saved.', downloadUrl });
+            sendToClient({ type: 'saved', jobId: id, downloadUrl });
+        }
+        deps.closeSseConnection(id);
+        // Reading resumes so the close handshake can complete
+        socket.resume();
+        if (socket.readyState === socket.OPEN) { socket.close(1000, 'Session saved'); }
+    };
+
+    let stream;
+    try {
+        const streamOptions = { model: options.model, diarize: options.diarize };
+        if (options.format === 'pcm') { Object.assign(streamOptions, { encoding: 'linear16', sampleRate: options.sampleRate, channels: options.channels }); }
+        stream = provider.openLiveStream(streamOptions, {
+            onOpen: () => deps.sendProgress(id, 'status', { message: `Live transcription connected (${provider.name}).`, model: options.model }),
+            onTranscript: (result) => {
+                const transcript = labelledText(result.words, result.transcript, options.diarize, options.speakerNames);
+                sendToClient({ type: 'transcript', ...result, transcript });
+                if (!result.isFinal || !result.transcript.trim()) { return; }
+                finalWords.push(...result.words);
+                finalTexts.push(result.transcript);
+                deps.sendProgress(id, 'partial_transcript', { transcript: `${transcript}\n\n`, start: result.start, end: result.end });
+            },
+            onError: (err) => {
+                console.error(`[${id}] Live transcription error:`, err);
+                deps.sendProgress(id, 'error', { message: `Live transcription error: ${err.message}` });
+                sendToClient({ type: 'error', message: err.message });
+            },
+            onClose: () => { finalize().catch(err => console.error(`[${id}] Failed to save live session:`, err)); },
+        });
+    } catch (err) {
+        console.error(`[${id}] Could not open live stream:`, err);
+        finished = true;
+        fs.closeSync(audioFile);
+        fs.unlinkSync(audioPath);
+        updateJob(id, { status: 'failed' });
+        deps.sendProgress(id, 'error', { message: `Could not start live transcription: ${err.message}` });
+        return reject(`Could not start live transcription: ${err.message}`);
+    }
+
+    // `reason` is set when the server ends the session itself
+    const stop = (reason = null) => {
+        if (stopping) { return; }
+        stopping = true;
+        if (reason) {
+            console.log(`[${id}] Stopping live session: ${reason}`);
+            deps.sendProgress(id, 'warning', { message: reason });
+            sendToClient({ type: 'stopped', reason });
+        }
+        deps.sendProgress(id, 'status', { message: 'Live session stopped, finishing transcription...' });
+        try { stream.finish(); } catch (err) { console.error(`[${id}] Error closing live stream:`, err); }
+        // Save what we have even if the provider never confirms the close
+        closeTimer = setTimeout(() => { finalize().catch(err => console.error(`[${id}] Failed to save live session:`, err)); }, LIVE_CLOSE_TIMEOUT_MS);
+    };
+    liveSessions.set(id, { stop });
+    // The session is billed when it ends, so its running cost is checked against the budgets while it lasts
+    budgetTimer = setInterval(() => {
+        const { error } = deps.budgetStatus(principal, deps.costOf(options.model, { billedAudioSeconds: billedAudioSeconds() }));
+        if (error) { stop(`Monthly budget reached, live session stopped. ${error}`); }
+    }, LIVE_BUDGET_CHECK_MS);
+    limitTimer = setTimeout(() => stop(`Live sessions are limited to ${Math.round(LIVE_MAX_SESSION_SEC / 60)} minutes.`), LIVE_MAX_SESSION_SEC * 1000);
+
+    socket.on('message', (data, isBinary) => {
+        if (isBinary) {
+            if (stopping || finished) { return; }
+            if (audioBytes + data.length > LIVE_MAX_AUDIO_BYTES) {
+                stop(`Live sessions are limited to ${Math.round(LIVE_MAX_AUDIO_BYTES / (1024 * 1024))} MB of audio.`);
+                return;
+            }
+            fs.writeSync(audioFile, data);
+            audioBytes += data.length;
+            stream.send(data);
+            return;
+        }
+        let message = null;
+        try { message = JSON.parse(data.toString()); } catch (e) { /* ignore malformed control frames */ }
+        if (message?.type === 'stop') { stop(); }
+    });
+    socket.on('close', () => stop());
+    socket.on('error', (err) => { console.error(`[${id}] Live socket error:`, err); stop(); });
+
+    sendToClient({ type: 'ready', jobId: id });
+};
+
+// Stop a running live session (e.g. from /cancel); the job itself is marked by the caller
+export const stopLiveSession = (id) => {
+    const session = liveSessions.get(id);
+    if (session) { session.stop(); }
+};
+
+export const attachLiveServer = (server, deps) => {
+    // Refuse the upgrade itself when the key is missing or out of quota, so clients see a plain HTTP error
+    const verifyClient = ({ req }, done) => {
+        const principal = deps.authenticate(req);
+        if (!principal) { return done(false, 401, 'A valid API key is required.'); }
+        const quotaError = deps.jobQuotaError(principal);
+        if (quotaError) { return done(false, 429, quotaError); }
+        const { error: budgetError } = deps.budgetStatus(principal);
+        if (budgetError) { return done(false, 402, budgetError); }
+        done(true);
+    };
+    const wss = new WebSocketServer({ server, path: '/live', verifyClient });
+    wss.on('connection', (socket, req) => startLiveSession(socket, req, deps));
+    return wss;
+};
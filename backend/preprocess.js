@@ -0,0 +1,186 @@
+import fs from 'fs';
+import { exec } from 'child_process';
+import ffmpeg from 'ffmpeg-static';
+import ffprobe from 'ffprobe-static';
+import { formatSegments } from './speakers.js';
+
+// Optional audio preprocessing before transcription, chosen per request:
+//   preprocess=highpass,denoise,loudnorm,silence   any combination; always applied in this order
+//   highpassHz (default 100), silenceThresholdDb (default -35), silenceMinSec (default 1)
+//   channelMode=split   transcribe the left and right channels separately, labelled Speaker 0 and Speaker 1
+// Each track is written as 16 kHz mono FLAC. Removing silence shortens the audio, so a trimmed track keeps a
+// time map ([{ start, end, originalStart }], seconds) that puts transcript timings back on the original timeline.
+
+export const PREPROCESS_FILTERS = ['highpass', 'denoise', 'loudnorm', 'silence'];
+export const CHANNEL_MODES = ['mix', 'split'];
+
+// Silence removal works on 10 ms frames (160 samples at 16 kHz) so the time map matches the cut exactly
+const SAMPLE_RATE = 16000;
+const FRAME_SAMPLES = 160;
+const FRAME_SEC = FRAME_SAMPLES / SAMPLE_RATE;
+// Audio kept on each side of a removed pause so words are not clipped
+const SILENCE_PADDING_SEC = 0.25;
+
+const round3 = (seconds) => Math.round(seconds * 1000) / 1000;
+
+const parseNumber = (value, label, fallback, min, max) => {
+    if (value === undefined || value === null || value === '') { return fallback; }
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < min || number > max) { throw new Error(`${label} must be a number between ${min} and ${max}.`); }
+    return number;
+};
+
+// Read preprocess, channelMode and the filter settings from a request body; null when nothing was asked for.
+// Throws on invalid input.
+export const parsePreprocessOptions = (body = {}) => {
+    const requested = (Array.isArray(body.preprocess) ? body.preprocess : String(body.preprocess ?? '').split(','))
+        .map(f => String(f).trim().toLowerCase())
+        .filter(Boolean);
+    const unknown = requested.find(f => !PREPROCESS_FILTERS.includes(f));
+    if (unknown) { throw new Error(`Unknown filter '${unknown}'. Use any of: ${PREPROCESS_FILTERS.join(', ')}.`); }
+    const channels = String(body.channelMode || 'mix').toLowerCase();
+    if (!CHANNEL_MODES.includes(channels)) { throw new Error(`Unknown channelMode '${body.channelMode}'. Use one of: ${CHANNEL_MODES.join(', ')}.`); }
+    if (requested.length === 0 && channels === 'mix') { return null; }
+    return {
+        filters: PREPROCESS_FILTERS.filter(f => requested.includes(f)),
+        channels,
+        highpassHz: parseNumber(body.highpassHz, 'highpassHz', 100, 20, 1000),
+        silenceThresholdDb: parseNumber(body.silenceThresholdDb, 'silenceThresholdDb', -35, -90, 0),
+        silenceMinSec: parseNumber(body.silenceMinSec, 'silenceMinSec', 1, 0.3, 60),
+    };
+};
+
+// Duration and channel count of the first audio stream
+const probeAudio = async (filePath) => {
+    const command = `"${ffprobe.path}" -v error -select_streams a:0 -show_entries format=duration:stream=channels -of json "${filePath}"`;
+    const stdout = await new Promise((resolve, reject) => {
+        exec(command, { maxBuffer: 10 * 1024 * 1024 }, (error, out, stderr) => {
+            if (error) reject(new Error(`FFprobe failed: ${stderr || error.message}`)); else resolve(out);
+        });
+    });
+    const probeData = JSON.parse(stdout);
+    const duration = parseFloat(probeData.format?.duration);
+    if (!Number.isFinite(duration)) { throw new Error('FFprobe did not report a duration.'); }
+    return { duration, channels: probeData.streams?.[0]?.channels ?? 1 };
+};
+
+const filterChain = ({ filters, highpassHz }, channel) => [
+    channel === null ? null : `pan=mono|c0=c${channel}`,
+    filters.includes('highpass') ? `highpass=f=${highpassHz}` : null,
+    filters.includes('denoise') ? 'afftdn=nf=-25' : null,
+    filters.includes('loudnorm') ? 'loudnorm=I=-16:TP=-1.5:LRA=11' : null,
+].filter(Boolean).join(',');
+
+// Silent stretches reported by FFmpeg's silencedetect; one still open at the end runs to the end of the file
+export const parseSilences = (stderr, duration) => {
+    const silences = [];
+    stderr.split('\n').forEach(line => {
+        const start = /silence_start:\s*(-?[\d.]+)/.exec(line);
+        if (start) { silences.push({ start: Math.max(0, parseFloat(start[1])), end: null }); }
+        const end = /silence_end:\s*([\d.]+)/.exec(line);
+        if (end && silences.length > 0 && silences[silences.length - 1].end === null) { silences[silences.length - 1].end = parseFloat(end[1]); }
+    });
+    return silences.map(s => ({ start: s.start, end: s.end ?? duration }));
+};
+
+// Spans of audio that stay once the silences are cut (keeping some padding around speech), as a time map.
+// Spans are whole 10 ms frames so they describe exactly what removeSilence keeps.
+export const buildTimeMap = (silences, duration) => {
+    const timeMap = [];
+    let processed = 0;
+    const keep = (from, to) => {
+        const firstFrame = Math.ceil(from / FRAME_SEC - 1e-6);
+        const lastFrame = Math.ceil(to / FRAME_SEC - 1e-6) - 1;
+        if (lastFrame < firstFrame) { return; }
+        const length = (lastFrame - firstFrame + 1) * FRAME_SEC;
+        timeMap.push({ start: round3(processed), end: round3(processed + length), originalStart: round3(firstFrame * FRAME_SEC) });
+        processed += length;
+    };
+    let cursor = 0;
+    silences.forEach(({ start, end }) => {
+        const cutFrom = Math.max(cursor, start <= 0 ? 0 : start + SILENCE_PADDING_SEC);
+        const cutTo = end >= duration ? duration : end - SILENCE_PADDING_SEC;
+        if (cutTo <= cutFrom) { return; }
+        keep(cursor, cutFrom);
+        cursor = cutTo;
+    });
+    keep(cursor, duration);
+    return timeMap;
+};
+
+// Position in the original recording of a time in the trimmed audio. An end time at a cut belongs to the span
+// before it, a start time to the span after it.
+export const toOriginalTime = (seconds, timeMap, { isEnd = false } = {}) => {
+    if (!timeMap?.length || !Number.isFinite(seconds)) { return seconds; }
+    const span = timeMap.findLast(s => (isEnd ? s.start < seconds : s.start <= seconds)) ?? timeMap[0];
+    return round3(span.originalStart + (seconds - span.start));
+};
+
+// Map the start/end of segments or words onto the original timeline
+export const remapTimings = (items = [], timeMap = null) => (timeMap?.length
+    ? items.map(item => ({ ...item, start: toOriginalTime(item.start, timeMap), end: toOriginalTime(item.end, timeMap, { isEnd: true }) }))
+    : items);
+
+// Per-channel mode: a channel's transcript is one speaker. Segments are needed to interleave the channels later,
+// so a result without any gets a single segment.
+export const labelChannel = (result, channel, offsetSec = 0) => {
+    const words = (result.words ?? []).map(w => ({ ...w, speaker: channel }));
+    let segments = (result.segments ?? []).map(s => ({ ...s, speaker: channel }));
+    if (segments.length === 0 && result.transcript?.trim()) {
+        segments = [{ start: offsetSec, end: words[words.length - 1]?.end ?? offsetSec, speaker: channel, text: result.transcript.trim() }];
+    }
+    return { ...result, words, segments, formattedTranscript: formatSegments(segments) };
+};
+
+const channelLabel = (channel) => (channel === null ? '' : ` (${channel === 0 ? 'left' : 'right'} channel)`);
+
+// Cut the silences out of a track; resolves with the time map, or null when there was nothing worth removing
+const removeSilence = async (trackPath, trimmedPath, options, duration, { runCommand, emit }, channel) => {
+    const { stderr } = await runCommand(`"${ffmpeg}" -i "${trackPath}" -af silencedetect=noise=${options.silenceThresholdDb}dB:d=${options.silenceMinSec} -f null -`, 'FFmpeg silence detection');
+    const timeMap = buildTimeMap(parseSilences(stderr, duration), duration);
+    const keptSec = timeMap.reduce((sum, span) => sum + (span.end - span.start), 0);
+    if (timeMap.length === 0) {
+        emit('warning', { message: `The recording${channelLabel(channel)} seems to be silent; silence removal skipped.` });
+        return null;
+    }
+    if (duration - keptSec < 0.5) { return null; }
+    const expression = timeMap.map(s => `between(t,${(s.originalStart - FRAME_SEC / 2).toFixed(3)},${(s.originalStart + (s.end - s.start) - FRAME_SEC / 2).toFixed(3)})`).join('+');
+    await runCommand(`"${ffmpeg}" -y -i "${trackPath}" -af "asetnsamples=n=${FRAME_SAMPLES},aselect='${expression}',asetpts=N/SR/TB" -c:a flac "${trimmedPath}"`, 'FFmpeg silence removal');
+    emit('status', { message: `Removed ${(duration - keptSec).toFixed(1)}s of silence${channelLabel(channel)}.` });
+    return timeMap;
+};
+
+// Write the track(s) to transcribe next to `outputPrefix`. Resolves with
+// { duration, channels, tracks: [{ channel, path, timeMap, removedSec }] }; channel is null for a mixed-down track.
+// ctx: { runCommand(command, label), emit(type, data) } as for providers.
+export const preprocessAudio = async (filePath, options, outputPrefix, ctx) => {
+    const { duration, channels } = await probeAudio(filePath);
+    let channelList = [null];
+    if (options.channels === 'split') {
+        if (channels >= 2) {
+            channelList = [0, 1];
+            if (channels > 2) { ctx.emit('warning', { message: `The recording has ${channels} channels; only the first two are transcribed.` }); }
+        } else {
+            ctx.emit('warning', { message: 'Per-channel mode needs a stereo recording; this one is mono and is transcribed as a single track.' });
+        }
+    }
+    const tracks = [];
+    for (const channel of channelList) {
+        const trackPath = `${outputPrefix}${channel === null ? 'mix' : `ch${channel}`}.flac`;
+        const chain = filterChain(options, channel);
+        const steps = [...options.filters.filter(f => f !== 'silence'), ...(channel === null ? [] : ['channel split'])];
+        ctx.emit('status', { message: `Preprocessing audio${channelLabel(channel)}${steps.length > 0 ? `: ${steps.join(', ')}` : ''}...` });
+        await ctx.runCommand(`"${ffmpeg}" -y -i "${filePath}" -vn ${chain ? `-af "${chain}" ` : ''}-ac 1 -ar ${SAMPLE_RATE} -c:a flac "${trackPath}"`, 'FFmpeg preprocessing');
+        let track = { channel, path: trackPath, timeMap: null, removedSec: 0 };
+        if (options.filters.includes('silence')) {
+            const trimmedPath = trackPath.replace(/\.flac$/, '_trimmed.flac');
+            const timeMap = await removeSilence(trackPath, trimmedPath, options, duration, ctx, channel);
+            if (timeMap) {
+                fs.unlinkSync(trackPath);
+                track = { channel, path: trimmedPath, timeMap, removedSec: round3(duration - timeMap[timeMap.length - 1].end) };
+            }
+        }
+        tracks.push(track);
+    }
+    return { duration, channels, tracks };
+};
@@ -0,0 +1,138 @@
+import fs from 'fs';
+import path from 'path';
+import { createClient, LiveTranscriptionEvents } from '@deepgram/sdk';
+import { withRetry, withTimeout, REQUEST_TIMEOUT_MS } from '../retry.js';
+
+const DEEPGRAM_MODELS = [
+    { id: 'nova-3', name: 'Deepgram Nova-3' },
+    { id: 'nova-2', name: 'Deepgram Nova-2' },
+];
+
+const CAPABILITIES = { diarization: true, wordTimings: true, segmentTimings: true, wholeFile: false, offline: false, streaming: true };
+
+// Redaction types Deepgram handles itself (see redaction.js); the rest are redacted locally
+const DEEPGRAM_REDACT_TYPES = ['pci', 'ssn'];
+
+// Deepgram closes a live stream after ~10s without audio; keep it open while the microphone is paused
+const LIVE_KEEPALIVE_MS = 8000;
+
+const toWord = (w, offsetSec, diarizeEnabled) => ({
+    word: w.word,
+    punctuated_word: w.punctuated_word ?? w.word,
+    start: w.start + offsetSec,
+    end: w.end + offsetSec,
+    confidence: w.confidence,
+    speaker: diarizeEnabled ? (w.speaker ?? null) : null,
+});
+
+// Language and vocabulary options: Nova-3 takes keyterm prompts, older models boosted keywords ("term:intensifier")
+const vocabularyOptions = (model, { language, keyterms }) => {
+    const options = {};
+    if (language === 'auto') { options.detect_language = true; } else if (language) { options.language = language; }
+    if (keyterms.length > 0) {
+        if (model.startsWith('nova-3')) { options.keyterm = keyterms.map(k => k.term); }
+        else { options.keywords = keyterms.map(k => (k.boost === null || k.boost === undefined ? k.term : `${k.term}:${k.boost}`)); }
+    }
+    return options;
+};
+
+// Deepgram Pre-recorded API (one chunk per request) and live streaming API
+export const createDeepgramProvider = ({ apiKey }) => {
+    const deepgramClient = apiKey ? createClient(apiKey) : null;
+
+    // offsetSec is the chunk's start time in the original file; returned timings are absolute.
+    // With language 'auto' the detected language is returned as `language`.
+    const transcribeChunk = async ({ chunkPath, offsetSec = 0, diarize: diarizeEnabled, model, language = null, keyterms = [], redact = [] }, ctx) => {
+        if (!deepgramClient) { throw new Error('Deepgram API key not configured.'); }
+        const chunkName = path.basename(chunkPath);
+        console.log(`[${ctx.clientId}] Transcribing chunk: ${chunkName} (Diarize: ${diarizeEnabled}, Model: ${model})`);
+        const transcriptionOptions = { punctuate: true, smart_format: true, model: model || 'nova-2' };
+        if (diarizeEnabled) { transcriptionOptions.diarize = true; }
+        Object.assign(transcriptionOptions, vocabularyOptions(transcriptionOptions.model, { language, keyterms }));
+        const redactTypes = redact.filter(type => DEEPGRAM_REDACT_TYPES.includes(type));
+        if (redactTypes.length > 0) { transcriptionOptions.redact = redactTypes; }
+        const audioBuffer = fs.readFileSync(chunkPath);
+        const { result } = await withRetry(async () => {
+            const response = await withTimeout(deepgramClient.listen.prerecorded.transcribeFile(audioBuffer, transcriptionOptions), REQUEST_TIMEOUT_MS, 'Deepgram request');
+            if (response.error) { throw response.error; }
+            return response;
+        }, ctx.retryOptions(`Deepgram request for chunk ${chunkName}`));
+        ctx.recordUsage(transcriptionOptions.model, { billedAudioSeconds: result?.metadata?.duration ?? 0 });
+        let formattedTranscript = '';
+        const alternative = result?.results?.channels?.[0]?.alternatives?.[0];
+        const plainTranscript = alternative?.transcript ?? '';
+        const words = (alternative?.words ?? []).map(w => toWord(w, offsetSec, diarizeEnabled));
+        const segments = (alternative?.paragraphs?.paragraphs ?? []).map(p => ({
+            start: p.start + offsetSec,
+            end: p.end + offsetSec,
+            speaker: diarizeEnabled ? (p.speaker ?? null) : null,
+            text: p.sentences?.map(s => s.text).join(' ') ?? '',
+        }));
+        if (segments.length === 0 && plainTranscript.trim().length > 0) {
+            segments.push({ start: words[0]?.start ?? offsetSec, end: words[words.length - 1]?.end ?? offsetSec, speaker: null, text: plainTranscript });
+        }
+        if (diarizeEnabled && alternative?.paragraphs?.paragraphs) {
+            console.log(`[${ctx.clientId}] Diarization successful for chunk ${chunkName}.`);
+            alternative.paragraphs.paragraphs.forEach(p => {
+                const speaker = p.speaker !== null && p.speaker !== undefined ? `Speaker ${p.speaker}: ` : '';
+                const text = p.sentences?.map(s => s.text).join(' ') ?? '';
+                formattedTranscript += speaker + text + '\n\n';
+            });
+        } else {
+            if (diarizeEnabled) { console.warn(`[${ctx.clientId}] Diarization enabled but no paragraphs found.`); }
+            formattedTranscript = plainTranscript + ' ';
+        }
+        console.log(`[${ctx.clientId}] Transcription processed for chunk ${chunkName}.`);
+        return { transcript: plainTranscript, formattedTranscript, segments, words, language: result?.results?.channels?.[0]?.detected_language ?? null };
+    };
+
+    // Live transcription over Deepgram's streaming API. `encoding`/`sampleRate`/`channels` describe raw audio
+    // (e.g. linear16); leave encoding unset for containerised audio (WebM/Ogg Opus), which Deepgram detects itself.
+    // handlers: { onOpen(), onTranscript({ isFinal, speechFinal, start, end, transcript, words }), onError(err), onClose() }
+    const openLiveStream = ({ model, diarize: diarizeEnabled, encoding = null, sampleRate = null, channels = null }, handlers) => {
+        if (!deepgramClient) { throw new Error('Deepgram API key not configured.'); }
+        const liveOptions = { model: model || 'nova-2', punctuate: true, smart_format: true, interim_results: true };
+        if (diarizeEnabled) { liveOptions.diarize = true; }
+        if (encoding) { Object.assign(liveOptions, { encoding, sample_rate: sampleRate, channels }); }
+        const connection = deepgramClient.listen.live(liveOptions);
+        const keepAlive = setInterval(() => { if (connection.isConnected()) { connection.keepAlive(); } }, LIVE_KEEPALIVE_MS);
+
+        connection.on(LiveTranscriptionEvents.Open, () => handlers.onOpen?.());
+        connection.on(LiveTranscriptionEvents.Transcript, (data) => {
+            const alternative = data?.channel?.alternatives?.[0];
+            handlers.onTranscript({
+                isFinal: Boolean(data.is_final),
+                speechFinal: Boolean(data.speech_final),
+                start: data.start ?? 0,
+                end: (data.start ?? 0) + (data.duration ?? 0),
+                transcript: alternative?.transcript ?? '',
+                words: (alternative?.words ?? []).map(w => toWord(w, 0, diarizeEnabled)),
+            });
+        });
+        connection.on(LiveTranscriptionEvents.Error, (err) => handlers.onError?.(err instanceof Error ? err : new Error(err?.message ?? 'Deepgram live stream error')));
+        connection.on(LiveTranscriptionEvents.Close, () => {
+            clearInterval(keepAlive);
+            handlers.onClose?.();
+        });
+
+        return {
+            send: (audio) => connection.send(audio),
+            // Ask Deepgram to flush final results and close; onClose fires once it has
+            finish: () => connection.requestClose(),
+        };
+    };
+
+    return {
+        id: 'deepgram',
+        name: 'Deepgram',
+        ownsModel: (model) => DEEPGRAM_MODELS.some(m => m.id === model),
+        probe: () => ({
+            available: Boolean(deepgramClient),
+            reason: deepgramClient ? null : 'DEEPGRAM_API_KEY not configured.',
+            capabilities: CAPABILITIES,
+            models: DEEPGRAM_MODELS,
+        }),
+        transcribeChunk,
+        openLiveStream,
+    };
+};
@@ -0,0 +1,214 @@
+import fs from 'fs';
+import path from 'path';
+import mime from 'mime-types';
+import { withRetry, withTimeout, REQUEST_TIMEOUT_MS } from '../retry.js';
+import { renameSpeakers } from '../speakers.js';
+import { languageName } from '../glossaries.js';
+import { SAFETY_SETTINGS, DEFAULT_GEMINI_MODEL, responseText as geminiResponseText, tokenUsage } from '../geminiClient.js';
+
+// Gemini limits: inline requests are capped (~20MB including base64 overhead); larger files use the File API
+const GEMINI_MAX_INLINE_BYTES = 15 * 1024 * 1024;
+const GEMINI_FILE_API_ENABLED = process.env.GEMINI_FILE_API !== 'false';
+
+// Timings only come from [HH:MM:SS] prompts, so Gemini has segment timings but no word timings
+const CAPABILITIES = { diarization: true, wordTimings: false, segmentTimings: true, wholeFile: true, offline: false, streaming: false };
+
+const geminiMimeType = (originalName) => {
+    const fileExt = path.extname(originalName).toLowerCase();
+    if (fileExt === '.mp3') return 'audio/mp3';
+    if (fileExt === '.wav') return 'audio/wav';
+    if (fileExt === '.m4a') return 'audio/m4a';
+    if (fileExt === '.aac') return 'audio/aac';
+    if (fileExt === '.ogg') return 'audio/ogg';
+    if (fileExt === '.flac') return 'audio/flac';
+    if (fileExt === '.mp4') return 'video/mp4';
+    const detectedMimeType = mime.lookup(originalName);
+    console.log(`Detected MIME type via mime.lookup for ${fileExt}: ${detectedMimeType}`);
+    return detectedMimeType || 'application/octet-stream';
+};
+
+// Parse "[HH:MM:SS] Speaker N: text" lines from a timestamped Gemini transcript into segments.
+// Gemini gives no end times, so each segment ends where the next one starts.
+export const parseTimestampedTranscript = (text) => {
+    const segments = [];
+    const lineRegex = /^\s*\[(?:(\d+):)?(\d{1,2}):(\d{2})(?:\.\d+)?\]\s*(?:(?:\*\*)?Speaker\s+(\d+)(?:\*\*)?:\s*)?(.*)$/i;
+    text.split('\n').forEach(line => {
+        const match = line.match(lineRegex);
+        if (match) {
+            const [, h, m, sec, speaker, rest] = match;
+            segments.push({ start: (parseInt(h || '0', 10) * 3600) + (parseInt(m, 10) * 60) + parseInt(sec, 10), end: null, speaker: speaker !== undefined ? parseInt(speaker, 10) : null, text: rest.trim() });
+        } else if (segments.length > 0 && line.trim()) {
+            segments[segments.length - 1].text += ` ${line.trim()}`;
+        }
+    });
+    segments.forEach((seg, i) => {
+        const estimatedEnd = seg.start + Math.max(2, seg.text.split(/\s+/).length * 0.4);
+        seg.end = i + 1 < segments.length ? Math.max(seg.start, segments[i + 1].start) : estimatedEnd;
+    });
+    return segments;
+};
+
+const buildGeminiTranscriptionPrompt = ({ diarizeEnabled, timestampsEnabled, language = null, keyterms = [] }) => {
+    let promptText = "Transcribe the following audio accurately.";
+    if (language === 'auto') promptText += " Transcribe it in the language that is spoken; do not translate it.";
+    else if (language) promptText += ` The audio is in ${languageName(language)}; transcribe it in that language.`;
+    if (keyterms.length > 0) promptText += ` The recording may mention these names and terms; spell them exactly as written here: ${keyterms.map(k => k.term).join(', ')}.`;
+    if (diarizeEnabled) promptText += " Identify different speakers and label their utterances clearly (e.g., 'Speaker 0:', 'Speaker 1:').";
+    if (timestampsEnabled) promptText += " Start every utterance on a new line prefixed with its start time in the audio as [HH:MM:SS] (e.g., '[00:01:05] Speaker 0: Hello.').";
+    return promptText;
+};
+
+const segmentsToText = (segments) => segments.map(seg => (seg.speaker !== null ? `Speaker ${seg.speaker}: ` : '') + seg.text).join('\n\n');
+
+// `client` comes from createGeminiClient (null when GEMINI_API_KEY is missing)
+export const createGeminiProvider = ({ client }) => {
+    // Upload a large file through the Gemini File API. Returns null if the upload is not possible,
+    // in which case the caller falls back to chunked transcription.
+    const uploadToGeminiFileApi = async (ctx, filePath, originalName, mimeType) => {
+        ctx.emit('status', { message: 'Uploading file to Gemini File API...' });
+        try {
+            const uploadedFile = await withRetry(
+                () => client.uploadFile(filePath, { mimeType, displayName: originalName }),
+                ctx.retryOptions('Gemini file upload'),
+            );
+            console.log(`[${ctx.clientId}] Uploaded to Gemini File API as ${uploadedFile.name}.`);
+            return uploadedFile;
+        } catch (err) {
+            console.error(`[${ctx.clientId}] Gemini File API upload failed:`, err);
+            ctx.emit('warning', { message: `Gemini File API upload failed (${err.message}). Falling back to chunked transcription.` });
+            return null;
+        }
+    };
+
+    // Transcribe one audio chunk; timings from timestamped prompts are shifted by offsetSec
+    const transcribeChunk = async ({ chunkPath, offsetSec = 0, diarize: diarizeEnabled, model, timestamps: timestampsEnabled = false, language = null, keyterms = [] }, ctx) => {
+        if (!client) { throw new Error('Gemini API key not configured or model initialization failed.'); }
+        const chunkName = path.basename(chunkPath);
+        console.log(`[${ctx.clientId}] Transcribing chunk with Gemini: ${chunkName} (Diarize: ${diarizeEnabled}, Model: ${model})`);
+        const audioDataPart = { inlineData: { mimeType: geminiMimeType(chunkPath), data: fs.readFileSync(chunkPath).toString("base64") } };
+        const promptText = buildGeminiTranscriptionPrompt({ diarizeEnabled, timestampsEnabled, language, keyterms });
+        const contents = [{ role: "user", parts: [{ text: promptText }, audioDataPart] }];
+        const result = await withRetry(
+            () => withTimeout(client.generateContent({ contents, safetySettings: SAFETY_SETTINGS }), REQUEST_TIMEOUT_MS, 'Gemini request'),
+            ctx.retryOptions(`Gemini request for chunk ${chunkName}`),
+        );
+        ctx.recordUsage(client.modelName, tokenUsage(result));
+        let transcript = geminiResponseText(result).trim();
+        let segments = [];
+        if (timestampsEnabled) {
+            segments = parseTimestampedTranscript(transcript).map(seg => ({ ...seg, start: seg.start + offsetSec, end: seg.end + offsetSec }));
+            if (segments.length > 0) { transcript = segmentsToText(segments); }
+        }
+        return { transcript: `${transcript} `, formattedTranscript: `${transcript}\n\n`, segments, words: [] };
+    };
+
+    // Whole-file transcription (Inline Data or File API); summaries are generated separately from the summary templates.
+    // Resolves with null when the file is too large for one request and must be chunked instead.
+    const transcribeFile = async ({ filePath, originalName, diarize: diarizeEnabled, model: modelIdentifier, timestamps: timestampsEnabled = false, speakerNames = {}, language = null, keyterms = [] }, ctx) => {
+        const clientId = ctx.clientId;
+        console.log(`[${clientId}] Processing with Gemini: ${originalName} (Diarize: ${diarizeEnabled}, Model: ${modelIdentifier})`);
+        ctx.emit('status', { message: `Processing with ${modelIdentifier}...`, model: modelIdentifier });
+
+        let uploadedFile = null;
+        try {
+            if (!client) { throw new Error("Gemini API key not configured or model initialization failed."); }
+
+            // 1. Work out the MIME type and how to hand the audio to Gemini
+            ctx.emit('status', { message: 'Preparing audio data...', model: modelIdentifier });
+            const mimeType = geminiMimeType(originalName);
+            console.log(`[${clientId}] Using MIME type: ${mimeType}`);
+
+            if (mimeType === 'application/octet-stream') {
+                 throw new Error(`Could not determine a supported MIME type for file: ${originalName}`);
+            }
+            if (!mimeType.startsWith('audio/') && !mimeType.startsWith('video/')) {
+                 console.warn(`[${clientId}] Warning: Determined MIME type "${mimeType}" might not be optimal for Gemini audio tasks.`);
+            }
+
+            const fileSize = fs.statSync(filePath).size;
+            let audioDataPart;
+            if (fileSize <= GEMINI_MAX_INLINE_BYTES) {
+                audioDataPart = { inlineData: { mimeType: mimeType, data: fs.readFileSync(filePath).toString("base64") } };
+            } else {
+                // Too large for inline data: try the File API, otherwise let the caller chunk the file
+                uploadedFile = GEMINI_FILE_API_ENABLED ? await uploadToGeminiFileApi(ctx, filePath, originalName, mimeType) : null;
+                if (!uploadedFile) { return null; }
+                audioDataPart = { fileData: { mimeType: uploadedFile.mimeType || mimeType, fileUri: uploadedFile.uri } };
+            }
+
+            // 2. Construct prompt text
+            const promptText = buildGeminiTranscriptionPrompt({ diarizeEnabled, timestampsEnabled, language, keyterms });
+
+            // 3. Prepare contents array
+            const contents = [{ role: "user", parts: [{ text: promptText }, audioDataPart] }];
+
+            // 4. Call Gemini API
+            ctx.emit('status', { message: 'Sending request to Gemini...', model: modelIdentifier });
+            console.log(`[${clientId}] Sending request to Gemini model ${modelIdentifier}...`);
+
+            const result = await withRetry(
+                () => withTimeout(client.generateContent({ contents, safetySettings: SAFETY_SETTINGS }), REQUEST_TIMEOUT_MS, 'Gemini request'),
+                ctx.retryOptions('Gemini transcription request'),
+            );
+            ctx.recordUsage(client.modelName, tokenUsage(result));
+            console.log(`[${clientId}] Raw Gemini Result:`, JSON.stringify(result, null, 2));
+
+            const responseText = geminiResponseText(result);
+            console.log(`[${clientId}] Gemini response received. Extracted text length: ${responseText.length}`);
+
+            // 5. Parse response and send via SSE
+            let transcript = responseText;
+
+            // Move timestamps out of the display text and into segments
+            let segments = [];
+            if (timestampsEnabled) {
+                segments = parseTimestampedTranscript(transcript);
+                if (segments.length > 0) {
+                    transcript = segmentsToText(segments);
+                } else { console.warn(`[${clientId}] No timestamps found in Gemini transcript.`); }
+            }
+            transcript = renameSpeakers(transcript, speakerNames);
+
+            if (transcript && transcript.trim().length > 0) {
+                 ctx.emit('partial_transcript', { transcript: transcript });
+                 console.log(`[${clientId}] Sent transcript part via SSE.`);
+            } else {
+                 console.warn(`[${clientId}] No transcript text found in Gemini response to send.`);
+                 throw new Error("Gemini response did not contain valid transcript text.");
+            }
+            return { transcript, segments };
+
+        } catch (err) {
+            console.error(`[${clientId}] Failed to process with Gemini:`, err);
+            if (err.message?.includes('404') && err.message?.includes('models/')) {
+                 ctx.emit('error', { message: `Model '${modelIdentifier}' not found or unavailable via API.` });
+            } else if (err.message?.includes('RESOURCE_EXHAUSTED') || err.message?.includes('quota')) {
+                 ctx.emit('error', { message: `Gemini API quota exceeded. Please check your usage limits.` });
+            } else if (err.message?.includes('Unsupported MIME type') || err.message?.includes('Could not determine a supported MIME type')) {
+                 ctx.emit('error', { message: `Gemini processing failed: Unsupported file type (${geminiMimeType(originalName)}).` });
+            } else {
+                 ctx.emit('error', { message: `Gemini processing failed: ${err.message || 'Unknown error'}` });
+            }
+            err.reported = true;
+            throw err;
+        } finally {
+            if (uploadedFile) {
+                client.deleteFile(uploadedFile.name).catch(err => console.warn(`[${clientId}] Could not delete Gemini file ${uploadedFile.name}:`, err.message));
+            }
+        }
+    };
+
+    return {
+        id: 'gemini',
+        name: 'Google Gemini',
+        ownsModel: (model) => model.startsWith('gemini-'),
+        probe: () => ({
+            available: Boolean(client),
+            reason: client ? null : 'GEMINI_API_KEY not configured.',
+            capabilities: CAPABILITIES,
+            models: [{ id: DEFAULT_GEMINI_MODEL, name: `Gemini (${DEFAULT_GEMINI_MODEL})` }],
+        }),
+        transcribeChunk,
+        transcribeFile,
+    };
+};
@@ -0,0 +1,39 @@
+// Transcription provider registry.
+//
+// A provider is a plain object:
+//   id, name             - identifiers shown by GET /models
+//   ownsModel(model)     - true if a model id (e.g. 'nova-3', 'gemini-...') belongs to this provider
+//   probe()              - { available, reason, capabilities, models: [{ id, name }] }
+//   transcribeChunk({ chunkPath, offsetSec, diarize, model, timestamps, language, keyterms, redact }, ctx)
+//                        - resolves with { transcript, formattedTranscript, segments, words, language? } (absolute
+//                          timings) or throws; the pipeline reports the error and marks the chunk failed.
+//                          language is a code such as 'en' or 'auto' (detect; providers that can report the
+//                          detected language return it), keyterms the glossary terms [{ term, boost }], redact
+//                          the PII types to remove (providers may redact some natively; redaction.js does the rest)
+//   transcribeFile(...)  - optional whole-file path; resolves with null when the file must be chunked
+//   openLiveStream(options, handlers)
+//                        - optional live transcription; returns { send(audio), finish() } (see providers/deepgram.js)
+//
+// capabilities: { diarization, wordTimings, segmentTimings, wholeFile, offline, streaming }
+// ctx: { clientId, emit(type, data), retryOptions(label), runCommand(command, label), isCancelled(),
+//        recordUsage(model, { billedAudioSeconds, inputTokens, outputTokens }) - once per billed request }
+
+const providers = [];
+let fallbackProvider = null;
+
+// The fallback provider receives any model id no other provider claims (Deepgram accepts arbitrary model names)
+export const registerProvider = (provider, { fallback = false } = {}) => {
+    providers.push(provider);
+    if (fallback) { fallbackProvider = provider; }
+    return provider;
+};
+
+export const getProvider = (id) => providers.find(p => p.id === id) ?? null;
+
+export const resolveProvider = (model) => providers.find(p => p !== fallbackProvider && p.ownsModel(model)) ?? fallbackProvider;
+
+// Provider availability and capabilities for GET /models
+export const describeProviders = () => providers.map(provider => {
+    const { available, reason = null, capabilities, models } = provider.probe();
+    return { id: provider.id, name: provider.name, available, reason, capabilities, models: models.map(m => ({ ...m, provider: provider.id })) };
+});
@@ -0,0 +1,100 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import ffmpeg from 'ffmpeg-static';
+import { segmentsFromWords } from '../speakers.js';
+
+// Offline provider backed by a locally installed whisper.cpp build. Audio never leaves this machine.
+//   WHISPER_CPP_BIN       - whisper.cpp CLI (`whisper-cli`, or `main` in older builds); a name on PATH or a full path
+//   WHISPER_CPP_MODEL     - path to a ggml model file, e.g. models/ggml-base.en.bin
+//   WHISPER_CPP_THREADS   - CPU threads per chunk (defaults to all cores)
+//   WHISPER_CPP_LANGUAGE  - spoken language, or 'auto' to detect it; a job's `language` option takes precedence
+const WHISPER_CPP_BIN = process.env.WHISPER_CPP_BIN || 'whisper-cli';
+const WHISPER_CPP_MODEL = process.env.WHISPER_CPP_MODEL || '';
+const WHISPER_CPP_THREADS = parseInt(process.env.WHISPER_CPP_THREADS, 10) || Math.max(1, os.cpus().length);
+const WHISPER_CPP_LANGUAGE = process.env.WHISPER_CPP_LANGUAGE || 'auto';
+
+const WHISPER_CPP_MODEL_ID = 'whisper-cpp';
+// 16 kHz mono 16-bit WAV
+const WAV_HEADER_BYTES = 44;
+const WAV_BYTES_PER_SECOND = 32000;
+
+// whisper.cpp has no general-purpose diarization, but word-level segments give word timings
+const CAPABILITIES = { diarization: false, wordTimings: true, segmentTimings: true, wholeFile: false, offline: true, streaming: false };
+
+const findExecutable = (bin) => {
+    if (bin.includes('/') || bin.includes(path.sep)) { return fs.existsSync(bin) ? bin : null; }
+    const dirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+    return dirs.map(dir => path.join(dir, bin)).find(candidate => fs.existsSync(candidate)) ?? null;
+};
+
+// whisper.cpp JSON output (-oj) with -ml 1 -sow has one entry per word; offsets are in milliseconds.
+// Stray punctuation entries are glued onto the previous word.
+const wordsFromWhisperJson = (json, offsetSec) => {
+    const words = [];
+    (json?.transcription ?? []).forEach(entry => {
+        const text = (entry.text ?? '').trim();
+        if (!text) { return; }
+        const start = (entry.offsets?.from ?? 0) / 1000 + offsetSec;
+        const end = (entry.offsets?.to ?? 0) / 1000 + offsetSec;
+        if (/^[^\p{L}\p{N}]+$/u.test(text) && words.length > 0) {
+            const last = words[words.length - 1];
+            last.punctuated_word += text;
+            last.end = Math.max(last.end, end);
+            return;
+        }
+        words.push({ word: text.toLowerCase().replace(/[^\p{L}\p{N}']/gu, ''), punctuated_word: text, start, end, confidence: null, speaker: null });
+    });
+    return words;
+};
+
+export const createWhisperCppProvider = () => {
+    const probe = () => {
+        const binary = findExecutable(WHISPER_CPP_BIN);
+        let reason = null;
+        if (!WHISPER_CPP_MODEL) { reason = 'WHISPER_CPP_MODEL not configured.'; }
+        else if (!fs.existsSync(WHISPER_CPP_MODEL)) { reason = `Model file not found: ${WHISPER_CPP_MODEL}`; }
+        else if (!binary) { reason = `whisper.cpp binary not found: ${WHISPER_CPP_BIN}`; }
+        return {
+            available: reason === null,
+            reason,
+            capabilities: CAPABILITIES,
+            models: [{ id: WHISPER_CPP_MODEL_ID, name: `whisper.cpp (${WHISPER_CPP_MODEL ? path.basename(WHISPER_CPP_MODEL) : 'not configured'})` }],
+        };
+    };
+
+    // Glossary terms become the initial prompt, which nudges whisper towards their spelling
+    const transcribeChunk = async ({ chunkPath, offsetSec = 0, language = null, keyterms = [] }, ctx) => {
+        const { available, reason } = probe();
+        if (!available) { throw new Error(`Local transcription unavailable: ${reason}`); }
+        const chunkName = path.basename(chunkPath);
+        console.log(`[${ctx.clientId}] Transcribing chunk locally with whisper.cpp: ${chunkName}`);
+        // whisper.cpp only reads 16 kHz mono WAV
+        const wavPath = `${chunkPath}.wav`;
+        const outputBase = `${chunkPath}.whisper`;
+        try {
+            await ctx.runCommand(`"${ffmpeg}" -y -i "${chunkPath}" -vn -ar 16000 -ac 1 -c:a pcm_s16le "${wavPath}"`, 'FFmpeg');
+            // Metered like the cloud providers (at no cost) so usage reports cover local audio too
+            ctx.recordUsage(WHISPER_CPP_MODEL_ID, { billedAudioSeconds: Math.max(0, fs.statSync(wavPath).size - WAV_HEADER_BYTES) / WAV_BYTES_PER_SECOND });
+            // whisper.cpp takes bare language codes ('pt', not 'pt-BR')
+            const languageCode = language ? language.split('-')[0] : WHISPER_CPP_LANGUAGE;
+            const prompt = keyterms.length > 0 ? `--prompt "${keyterms.map(k => k.term).join(', ')}" ` : '';
+            await ctx.runCommand(`"${findExecutable(WHISPER_CPP_BIN)}" -m "${WHISPER_CPP_MODEL}" -f "${wavPath}" -l ${languageCode} ${prompt}-t ${WHISPER_CPP_THREADS} -ml 1 -sow -oj -of "${outputBase}" -np`, 'whisper.cpp');
+            const words = wordsFromWhisperJson(JSON.parse(fs.readFileSync(`${outputBase}.json`, 'utf8')), offsetSec);
+            const transcript = words.map(w => w.punctuated_word).join(' ');
+            const segments = segmentsFromWords(words);
+            console.log(`[${ctx.clientId}] Transcription processed for chunk ${chunkName}.`);
+            return { transcript, formattedTranscript: `${transcript} `, segments, words };
+        } finally {
+            [wavPath, `${outputBase}.json`].forEach(file => { if (fs.existsSync(file)) { fs.unlinkSync(file); } });
+        }
+    };
+
+    return {
+        id: 'whisper-cpp',
+        name: 'whisper.cpp (local)',
+        ownsModel: (model) => model === WHISPER_CPP_MODEL_ID,
+        probe,
+        transcribeChunk,
+    };
+};
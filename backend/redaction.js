@@ -0,0 +1,198 @@
+import ffmpeg from 'ffmpeg-static';
+
+// PII redaction, chosen per request:
+//   redact=pci,ssn,phone,email,address,name   entity types to remove, or `all`
+//   redactTerms=["Acme Corp", ...]             extra words or phrases always removed (type `custom`)
+//   redactAudio=bleep|silence                  also write a copy of the audio with the redacted ranges bleeped/muted
+// Found entities are replaced by placeholders such as [PHONE] in the transcript, segments and words, for every
+// provider; Deepgram also redacts card and social security numbers itself. The redaction report is built from
+// the placeholders, so it covers both: [{ type, start, end }] (seconds; null when the provider gave no timings).
+
+export const REDACTION_TYPES = ['pci', 'ssn', 'phone', 'email', 'address', 'name'];
+export const REDACTION_AUDIO_MODES = ['bleep', 'silence'];
+
+const MAX_TERMS = 100;
+const MAX_TERM_LENGTH = 100;
+// Audio removed on each side of a redacted word, so its edges are not heard
+const AUDIO_PADDING_SEC = 0.15;
+const BLEEP_FREQUENCY_HZ = 1000;
+
+// A placeholder left by this module ([PHONE]) or by Deepgram ([PCI], [CREDIT_CARD_1])
+const PLACEHOLDER_PATTERN = /^\[([A-Za-z][A-Za-z_]*?)(?:_\d+)?\][.,;:!?]*$/;
+
+const NAME = "[A-Z][a-z]+(?:['-][A-Za-z]+)*";
+const STREET_SUFFIX = '(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Square|Sq|Parkway|Pkwy|Highway|Hwy)';
+
+const digitCount = (text) => (text.match(/\d/g) ?? []).length;
+
+// Luhn checksum of a card number
+const passesLuhn = (text) => {
+    const digits = text.replace(/\D/g, '');
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) { digit *= 2; if (digit > 9) { digit -= 9; } }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+};
+
+// Detectors run in this order, each on the text the previous ones left; `group` is the capture holding the entity
+const DETECTORS = [
+    { type: 'email', pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g },
+    { type: 'pci', pattern: /(?<!\d)\d(?:[ -]?\d){12,18}(?!\d)/g, accept: passesLuhn },
+    { type: 'ssn', pattern: /(?<!\d)\d{3}[ -]\d{2}[ -]\d{4}(?!\d)/g },
+    { type: 'phone', pattern: /(?<![\w+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]?\d{2,4}){1,4}(?![\w])/g, accept: (text) => digitCount(text) >= 7 && digitCount(text) <= 15 },
+    { type: 'address', pattern: new RegExp(`(?<![\\w])\\d{1,5}\\s+(?:[\\p{L}\\d][\\p{L}\\d'-]*\\s+){1,4}${STREET_SUFFIX}\\b\\.?(?:,?\\s+(?:Apt|Apartment|Suite|Unit)\\.?\\s*#?\\w+)?|\\bP\\.?\\s?O\\.?\\s+Box\\s+\\d+`, 'giu') },
+    // Names: introduced by a cue ("my name is", "this is") or a title ("Mr.", "Dr."), and capitalised
+    { type: 'name', pattern: new RegExp(`(?:\\b[Mm]y name(?: is|'s)|\\b[Tt]his is|\\bI am|\\bI'm|\\b[Ss]peaking with|\\b[Cc]all me|\\b(?:Mr|Mrs|Ms|Miss|Dr|Mister|Doctor)\\.?)\\s+(${NAME}(?:\\s+${NAME}){0,2})`, 'gd'), group: 1 },
+];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Redaction options of a request body; null when nothing was asked for. Throws on invalid input.
+export const parseRedactionOptions = (body = {}) => {
+    const requested = (Array.isArray(body.redact) ? body.redact : String(body.redact ?? '').split(','))
+        .map(t => String(t).trim().toLowerCase())
+        .filter(Boolean);
+    const types = requested.includes('all') ? [...REDACTION_TYPES] : requested;
+    const unknown = types.find(t => !REDACTION_TYPES.includes(t));
+    if (unknown) { throw new Error(`Unknown redaction type '${unknown}'. Use any of: ${REDACTION_TYPES.join(', ')}, or all.`); }
+    let terms = body.redactTerms ?? [];
+    if (typeof terms === 'string') {
+        try {
+            terms = terms.trim().startsWith('[') ? JSON.parse(terms) : terms.split(',');
+        } catch {
+            throw new Error('redactTerms must be a list or a comma-separated string.');
+        }
+    }
+    if (!Array.isArray(terms)) { throw new Error('redactTerms must be a list or a comma-separated string.'); }
+    terms = [...new Set(terms.map(t => String(t).trim()).filter(Boolean))];
+    if (terms.length > MAX_TERMS || terms.some(t => t.length > MAX_TERM_LENGTH)) {
+        throw new Error(`redactTerms takes at most ${MAX_TERMS} terms of up to ${MAX_TERM_LENGTH} characters.`);
+    }
+    const audio = body.redactAudio ? String(body.redactAudio).toLowerCase() : null;
+    if (audio && !REDACTION_AUDIO_MODES.includes(audio)) { throw new Error(`Unknown redactAudio '${body.redactAudio}'. Use one of: ${REDACTION_AUDIO_MODES.join(', ')}.`); }
+    if (types.length === 0 && terms.length === 0) {
+        if (audio) { throw new Error('redactAudio needs redact or redactTerms.'); }
+        return null;
+    }
+    return { types: REDACTION_TYPES.filter(t => types.includes(t)), terms, audio };
+};
+
+// Entities in `text` as non-overlapping [{ type, index, length }]. Found spans are masked before the next
+// detector runs, so e.g. a card number is not also reported as a phone number.
+const findEntities = (text, { types = [], terms = [] }) => {
+    const entities = [];
+    let masked = text;
+    const take = (type, index, length) => {
+        entities.push({ type, index, length });
+        masked = masked.slice(0, index) + '#'.repeat(length) + masked.slice(index + length);
+    };
+    DETECTORS.filter(d => types.includes(d.type)).forEach(({ type, pattern, accept, group }) => {
+        [...masked.matchAll(pattern)].forEach(match => {
+            const [start, end] = group ? match.indices[group] : [match.index, match.index + match[0].length];
+            if (!accept || accept(match[0])) { take(type, start, end - start); }
+        });
+    });
+    terms.forEach(term => {
+        [...masked.matchAll(new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term)}(?![\\p{L}\\p{N}])`, 'giu'))].forEach(match => take('custom', match.index, match[0].length));
+    });
+    return entities.sort((a, b) => a.index - b.index);
+};
+
+const placeholder = (type) => `[${type.toUpperCase()}]`;
+
+export const redactText = (text, redaction) => {
+    if (!text || !redaction) { return text; }
+    return findEntities(text, redaction).reduceRight((result, { type, index, length }) => result.slice(0, index) + placeholder(type) + result.slice(index + length), text);
+};
+
+// Redact word by word: entities are found in the joined words, and the words of one entity collapse into a
+// single placeholder word spanning their time range
+const redactWords = (words, redaction) => {
+    if (words.length === 0) { return words; }
+    const offsets = [];
+    let text = '';
+    words.forEach(w => {
+        offsets.push(text.length);
+        text += `${w.punctuated_word ?? w.word} `;
+    });
+    const entityOf = new Array(words.length).fill(null);
+    findEntities(text, redaction).forEach(entity => {
+        words.forEach((w, i) => {
+            const wordEnd = offsets[i] + (w.punctuated_word ?? w.word).length;
+            if (offsets[i] < entity.index + entity.length && wordEnd > entity.index) { entityOf[i] = entity; }
+        });
+    });
+    // The placeholder keeps the punctuation that followed the entity's last word
+    const trailing = (w) => /[.,;:!?]+$/.exec(w.punctuated_word ?? w.word)?.[0] ?? '';
+    const redacted = [];
+    words.forEach((w, i) => {
+        const entity = entityOf[i];
+        if (!entity) { redacted.push(w); return; }
+        if (i > 0 && entityOf[i - 1] === entity) {
+            Object.assign(redacted[redacted.length - 1], { end: w.end, punctuated_word: placeholder(entity.type) + trailing(w) });
+            return;
+        }
+        redacted.push({ ...w, word: placeholder(entity.type).toLowerCase(), punctuated_word: placeholder(entity.type) + trailing(w) });
+    });
+    return redacted;
+};
+
+// Redact a transcription result ({ transcript, formattedTranscript, segments, words }); running it again
+// changes nothing, so chunk results can be redacted as they arrive and again once stitched together
+export const redactResult = (result, redaction) => {
+    if (!redaction) { return result; }
+    return {
+        ...result,
+        transcript: redactText(result.transcript, redaction),
+        formattedTranscript: redactText(result.formattedTranscript, redaction),
+        segments: (result.segments ?? []).map(s => ({ ...s, text: redactText(s.text, redaction) })),
+        words: redactWords(result.words ?? [], redaction),
+    };
+};
+
+// The redaction report: one entry per placeholder, timed by its word, or by its segment when there are no words
+export const redactionReport = ({ transcript = '', segments = [], words = [] }) => {
+    const placeholderType = (token) => PLACEHOLDER_PATTERN.exec(token)?.[1].toLowerCase() ?? null;
+    if (words.length > 0) {
+        const report = [];
+        words.forEach((w, i) => {
+            const type = placeholderType(w.punctuated_word ?? w.word);
+            if (!type) { return; }
+            const last = report[report.length - 1];
+            // Deepgram marks every word of an entity; consecutive ones form one range
+            if (last?.type === type && last.wordIndex === i - 1) { last.end = w.end; last.wordIndex = i; return; }
+            report.push({ type, start: w.start, end: w.end, wordIndex: i });
+        });
+        return report.map(({ wordIndex, ...entry }) => entry);
+    }
+    const fromText = (text, start = null, end = null) => (text ?? '').split(/\s+/).map(placeholderType).filter(Boolean).map(type => ({ type, start, end }));
+    return segments.length > 0 ? segments.flatMap(s => fromText(s.text, s.start ?? null, s.end ?? null)) : fromText(transcript);
+};
+
+// Padded, merged [start, end] ranges of the timed report entries
+const audioRanges = (report, duration) => {
+    const ranges = report
+        .filter(e => Number.isFinite(e.start) && Number.isFinite(e.end))
+        .map(e => [Math.max(0, e.start - AUDIO_PADDING_SEC), Math.min(duration ?? Infinity, e.end + AUDIO_PADDING_SEC)])
+        .sort((a, b) => a[0] - b[0]);
+    return ranges.reduce((merged, range) => {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) { last[1] = Math.max(last[1], range[1]); } else { merged.push([...range]); }
+        return merged;
+    }, []);
+};
+
+// Write an MP3 copy of `inputPath` with the report's time ranges bleeped (a 1 kHz tone) or silenced.
+// Resolves with the number of ranges covered. ctx: { runCommand(command, label) } as for providers.
+export const redactAudio = async (inputPath, outputPath, report, { mode = 'bleep', duration = null }, ctx) => {
+    const ranges = audioRanges(report, duration);
+    const inRange = ranges.length > 0 ? ranges.map(([from, to]) => `between(t,${from.toFixed(3)},${to.toFixed(3)})`).join('+') : '0';
+    const filter = mode === 'silence'
+        ? `[0:a]volume=0:enable='${inRange}'[out]`
+        : `[0:a]volume=0:enable='${inRange}'[muted];sine=frequency=${BLEEP_FREQUENCY_HZ}:sample_rate=44100,volume='if(${inRange},0.3,0)':eval=frame[tone];[muted][tone]amix=inputs=2:duration=first:normalize=0[out]`;
+    await ctx.runCommand(`"${ffmpeg}" -y -i "${inputPath}" -vn -filter_complex "${filter}" -map "[out]" -c:a libmp3lame -q:a 4 "${outputPath}"`, 'FFmpeg audio redaction');
+    return ranges.length;
+};
@@ -0,0 +1,57 @@
+// Retry helpers for transient Deepgram/Gemini failures (rate limits, 5xx, network timeouts)
+export const RETRY_MAX_ATTEMPTS = parseInt(process.env.RETRY_MAX_ATTEMPTS, 10) || 4;
+export const RETRY_BASE_DELAY_MS = parseInt(process.env.RETRY_BASE_DELAY_MS, 10) || 1000;
+export const RETRY_MAX_DELAY_MS = parseInt(process.env.RETRY_MAX_DELAY_MS, 10) || 30000;
+export const REQUEST_TIMEOUT_MS = parseInt(process.env.REQUEST_TIMEOUT_MS, 10) || 5 * 60 * 1000;
+
+const TRANSIENT_CODES = ['ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'];
+
+const errorStatus = (err) => err?.status ?? err?.statusCode ?? err?.response?.status ?? null;
+
+export const isTransientError = (err) => {
+    if (!err) { return false; }
+    const status = errorStatus(err);
+    if (status) { return status === 408 || status === 429 || status >= 500; }
+    if (err.isTimeout || err.name === 'AbortError' || err.name === 'TimeoutError') { return true; }
+    if (TRANSIENT_CODES.includes(err.code) || TRANSIENT_CODES.includes(err.cause?.code)) { return true; }
+    return /\b(429|500|502|503|504)\b|timed? ?out|RESOURCE_EXHAUSTED|UNAVAILABLE|overloaded|fetch failed|socket hang up/i.test(err.message ?? '');
+};
+
+// "Full jitter" exponential backoff: random delay in [0, min(max, base * 2^attempt)]
+export const backoffDelay = (attempt, baseDelayMs = RETRY_BASE_DELAY_MS, maxDelayMs = RETRY_MAX_DELAY_MS) => {
+    const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+    return Math.round(Math.random() * ceiling);
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Reject if the promise has not settled within ms; the error is flagged so it counts as transient
+export const withTimeout = (promise, ms, label = 'Request') => {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            const err = new Error(`${label} timed out after ${Math.round(ms / 1000)}s`);
+            err.isTimeout = true;
+            reject(err);
+        }, ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Call fn(attempt) until it succeeds, a non-transient error is thrown or attempts run out.
+// onRetry(err, attempt, delayMs) is called before each wait so callers can report progress.
+export const withRetry = async (fn, { attempts = RETRY_MAX_ATTEMPTS, isRetryable = isTransientError, onRetry = () => {}, shouldStop = () => false } = {}) => {
+    let lastError;
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (err) {
+            lastError = err;
+            if (attempt === attempts || !isRetryable(err) || shouldStop()) { break; }
+            const delayMs = backoffDelay(attempt - 1);
+            onRetry(err, attempt, delayMs);
+            await sleep(delayMs);
+        }
+    }
+    throw lastError;
+};
@@ -0,0 +1,206 @@
+import { formatTimestamp } from './exporters.js';
+import { speakerDisplayName } from './speakers.js';
+
+// Transcript library search. Every completed job is tokenized once into searchable units (its segments, or the
+// transcript's paragraphs when it has none) and cached until the job changes, so a search only scans term counts.
+// Query syntax: plain words (all must occur in the job), "quoted phrases", prefix* matches and -excluded words.
+// Titles, tags and file names are searched too; hits (with snippet, speaker and timestamp) come from the transcript.
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+const MAX_TITLE_LENGTH = 200;
+// Words of context on each side of a hit in its snippet
+const SNIPPET_CONTEXT_WORDS = 12;
+// Matches in a title, tag or file name count more than one in the transcript
+const METADATA_WEIGHT = 3;
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+(?:'[\p{L}\p{N}]+)*/gu;
+
+export const normalizeToken = (token) => token.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+
+// Tokens of `text` with their position, for matching and for highlighting the original text
+const tokenize = (text = '') => [...text.matchAll(TOKEN_PATTERN)].map(m => ({ term: normalizeToken(m[0]), index: m.index, length: m[0].length }));
+
+export const tokenizeText = (text) => tokenize(text).map(t => t.term);
+
+// Title and tags of a /transcribe or PATCH /jobs/:id body; only the fields present are returned.
+// Tags are a list or a comma-separated string. Throws on invalid input.
+export const parseJobLabels = (body = {}) => {
+    const labels = {};
+    if (body.title !== undefined) {
+        const title = String(body.title ?? '').trim();
+        if (title.length > MAX_TITLE_LENGTH) { throw new Error(`title must be at most ${MAX_TITLE_LENGTH} characters.`); }
+        labels.title = title || null;
+    }
+    if (body.tags !== undefined) {
+        let raw = body.tags ?? [];
+        if (typeof raw === 'string') {
+            try {
+                raw = raw.trim().startsWith('[') ? JSON.parse(raw) : raw.split(',');
+            } catch {
+                throw new Error('tags must be a list or a comma-separated string.');
+            }
+        }
+        if (!Array.isArray(raw)) { throw new Error('tags must be a list or a comma-separated string.'); }
+        const tags = [...new Set(raw.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+        if (tags.length > MAX_TAGS) { throw new Error(`A job can have at most ${MAX_TAGS} tags.`); }
+        const invalid = tags.find(tag => tag.length > MAX_TAG_LENGTH || !/^[\p{L}\p{N} _.-]+$/u.test(tag));
+        if (invalid) { throw new Error(`Invalid tag '${invalid}'. Tags use letters, digits, spaces, '_', '.' and '-' (at most ${MAX_TAG_LENGTH} characters).`); }
+        labels.tags = tags;
+    }
+    return labels;
+};
+
+// Parse a query into { include: [{ type: 'word'|'prefix'|'phrase', terms }], exclude: [...] }
+export const parseQuery = (query = '') => {
+    const include = [];
+    const exclude = [];
+    for (const [, negated, phrase, word] of String(query).matchAll(/(-?)(?:"([^"]*)"|(\S+))/g)) {
+        const terms = tokenizeText(phrase ?? word);
+        if (terms.length === 0) { continue; }
+        let clause;
+        if (phrase !== undefined && terms.length > 1) { clause = { type: 'phrase', terms }; }
+        else if (word?.endsWith('*') && terms.length === 1) { clause = { type: 'prefix', terms }; }
+        else if (terms.length === 1) { clause = { type: 'word', terms }; }
+        else { clause = { type: 'phrase', terms }; } // e.g. don't-stop or 3:45, split into several tokens
+        (negated ? exclude : include).push(clause);
+    }
+    return { include, exclude };
+};
+
+// The searchable units of a job: segments, or "Speaker N:" paragraphs of the transcript when there are none
+export const jobUnits = (job) => {
+    const segments = (job.segments ?? []).filter(s => !s.missing && s.text?.trim());
+    if (segments.length > 0) { return segments.map((s, i) => ({ segmentIndex: i, start: s.start ?? null, end: s.end ?? null, speaker: s.speaker ?? null, text: s.text })); }
+    return (job.transcript ?? '').split(/\n{2,}/).filter(p => p.trim()).map(p => {
+        const match = /^Speaker (\d+):\s*/.exec(p.trim());
+        return { segmentIndex: null, start: null, end: null, speaker: match ? Number(match[1]) : null, text: match ? p.trim().slice(match[0].length) : p.trim() };
+    });
+};
+
+const countTerms = (counts, terms) => { terms.forEach(term => counts.set(term, (counts.get(term) ?? 0) + 1)); };
+
+// Cached index entry of a job, rebuilt whenever the job was updated
+const entries = new Map();
+const indexJob = (job) => {
+    const cached = entries.get(job.id);
+    if (cached?.updatedAt === job.updatedAt) { return cached; }
+    const units = jobUnits(job).map(unit => ({ ...unit, tokens: tokenize(unit.text) }));
+    const counts = new Map();
+    units.forEach(unit => countTerms(counts, unit.tokens.map(t => t.term)));
+    const metadataTerms = tokenizeText([job.title, job.originalName, ...(job.tags ?? [])].filter(Boolean).join(' '));
+    const metadataCounts = new Map();
+    countTerms(metadataCounts, metadataTerms);
+    const entry = { updatedAt: job.updatedAt, units, counts, metadataTerms, metadataCounts };
+    entries.set(job.id, entry);
+    return entry;
+};
+
+// Positions in `terms` where the clause matches (the first token of a phrase)
+const clauseMatches = (clause, terms) => {
+    const positions = [];
+    terms.forEach((term, i) => {
+        if (clause.type === 'word' && term === clause.terms[0]) { positions.push(i); }
+        if (clause.type === 'prefix' && term.startsWith(clause.terms[0])) { positions.push(i); }
+        if (clause.type === 'phrase' && clause.terms.every((t, k) => terms[i + k] === t)) { positions.push(i); }
+    });
+    return positions;
+};
+
+// Occurrences of a clause in the job's transcript and metadata
+const clauseFrequency = (clause, entry) => {
+    const fromCounts = (counts) => {
+        if (clause.type === 'word') { return counts.get(clause.terms[0]) ?? 0; }
+        if (clause.type === 'prefix') { return [...counts].reduce((sum, [term, n]) => sum + (term.startsWith(clause.terms[0]) ? n : 0), 0); }
+        return null;
+    };
+    if (clause.type !== 'phrase') { return { transcript: fromCounts(entry.counts), metadata: fromCounts(entry.metadataCounts) }; }
+    // Phrases are only looked for in jobs that have all their words
+    if (!clause.terms.every(t => entry.counts.has(t) || entry.metadataCounts.has(t))) { return { transcript: 0, metadata: 0 }; }
+    const transcript = entry.units.reduce((sum, unit) => sum + clauseMatches(clause, unit.tokens.map(t => t.term)).length, 0);
+    return { transcript, metadata: clauseMatches(clause, entry.metadataTerms).length };
+};
+
+const escapeHtml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// Keyword in context: the words around the first hit with every matched word wrapped in <mark>
+const buildSnippet = (unit, marked) => {
+    const { text, tokens } = unit;
+    const first = Math.min(...marked);
+    const from = Math.max(0, first - SNIPPET_CONTEXT_WORDS);
+    const to = Math.min(tokens.length - 1, first + SNIPPET_CONTEXT_WORDS);
+    let snippet = from > 0 ? '… ' : '';
+    let cursor = from > 0 ? tokens[from].index : 0;
+    for (let i = from; i <= to; i++) {
+        const { index, length } = tokens[i];
+        snippet += escapeHtml(text.slice(cursor, index));
+        const word = escapeHtml(text.slice(index, index + length));
+        snippet += marked.has(i) ? `<mark>${word}</mark>` : word;
+        cursor = index + length;
+    }
+    snippet += to < tokens.length - 1 ? escapeHtml(text.slice(cursor, tokens[to + 1].index)).trimEnd() + ' …' : escapeHtml(text.slice(cursor));
+    return snippet.trim();
+};
+
+const matchesSpeaker = (unit, speaker, speakerNames) => {
+    if (!speaker) { return true; }
+    const wanted = speaker.trim().toLowerCase();
+    return unit.speaker !== null && (String(unit.speaker) === wanted.replace(/^speaker\s*/, '') || speakerDisplayName(unit.speaker, speakerNames)?.toLowerCase() === wanted);
+};
+
+// Search completed `jobs`. Filters: from/to (YYYY-MM-DD, creation date), model, tags (all required), speaker
+// (number or name; only hits by that speaker count). Returns jobs ranked by tf-idf with up to hitsPerJob hits each.
+export const searchJobs = (jobs, query, { from = null, to = null, model = null, tags = [], speaker = null, limit = 20, offset = 0, hitsPerJob = 5 } = {}) => {
+    const { include, exclude } = parseQuery(query);
+    if (include.length === 0) { return { total: 0, results: [] }; }
+    const liveIds = new Set(jobs.map(job => job.id));
+    entries.forEach((entry, id) => { if (!liveIds.has(id)) { entries.delete(id); } });
+
+    const candidates = jobs
+        .filter(job => job.status === 'completed' && job.transcript)
+        .filter(job => (!from || job.createdAt.slice(0, 10) >= from) && (!to || job.createdAt.slice(0, 10) <= to))
+        .filter(job => !model || job.options?.model === model)
+        .filter(job => tags.every(tag => (job.tags ?? []).includes(tag)))
+        .map(job => ({ job, entry: indexJob(job) }))
+        .filter(({ entry }) => exclude.every(clause => { const { transcript, metadata } = clauseFrequency(clause, entry); return transcript + metadata === 0; }))
+        .map(candidate => ({ ...candidate, frequencies: include.map(clause => clauseFrequency(clause, candidate.entry)) }))
+        .filter(({ frequencies }) => frequencies.every(({ transcript, metadata }) => transcript + metadata > 0));
+
+    // Rarer clauses weigh more
+    const idf = include.map((clause, i) => Math.log(1 + jobs.length / (1 + candidates.filter(c => c.frequencies[i].transcript + c.frequencies[i].metadata > 0).length)));
+    const speakerNamesOf = (job) => job.options?.speakerNames ?? {};
+
+    const results = candidates.map(({ job, entry, frequencies }) => {
+        const hits = [];
+        entry.units.forEach(unit => {
+            if (!matchesSpeaker(unit, speaker, speakerNamesOf(job))) { return; }
+            const terms = unit.tokens.map(t => t.term);
+            const marked = new Set();
+            let matchedClauses = 0;
+            include.forEach(clause => {
+                const positions = clauseMatches(clause, terms);
+                if (positions.length > 0) { matchedClauses++; }
+                positions.forEach(p => { for (let k = 0; k < (clause.type === 'phrase' ? clause.terms.length : 1); k++) { marked.add(p + k); } });
+            });
+            if (marked.size === 0) { return; }
+            hits.push({
+                segmentIndex: unit.segmentIndex,
+                start: unit.start,
+                end: unit.end,
+                timestamp: unit.start === null ? null : formatTimestamp(unit.start).slice(0, 8),
+                speaker: speakerDisplayName(unit.speaker, speakerNamesOf(job)),
+                speakerId: unit.speaker,
+                snippet: buildSnippet(unit, marked),
+                matchedClauses,
+            });
+        });
+        const score = frequencies.reduce((sum, { transcript, metadata }, i) => sum + idf[i] * (Math.log(1 + transcript) + METADATA_WEIGHT * metadata), 0);
+        hits.sort((a, b) => (b.matchedClauses - a.matchedClauses) || ((a.start ?? 0) - (b.start ?? 0)));
+        return { job, score: Math.round(score * 1000) / 1000, hitCount: hits.length, hits: hits.slice(0, hitsPerJob).map(({ matchedClauses, ...hit }) => hit) };
+    })
+        // With a speaker filter only jobs where that speaker said it count
+        .filter(result => !speaker || result.hitCount > 0)
+        .sort((a, b) => (b.score - a.score) || b.job.createdAt.localeCompare(a.job.createdAt));
+
+    return { total: results.length, results: results.slice(offset, offset + limit) };
+};
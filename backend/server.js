@@ -2,7 +2,6 @@ import express from 'express';
 import dotenv from 'dotenv';
 import cors from 'cors';
 import multer from 'multer';
-import { createClient } from '@deepgram/sdk'; 
 import ffmpeg from 'ffmpeg-static';
 import ffprobe from 'ffprobe-static'; 
 import { exec } from 'child_process';
@@ -11,8 +10,32 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import sseExpress from 'sse-express';
 import { v4 as uuidv4 } from 'uuid';
-import { GoogleGenerativeAI, HarmCategory, HarmBlockThreshold } from "@google/generative-ai"; 
-import mime from 'mime-types'; 
+import { OUTPUT_FORMATS, renderExport } from './exporters.js';
+import { runPool, estimateRemainingSeconds, formatEta } from './workerPool.js';
+import { withRetry, withTimeout, RETRY_MAX_ATTEMPTS, REQUEST_TIMEOUT_MS } from './retry.js';
+import { reconcileChunks, renameSpeakers, parseSpeakerNames, formatSegments } from './speakers.js';
+import { createGeminiClient, DEFAULT_GEMINI_MODEL, responseText as geminiResponseText, tokenUsage } from './geminiClient.js';
+import { registerProvider, resolveProvider, describeProviders } from './providers/index.js';
+import { createDeepgramProvider } from './providers/deepgram.js';
+import { createGeminiProvider } from './providers/gemini.js';
+import { createWhisperCppProvider } from './providers/whisperCpp.js';
+import { attachLiveServer, stopLiveSession, audioDir } from './live.js';
+import { DEFAULT_TEMPLATE_ID, getTemplate, listTemplates, createTemplate, updateTemplate, deleteTemplate, isBuiltInTemplate, parseSummaryOptions, parseSummaryJson, renderSummaryData } from './summaryTemplates.js';
+import { summarizeTranscript, extractReferences } from './summarizer.js';
+import { recordUsage, costOf, estimateJobCost, estimateSummaryCost, estimateTranscriptTokens, budgetsApply, budgetStatus, usageReport } from './usage.js';
+import { authenticate, canAccessJob, corsOptions, createApiKey, findPrincipal, isAdmin, jobQuotaError, listApiKeys, requireAdmin, requireAuth, requireJobQuota, revokeApiKey } from './auth.js';
+import { createJobQueue, parsePriority } from './jobQueue.js';
+import { parseSource, verifySource, describeSource, downloadSource } from './sources.js';
+import { parsePreprocessOptions, preprocessAudio, remapTimings, toOriginalTime, labelChannel, parseSilences } from './preprocess.js';
+import { silenceDetectFilter, planChunkWindows, stitchChunks } from './chunking.js';
+import { listFeeds, getFeed, createFeed, deleteFeed, checkFeed, startFeedPolling, toFeedSummary } from './feeds.js';
+import { parseCallbackUrl, verifyCallbackUrl, notifyJobFinished, resumeDeliveries, webhookSecret } from './webhooks.js';
+import { parseJobLabels, searchJobs } from './search.js';
+import { parseTargetLanguages, translateJob } from './translator.js';
+import { parseChatRequest, retrievePassages, buildChatContents, extractCitations } from './chat.js';
+import { parseRedactionOptions, redactResult, redactText, redactionReport, redactAudio } from './redaction.js';
+import { languageName, listGlossaries, getGlossary, createGlossary, updateGlossary, deleteGlossary, parseVocabularyOptions, resolveGlossaries, applyReplacements, applyGlossary } from './glossaries.js';
+import { createJob, getJob, updateJob, setChunk, appendEvent, getEventsSince, deleteJob, listJobs, isTerminal, onJobFinished, toJobSummary, toJobDetail } from './jobStore.js';
 
 // Helper
 const __filename = fileURLToPath(import.meta.url);
@@ -22,52 +45,99 @@ dotenv.config();
 
 const app = express();
 const port = process.env.PORT || 5000;
+// HOST limits the interface the server binds to (all interfaces when unset); the CLI binds its in-process server to 127.0.0.1
+const host = process.env.HOST || undefined;
 
 // Middleware & Multer setup
-app.use(cors());
+app.use(cors(corsOptions()));
+// Every route needs an API key (see auth.js); jobs and their SSE streams are only visible to their owner
+app.use(requireAuth);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
-const upload = multer({ dest: 'uploads/', limits: { fileSize: 500 * 1024 * 1024 } });
-const uploadsDir = path.join(__dirname, 'uploads');
-if (!fs.existsSync(uploadsDir)) { fs.mkdirSync(uploadsDir); }
+// UPLOADS_DIR moves the temporary files (uploads, chunks, downloads); the CLI points it at a private folder
+const uploadsDir = process.env.UPLOADS_DIR ? path.resolve(process.env.UPLOADS_DIR) : path.join(__dirname, 'uploads');
+if (!fs.existsSync(uploadsDir)) { fs.mkdirSync(uploadsDir, { recursive: true }); }
+const upload = multer({ dest: uploadsDir, limits: { fileSize: 500 * 1024 * 1024 } });
 
 // Initialize SDKs
-const deepgramClient = createClient(process.env.DEEPGRAM_API_KEY);
-const genAI = process.env.GEMINI_API_KEY ? new GoogleGenerativeAI(process.env.GEMINI_API_KEY) : null;
-let geminiModel = null; 
-if (!genAI) { 
+let geminiClient = null; 
+if (!process.env.GEMINI_API_KEY) { 
     console.warn("GEMINI_API_KEY not found. Gemini features disabled."); 
 } else {
     try {
-        geminiModel = genAI.getGenerativeModel({ model: "gemini-2.5-pro-exp-03-25" }); 
-        console.log("Gemini model initialized:", "gemini-2.5-pro-exp-03-25");
+        geminiClient = createGeminiClient({ apiKey: process.env.GEMINI_API_KEY, baseUrl: process.env.GEMINI_BASE_URL || null, model: DEFAULT_GEMINI_MODEL }); 
+        console.log("Gemini model initialized:", DEFAULT_GEMINI_MODEL, process.env.GEMINI_BASE_URL ? `(base URL ${process.env.GEMINI_BASE_URL})` : '');
     } catch (initError) {
          console.error("Failed to initialize Gemini model:", initError);
-         geminiModel = null; 
+         geminiClient = null; 
     }
 }
 
+// Transcription providers; Deepgram takes any model id no other provider claims
+registerProvider(createDeepgramProvider({ apiKey: process.env.DEEPGRAM_API_KEY }), { fallback: true });
+registerProvider(createGeminiProvider({ client: geminiClient }));
+registerProvider(createWhisperCppProvider());
+
 // SSE Store & Helper
 const sseConnections = {};
 // Track active processes for cancellation
 const activeProcesses = {};
 
-app.get('/progress/:clientId', sseExpress, (req, res) => {
+// The job with the given id if the caller may access it (other users' jobs look like missing ones)
+const findAccessibleJob = (req, id) => {
+  const job = getJob(id);
+  return canAccessJob(req.principal, job) ? job : null;
+};
+
+app.get('/progress/:clientId', (req, res, next) => {
+  if (!findAccessibleJob(req, req.params.clientId)) { return res.status(404).json({ error: 'Job not found.' }); }
+  next();
+}, sseExpress, (req, res) => {
   const clientId = req.params.clientId;
   console.log(`Client ${clientId} connected.`);
-  sseConnections[clientId] = res;
   res.sse('connected', { message: 'Connected' });
+
+  // Replay everything already emitted for this job (or only what was missed, on EventSource reconnect)
+  const lastSeq = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10) || 0;
+  const job = getJob(clientId);
+  if (job) {
+    const missed = getEventsSince(clientId, lastSeq);
+    missed.forEach(e => res.sse(e.type, e.data, e.seq));
+    if (missed.length > 0) { console.log(`[${clientId}] Replayed ${missed.length} event(s).`); }
+    if (isTerminal(job)) {
+      res.end();
+      return;
+    }
+  }
+
+  sseConnections[clientId] = res;
   req.on('close', () => {
     console.log(`Client ${clientId} disconnected.`);
-    delete sseConnections[clientId];
+    if (sseConnections[clientId] === res) { delete sseConnections[clientId]; }
   });
 });
 
-// Add cancellation endpoint
-app.post('/cancel/:clientId', (req, res) => {
-  const clientId = req.params.clientId;
-  console.log(`Received cancellation request for ${clientId}`);
-  
+// A job that was deleted mid-run counts as cancelled
+const isCancelled = (clientId) => {
+  const job = getJob(clientId);
+  return !job || job.status === 'cancelled';
+};
+
+const closeSseConnection = (clientId, delayMs = 1500) => {
+  if (sseConnections[clientId]) {
+    setTimeout(() => {
+      if (sseConnections[clientId]) {
+        try { sseConnections[clientId].end(); } catch(e){}
+        delete sseConnections[clientId];
+        console.log(`[${clientId}] Closed SSE connection.`);
+      }
+    }, delayMs);
+  }
+};
+
+// Stop a running job: kill its FFmpeg processes, remove chunk files and notify listeners
+const cancelJob = (clientId) => {
+  stopLiveSession(clientId);
   // Kill any active FFmpeg processes
   if (activeProcesses[clientId]) {
     activeProcesses[clientId].forEach(process => {
@@ -96,31 +166,37 @@ app.post('/cancel/:clientId', (req, res) => {
   } catch (e) {
     console.error(`[${clientId}] Error cleaning up chunks:`, e);
   }
-  
-  // Send cancellation message via SSE
-  if (sseConnections[clientId]) {
-    try {
-      sseConnections[clientId].sse('status', { message: 'Transcription cancelled.' });
-      sseConnections[clientId].sse('done', { message: 'Cancelled' });
-      setTimeout(() => {
-        if (sseConnections[clientId]) {
-          try { sseConnections[clientId].end(); } catch(e){}
-          delete sseConnections[clientId];
-          console.log(`[${clientId}] Closed SSE connection after cancellation.`);
-        }
-      }, 1000);
-    } catch (e) {
-      console.error(`[${clientId}] Error sending cancellation message:`, e);
-    }
+
+  const job = getJob(clientId);
+  // A job still waiting in the queue never started, so its upload is removed here
+  if (job?.status === 'queued' && job.inputPath && fs.existsSync(job.inputPath)) { fs.unlinkSync(job.inputPath); }
+  if (job && !isTerminal(job)) {
+    updateJob(clientId, { status: 'cancelled' });
+    jobQueue.schedule();
+    sendProgress(clientId, 'status', { message: 'Transcription cancelled.' });
+    sendProgress(clientId, 'done', { message: 'Cancelled' });
+  } else if (!job && sseConnections[clientId]) {
+    sendProgress(clientId, 'status', { message: 'Transcription cancelled.' });
+    sendProgress(clientId, 'done', { message: 'Cancelled' });
   }
-  
+  closeSseConnection(clientId, 1000);
+};
+
+// Add cancellation endpoint
+app.post('/cancel/:clientId', (req, res) => {
+  const clientId = req.params.clientId;
+  if (!findAccessibleJob(req, clientId)) { return res.status(404).json({ error: 'Job not found.' }); }
+  console.log(`Received cancellation request for ${clientId}`);
+  cancelJob(clientId);
   res.json({ success: true, message: 'Cancellation request received' });
 });
+
 const sendProgress = (clientId, type, data) => {
+  const event = appendEvent(clientId, type, data);
   if (sseConnections[clientId]) {
     try {
-        sseConnections[clientId].sse(type, data);
-        if (type !== 'partial_transcript' && type !== 'summary_result') { 
+        sseConnections[clientId].sse(type, data, event?.seq);
+        if (!['partial_transcript', 'summary_result', 'section_summary', 'partial_translation', 'translation_result', 'chat_delta', 'chat_answer'].includes(type)) { 
             const logData = { ...data };
             console.log(`Sent SSE [${type}] to ${clientId}:`, logData);
         }
@@ -131,11 +207,104 @@ const sendProgress = (clientId, type, data) => {
   }
 };
 
+// Shared withRetry options: report each retry over SSE and stop retrying once the job is cancelled
+const retryOptions = (clientId, label) => ({
+  onRetry: (err, attempt, delayMs) => {
+    console.warn(`[${clientId}] ${label} failed (attempt ${attempt}/${RETRY_MAX_ATTEMPTS}): ${err.message}`);
+    sendProgress(clientId, 'warning', { message: `${label} failed (${err.message}). Retrying in ${(delayMs / 1000).toFixed(1)}s (attempt ${attempt + 1}/${RETRY_MAX_ATTEMPTS})...` });
+  },
+  shouldStop: () => isCancelled(clientId),
+});
+
+// Parse an FFmpeg CSV segment list ("file,start,end" per line) into { [file]: { start, end } }
+const readSegmentList = (segmentListPath) => {
+    const offsets = {};
+    try {
+        if (!fs.existsSync(segmentListPath)) { return offsets; }
+        fs.readFileSync(segmentListPath, 'utf8').split('\n').filter(line => line.trim()).forEach(line => {
+            const [file, start, end] = line.trim().split(',');
+            offsets[path.basename(file)] = { start: parseFloat(start), end: parseFloat(end) };
+        });
+        fs.unlinkSync(segmentListPath);
+    } catch (err) {
+        console.error(`Could not read segment list ${segmentListPath}:`, err);
+    }
+    return offsets;
+};
+
+// Run an external command (FFmpeg, whisper.cpp), tracked in activeProcesses so /cancel can kill it
+const runCommand = (clientId, command, label = 'FFmpeg') => {
+    return new Promise((resolve, reject) => {
+        const childProcess = exec(command, { maxBuffer: 50 * 1024 * 1024 });
+        
+        // Track the process for potential cancellation
+        if (!activeProcesses[clientId]) {
+            activeProcesses[clientId] = [];
+        }
+        activeProcesses[clientId].push(childProcess);
+
+        const untrack = () => {
+            if (activeProcesses[clientId]) {
+                const index = activeProcesses[clientId].indexOf(childProcess);
+                if (index !== -1) {
+                    activeProcesses[clientId].splice(index, 1);
+                }
+                if (activeProcesses[clientId].length === 0) {
+                    delete activeProcesses[clientId];
+                }
+            }
+        };
+        
+        let stderrData = '';
+        childProcess.stderr.on('data', (data) => { stderrData += data.toString(); });
+        
+        childProcess.on('close', (code) => {
+            untrack();
+            if (code !== 0 && code !== null) { 
+                console.warn(`[${clientId}] ${label} stderr output:\n${stderrData}`);
+                return reject(new Error(`${label} exited with code ${code}`)); 
+            }
+            resolve({ stderr: stderrData });
+        });
+        
+        childProcess.on('error', (err) => {
+            untrack();
+            reject(new Error(`Error executing ${label}: ${err.message}`));
+        });
+    });
+};
+
+// Media duration in seconds via ffprobe
+const probeDuration = async (filePath) => {
+    const durationCommand = `"${ffprobe.path}" -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${filePath}"`;
+    const { stdout } = await new Promise((resolve, reject) => {
+        exec(durationCommand, { maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+            if (error) reject(new Error(`FFprobe failed: ${stderr || error.message}`)); else resolve({ stdout });
+        });
+    });
+    const duration = parseFloat(stdout);
+    if (!Number.isFinite(duration)) { throw new Error('FFprobe did not report a duration.'); }
+    return duration;
+};
+
+// Pre-flight cost of transcribing (and optionally summarizing) `durationSeconds` of audio with `model`
+const estimateTranscription = (model, durationSeconds, summarizeEnabled) => {
+    const provider = resolveProvider(model);
+    const { capabilities } = provider.probe();
+    // Gemini bills audio as tokens; offline providers never send a summary out
+    const summaryModel = summarizeEnabled && geminiClient && !capabilities.offline ? geminiClient.modelName : null;
+    return estimateJobCost({ model, durationSeconds, tokenBilled: provider.id === 'gemini', summaryModel });
+};
+
 // FFMpeg Chunking Function
-const splitMediaIntoAudioChunks = (clientId, filePath, targetChunkSizeMB = 10) => {
-  return new Promise(async (resolve, reject) => { 
+// Cuts are placed in pauses near the target chunk length (see chunking.js). Every chunk is cut separately and
+// padded by overlapSec/2 on each side, so neighbouring chunks share audio around the cut (keepFrom/keepUntil
+// mark each chunk's own range). Without a known duration the file is split at fixed times instead.
+// namePrefix keeps the chunks of several tracks of one job (per-channel mode) apart.
+const splitMediaIntoAudioChunks = async (clientId, filePath, targetChunkSizeMB = 10, overlapSec = 0, namePrefix = `${clientId}_chunk_`) => {
     const targetChunkSizeBytes = targetChunkSizeMB * 1024 * 1024;
     let segmentDurationSec = 600; 
+    let totalDurationSec = null;
     try {
         sendProgress(clientId, 'status', { message: 'Analyzing file for chunking...' });
         const ffprobePath = ffprobe.path;
@@ -148,7 +317,7 @@ const splitMediaIntoAudioChunks = (clientId, filePath, targetChunkSizeMB = 10) =
         const probeData = JSON.parse(probeJson);
         const format = probeData.format;
         if (format?.duration && format?.size) {
-            const totalDurationSec = parseFloat(format.duration);
+            totalDurationSec = parseFloat(format.duration);
             const totalSizeBytes = parseInt(format.size, 10);
             const avgBitrateBps = totalSizeBytes / totalDurationSec; 
             if (avgBitrateBps > 0) {
@@ -162,243 +331,336 @@ const splitMediaIntoAudioChunks = (clientId, filePath, targetChunkSizeMB = 10) =
                 console.log(`[${clientId}] Expected chunks: ${expectedChunks}, Calculated segment duration: ${segmentDurationSec}s`);
             } else { console.warn(`[${clientId}] Could not calculate bitrate, using default duration.`); }
         } else { console.warn(`[${clientId}] Could not get duration/size, using default duration.`); }
-        sendProgress(clientId, 'status', { message: `Splitting into ~${segmentDurationSec}s chunks...` });
+        sendProgress(clientId, 'status', { message: `Splitting into ~${segmentDurationSec}s chunks at pauses${overlapSec > 0 ? ` with ${overlapSec}s overlap` : ''}...` });
     } catch (probeError) {
         console.error(`[${clientId}] Error during ffprobe analysis:`, probeError);
         sendProgress(clientId, 'warning', { message: `Could not analyze file, using default chunk duration.` });
     }
-    const outputPattern = path.join(uploadsDir, `${clientId}_chunk_%03d.mp3`);
-    const command = `"${ffmpeg}" -i "${filePath}" -f segment -segment_time ${segmentDurationSec} -vn -acodec libmp3lame -ar 16000 -ac 1 -reset_timestamps 1 "${outputPattern}"`; 
-    const ffmpegProcess = exec(command);
-    
-    // Track the process for potential cancellation
-    if (!activeProcesses[clientId]) {
-        activeProcesses[clientId] = [];
-    }
-    activeProcesses[clientId].push(ffmpegProcess);
-    
-    let stderrData = '';
-    ffmpegProcess.stderr.on('data', (data) => { stderrData += data.toString(); });
-    
-    ffmpegProcess.on('close', (code) => {
-        console.warn(`[${clientId}] FFmpeg stderr output:\n${stderrData}`);
-        
-        // Remove this process from active processes
-        if (activeProcesses[clientId]) {
-            const index = activeProcesses[clientId].indexOf(ffmpegProcess);
-            if (index !== -1) {
-                activeProcesses[clientId].splice(index, 1);
-            }
-            if (activeProcesses[clientId].length === 0) {
-                delete activeProcesses[clientId];
-            }
+
+    let chunks;
+    if (totalDurationSec > 0) {
+        // Without usable pauses every cut falls back to its target time
+        let silences = [];
+        try {
+            const { stderr } = await runCommand(clientId, `"${ffmpeg}" -i "${filePath}" -vn -af ${silenceDetectFilter()} -f null -`, 'FFmpeg silence detection');
+            silences = parseSilences(stderr, totalDurationSec);
+        } catch (err) {
+            if (isCancelled(clientId)) { throw new Error('Transcription cancelled'); }
+            console.warn(`[${clientId}] Silence detection failed, cutting at fixed times:`, err.message);
+            sendProgress(clientId, 'warning', { message: 'Could not find pauses in the audio; chunks are cut at fixed times.' });
         }
-        
-        if (code !== 0 && code !== null) { 
-            return reject(new Error(`Error splitting file (FFmpeg code ${code})`)); 
+        const windows = planChunkWindows(silences, totalDurationSec, segmentDurationSec);
+        console.log(`[${clientId}] ${windows.filter(w => w.cutAtSilence).length}/${windows.length - 1} chunk boundaries placed in pauses.`);
+        chunks = [];
+        for (const [index, { keepFrom, keepUntil, cutAtSilence }] of windows.entries()) {
+            if (isCancelled(clientId)) { break; }
+            const start = Math.max(0, keepFrom - overlapSec / 2);
+            const end = Math.min(totalDurationSec, keepUntil + overlapSec / 2);
+            const chunkPath = path.join(uploadsDir, `${namePrefix}${String(index).padStart(3, '0')}.mp3`);
+            await runCommand(clientId, `"${ffmpeg}" -ss ${start.toFixed(3)} -t ${(end - start).toFixed(3)} -i "${filePath}" -vn -acodec libmp3lame -ar 16000 -ac 1 "${chunkPath}"`);
+            chunks.push({ index, path: chunkPath, start, end, keepFrom, keepUntil, cutAtSilence });
         }
-        
-        // Check if we still have an active connection (not cancelled)
-        if (!sseConnections[clientId]) {
-            console.log(`[${clientId}] Client disconnected during chunking, aborting.`);
-            return reject(new Error('Client disconnected'));
+    } else {
+        const outputPattern = path.join(uploadsDir, `${namePrefix}%03d.mp3`);
+        // The segment list records each chunk's start/end in the source so timings can be made absolute again
+        const segmentListPath = path.join(uploadsDir, `${clientId}_segments.csv`);
+        const command = `"${ffmpeg}" -i "${filePath}" -f segment -segment_time ${segmentDurationSec} -segment_list "${segmentListPath}" -segment_list_type csv -vn -acodec libmp3lame -ar 16000 -ac 1 -reset_timestamps 1 "${outputPattern}"`; 
+        try {
+            await runCommand(clientId, command);
+        } catch (err) {
+            throw new Error(`Error splitting file (${err.message})`);
         }
+        const chunkFiles = fs.readdirSync(uploadsDir).filter(f => f.startsWith(namePrefix) && /^\d+\.mp3$/.test(f.slice(namePrefix.length))).sort();
+        const offsets = readSegmentList(segmentListPath);
+        chunks = chunkFiles.map((f, index) => ({
+            index,
+            path: path.join(uploadsDir, f),
+            start: offsets[f]?.start ?? index * segmentDurationSec,
+            end: offsets[f]?.end ?? (index + 1) * segmentDurationSec,
+        }));
+    }
         
-        const chunks = fs.readdirSync(uploadsDir).filter(f => f.startsWith(`${clientId}_chunk_`) && f.endsWith('.mp3')).map(f => path.join(uploadsDir, f)).sort();
-        console.log(`[${clientId}] Found ${chunks.length} MP3 chunks.`);
-        sendProgress(clientId, 'status', { message: `Found ${chunks.length} audio chunks.` });
-        if (chunks.length === 0) { return reject(new Error(`No audio chunks created.`)); }
-        resolve(chunks);
-    });
-    
-    ffmpegProcess.on('error', (err) => {
-        // Remove this process from active processes on error
-        if (activeProcesses[clientId]) {
-            const index = activeProcesses[clientId].indexOf(ffmpegProcess);
-            if (index !== -1) {
-                activeProcesses[clientId].splice(index, 1);
-            }
-            if (activeProcesses[clientId].length === 0) {
-                delete activeProcesses[clientId];
-            }
-        }
-        reject(new Error(`Error executing FFmpeg: ${err.message}`));
-    });
-  });
+    // Jobs keep running when the browser disconnects; only an explicit cancel aborts them
+    if (isCancelled(clientId)) {
+        console.log(`[${clientId}] Job cancelled during chunking, aborting.`);
+        throw new Error('Transcription cancelled');
+    }
+    console.log(`[${clientId}] Found ${chunks.length} MP3 chunks.`);
+    sendProgress(clientId, 'status', { message: `Found ${chunks.length} audio chunks.` });
+    if (chunks.length === 0) { throw new Error(`No audio chunks created.`); }
+    return chunks;
 };
 
-// Deepgram Pre-recorded Transcription Function
-const transcribeChunkPrerecorded = async (clientId, chunkPath, diarizeEnabled, model) => {
-    const chunkName = path.basename(chunkPath);
-    console.log(`[${clientId}] Transcribing chunk: ${chunkName} (Diarize: ${diarizeEnabled}, Model: ${model})`);
-    const transcriptionOptions = { punctuate: true, smart_format: true, model: model || 'nova-2' };
-    if (diarizeEnabled) { transcriptionOptions.diarize = true; }
+// Everything a provider needs from the pipeline for one job (see providers/index.js)
+const providerContext = (clientId) => ({
+    clientId,
+    emit: (type, data) => sendProgress(clientId, type, data),
+    retryOptions: (label) => retryOptions(clientId, label),
+    runCommand: (command, label) => runCommand(clientId, command, label),
+    isCancelled: () => isCancelled(clientId),
+    recordUsage: (model, units) => recordUsage(clientId, model, units),
+});
+
+// Transcribe one chunk with the job's provider. The caller emits the partial_transcript event so parallel
+// chunks can be streamed in order. offsetSec is the chunk's start time in the original file; returned timings
+// are absolute. Resolves with null (after reporting the error) when the chunk failed.
+// A chunk of one channel (per-channel mode) is a single speaker; its timings are always requested so the
+// channels can be interleaved. language and keyterms come from the job's language and glossary options.
+// With the redaction option, results are redacted before they are stored or streamed.
+const transcribeChunkWith = async (provider, clientId, chunkPath, { offsetSec = 0, diarize, model, timestamps = false, channel = null, language = null, keyterms = [] }) => {
+    const redaction = getJob(clientId)?.options?.redaction ?? null;
+    const redact = redaction?.types ?? [];
     try {
-        const audioBuffer = fs.readFileSync(chunkPath);
-        const { result, error: dgError } = await deepgramClient.listen.prerecorded.transcribeFile(audioBuffer, transcriptionOptions);
-        if (dgError) { throw dgError; }
-        let formattedTranscript = '';
-        let plainTranscript = result?.results?.channels?.[0]?.alternatives?.[0]?.transcript ?? '';
-        if (diarizeEnabled && result?.results?.channels?.[0]?.alternatives?.[0]?.paragraphs?.paragraphs) {
-            console.log(`[${clientId}] Diarization successful for chunk ${chunkName}.`);
-            const paragraphs = result.results.channels[0].alternatives[0].paragraphs.paragraphs;
-            paragraphs.forEach(p => {
-                const speaker = p.speaker !== null && p.speaker !== undefined ? `Speaker ${p.speaker}: ` : '';
-                const text = p.sentences?.map(s => s.text).join(' ') ?? '';
-                formattedTranscript += speaker + text + '\n\n';
-            });
-        } else {
-            if (diarizeEnabled) { console.warn(`[${clientId}] Diarization enabled but no paragraphs found.`); }
-            formattedTranscript = plainTranscript + ' '; 
+        if (Number.isInteger(channel)) {
+            const result = await provider.transcribeChunk({ chunkPath, offsetSec, diarize: false, model, timestamps: true, language, keyterms, redact }, providerContext(clientId));
+            return labelChannel(redactResult(result, redaction), channel, offsetSec);
         }
-        console.log(`[${clientId}] Transcription processed for chunk ${chunkName}.`);
-        if (formattedTranscript.trim().length > 0) {
-             sendProgress(clientId, 'partial_transcript', { transcript: formattedTranscript });
-        }
-        return plainTranscript; 
+        return redactResult(await provider.transcribeChunk({ chunkPath, offsetSec, diarize, model, timestamps, language, keyterms, redact }, providerContext(clientId)), redaction);
     } catch (err) {
-        console.error(`[${clientId}] Failed Deepgram transcription for chunk ${chunkName}:`, err);
-        sendProgress(clientId, 'error', { message: `Deepgram failed on chunk ${chunkName}: ${err.message}` });
-        return null; 
+        const chunkName = path.basename(chunkPath);
+        console.error(`[${clientId}] Failed ${provider.name} transcription for chunk ${chunkName}:`, err);
+        sendProgress(clientId, 'error', { message: `${provider.name} failed on chunk ${chunkName}: ${err.message}` });
+        return null;
     }
 };
 
-// Gemini Transcription/Summarization Function (Using Inline Data)
-const transcribeWithGemini = async (clientId, filePath, originalName, diarizeEnabled, summarizeEnabled, modelIdentifier) => { 
-    console.log(`[${clientId}] Processing with Gemini: ${originalName} (Diarize: ${diarizeEnabled}, Summarize: ${summarizeEnabled}, Model: ${modelIdentifier})`);
-    sendProgress(clientId, 'status', { message: `Processing with ${modelIdentifier}...`, model: modelIdentifier });
+// Placeholder kept in the transcript for a chunk that failed every retry
+const missingChunkResult = (index, start, end) => {
+    const marker = `[chunk ${index + 1} missing]`;
+    return { transcript: ` ${marker} `, formattedTranscript: `${marker}\n\n`, segments: [{ start, end, speaker: null, text: marker, missing: true }], words: [] };
+};
 
-    try {
-        // 1. Read file and convert to base64 inline data
-        sendProgress(clientId, 'status', { message: 'Preparing audio data...', model: modelIdentifier });
-        const fileBuffer = fs.readFileSync(filePath);
-        const base64Data = fileBuffer.toString("base64");
-        
-        const fileExt = path.extname(originalName).toLowerCase(); 
-        let mimeType = ''; 
-        if (fileExt === '.mp3') mimeType = 'audio/mp3'; 
-        else if (fileExt === '.wav') mimeType = 'audio/wav';
-        else if (fileExt === '.m4a') mimeType = 'audio/m4a';
-        else if (fileExt === '.aac') mimeType = 'audio/aac';
-        else if (fileExt === '.ogg') mimeType = 'audio/ogg';
-        else if (fileExt === '.flac') mimeType = 'audio/flac';
-        else if (fileExt === '.mp4') mimeType = 'video/mp4'; 
-        else {
-            const detectedMimeType = mime.lookup(originalName); 
-            console.log(`[${clientId}] Detected MIME type via mime.lookup for ${fileExt}: ${detectedMimeType}`);
-            mimeType = detectedMimeType || 'application/octet-stream'; 
-        }
-        console.log(`[${clientId}] Using MIME type: ${mimeType}`);
+const chunkWindow = ({ start, end, keepFrom, keepUntil, channel }) => ({ start, end, keepFrom, keepUntil, channel });
 
-        if (mimeType === 'application/octet-stream') {
-             throw new Error(`Could not determine a supported MIME type for file: ${originalName}`);
-        }
-        if (!mimeType.startsWith('audio/') && !mimeType.startsWith('video/')) {
-             console.warn(`[${clientId}] Warning: Determined MIME type "${mimeType}" might not be optimal for Gemini audio tasks.`);
-        }
-        
-        const MAX_INLINE_BYTES = 15 * 1024 * 1024; 
-        if (fileBuffer.length > MAX_INLINE_BYTES) {
-            throw new Error(`File size (${(fileBuffer.length / 1024 / 1024).toFixed(1)}MB) exceeds limit for direct Gemini processing. Use a Deepgram model for larger files.`);
-        }
+// Language reported for most chunks when the provider detected it (language 'auto'), else null
+const detectedLanguageOf = (chunkRecords) => {
+    const counts = new Map();
+    chunkRecords.filter(c => c.language).forEach(c => counts.set(c.language, (counts.get(c.language) ?? 0) + 1));
+    return [...counts].sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
+};
 
-        const audioDataPart = { inlineData: { mimeType: mimeType, data: base64Data } };
+// Rebuild the job's transcript, segments and words from its chunk records and return the text to summarize.
+// Chunk records keep Deepgram's raw per-chunk speakers and their overlap; reconciliation and stitching are redone
+// here so retried chunks fit in.
+// Records also keep the timings of the preprocessed audio; the track's time map puts them back on the original.
+// Glossary replacements are applied last, so a glossary edited since the job ran also applies to retried chunks,
+// followed by redaction, which also catches entities split across a chunk boundary.
+const assembleTranscript = (clientId) => {
+    const { options: { diarize: diarizeEnabled, speakerNames, glossaryIds, redaction = null }, preprocessing } = getJob(clientId);
+    const { replacements } = resolveGlossaries(glossaryIds);
+    let chunkRecords = getJob(clientId).chunks.filter(Boolean);
+    // Per-channel jobs already have one speaker per channel; their channels are interleaved by time
+    const perChannel = chunkRecords.some(c => Number.isInteger(c.channel));
+    if (diarizeEnabled && !perChannel && chunkRecords.length > 1) { chunkRecords = reconcileChunks(chunkRecords); }
+    chunkRecords = stitchChunks(chunkRecords).map(c => (c.segments?.some(s => s.missing) ? c : redactResult(applyGlossary(c, replacements), redaction)));
+    const timeMapFor = (record) => preprocessing?.tracks?.find(t => t.channel === (record.channel ?? null))?.timeMap ?? null;
+    const segments = chunkRecords.flatMap(c => remapTimings(c.segments, timeMapFor(c)));
+    const words = chunkRecords.flatMap(c => remapTimings(c.words, timeMapFor(c)));
+    if (perChannel) {
+        segments.sort((a, b) => a.start - b.start);
+        words.sort((a, b) => a.start - b.start);
+    }
+    const formattedTranscript = perChannel ? formatSegments(segments) : chunkRecords.map(c => c.formattedTranscript ?? '').join('');
+    const transcript = renameSpeakers(formattedTranscript, speakerNames);
+    updateJob(clientId, { transcript, segments, words, detectedLanguage: detectedLanguageOf(chunkRecords), redactions: redaction ? redactionReport({ transcript, segments, words }) : [] });
+    // With speaker labels the summary should see who said what (including real names)
+    return diarizeEnabled || perChannel ? transcript : chunkRecords.map(c => c.transcript ?? '').join('');
+};
 
-        // 2. Construct prompt text
-        let promptText = "Transcribe the following audio accurately.";
-        if (diarizeEnabled) promptText += " Identify different speakers and label their utterances clearly (e.g., 'Speaker 0:', 'Speaker 1:').";
-        if (summarizeEnabled) promptText += " After the transcription, provide a concise summary starting with the exact text 'Summary:'.";
-        
-        // 3. Prepare contents array
-        const contents = [{ role: "user", parts: [{ text: promptText }, audioDataPart] }];
-        
-        // 4. Safety settings
-        const safetySettings = [ { category: HarmCategory.HARM_CATEGORY_HARASSMENT, threshold: HarmBlockThreshold.BLOCK_NONE }, { category: HarmCategory.HARM_CATEGORY_HATE_SPEECH, threshold: HarmBlockThreshold.BLOCK_NONE }, { category: HarmCategory.HARM_CATEGORY_SEXUALLY_EXPLICIT, threshold: HarmBlockThreshold.BLOCK_NONE }, { category: HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT, threshold: HarmBlockThreshold.BLOCK_NONE } ];
+// Text prompt to Gemini with retries and usage metering, as used by summaries and translations
+const geminiGenerator = (clientId, label) => async (prompt, generationConfig) => {
+    const result = await withRetry(
+        () => withTimeout(geminiClient.generateText(prompt, generationConfig), REQUEST_TIMEOUT_MS, 'Gemini request'),
+        retryOptions(clientId, label),
+    );
+    recordUsage(clientId, geminiClient.modelName, tokenUsage(result));
+    return geminiResponseText(result);
+};
 
-        // 5. Call Gemini API
-        sendProgress(clientId, 'status', { message: 'Sending request to Gemini...', model: modelIdentifier });
-        console.log(`[${clientId}] Sending request to Gemini model ${modelIdentifier}...`);
-        
-        const result = await geminiModel.generateContent({ contents, safetySettings });
-        console.log(`[${clientId}] Raw Gemini Result:`, JSON.stringify(result, null, 2)); 
-        
-        const response = result?.response;
-        const responseText = response?.candidates?.[0]?.content?.parts?.[0]?.text ?? ''; 
-        console.log(`[${clientId}] Gemini response received. Extracted text length: ${responseText.length}`);
-
-        // 6. Parse response and send via SSE
-        let transcript = responseText;
-        let summary = null;
-        if (summarizeEnabled) {
-            const summaryMarker = "\nSummary:"; 
-            const summaryIndex = responseText.lastIndexOf(summaryMarker);
-            if (summaryIndex !== -1) {
-                summary = responseText.substring(summaryIndex + summaryMarker.length).trim();
-                transcript = responseText.substring(0, summaryIndex).trim(); 
-                console.log(`[${clientId}] Extracted summary from Gemini response.`);
-                sendProgress(clientId, 'summary_result', { summary: summary });
-            } else { console.warn(`[${clientId}] Could not extract summary marker from Gemini response.`); }
-        }
-        
-        if (transcript && transcript.trim().length > 0) { 
-             sendProgress(clientId, 'partial_transcript', { transcript: transcript }); 
-             console.log(`[${clientId}] Sent transcript part via SSE.`);
-        } else {
-             console.warn(`[${clientId}] No transcript text found in Gemini response to send.`);
-             if (!summarizeEnabled || !summary) { 
-                 throw new Error("Gemini response did not contain valid transcript text.");
-             }
-        }
+// Ask Gemini for a summary using a summary template; resolves with { summary, summaryData, summaryReferences }.
+// summaryData is the parsed object when JSON output was requested, and summary its readable rendering.
+// Long transcripts are summarized section by section first (summarizer.js), streaming `section_summary` events.
+const requestSummary = async (clientId, { transcriptText, segments = [], speakerNames = {} }, summaryOptions = {}) => {
+    const summaryText = await summarizeTranscript({ transcriptText, segments, speakerNames, summaryOptions }, {
+        generate: geminiGenerator(clientId, 'Gemini summary request'),
+        emit: (type, data) => sendProgress(clientId, type, data),
+        shouldStop: () => isCancelled(clientId),
+    });
+    if (summaryText === null) { return { summary: '', summaryData: null, summaryReferences: [] }; }
+    const summaryData = summaryOptions.format === 'json' ? parseSummaryJson(summaryText) : null;
+    const summary = summaryData ? renderSummaryData(summaryData) : summaryText;
+    return { summary, summaryData, summaryReferences: extractReferences(summary, segments) };
+};
 
+// Summarize a finished transcript with Gemini (using the job's summary template) and store it on the job
+const generateTranscriptSummary = async (clientId, transcriptText) => {
+    if (!geminiClient) { sendProgress(clientId, 'warning', { message: 'Summarization skipped: Gemini API key not configured.' }); return; }
+    if (transcriptText.trim().length === 0) { sendProgress(clientId, 'warning', { message: 'Summarization skipped: No transcript generated.' }); return; }
+    const { options, segments } = getJob(clientId);
+    const summaryOptions = options.summaryOptions ?? {};
+    sendProgress(clientId, 'status', { message: `Generating summary with Gemini (${getTemplate(summaryOptions.templateId ?? DEFAULT_TEMPLATE_ID)?.name ?? 'default template'})...` });
+    console.log(`[${clientId}] Sending transcript (length: ${transcriptText.length}) to Gemini for summarization...`);
+    try {
+        const { summary: summaryText, summaryData, summaryReferences } = await requestSummary(clientId, { transcriptText, segments, speakerNames: options.speakerNames }, summaryOptions);
+        if (isCancelled(clientId)) { return; }
+        console.log(`[${clientId}] Gemini summary received.`);
+        // Send summary with both 'summary' and 'text' properties for compatibility
+        updateJob(clientId, { summary: summaryText, summaryData, summaryReferences });
+        sendProgress(clientId, 'summary_result', { summary: summaryText, text: summaryText, data: summaryData, references: summaryReferences });
+    } catch (geminiError) {
+         console.error(`[${clientId}] Gemini API error during summarization:`, geminiError);
+         sendProgress(clientId, 'error', { message: `Failed to generate summary: ${geminiError.message || 'Unknown Gemini error'}` });
+    }
+};
+
+// Write a copy of the job's audio with its redacted ranges bleeped or silenced (job.redactedAudioPath).
+// Timings in the report are on the original timeline, so the original upload is used even after preprocessing.
+const writeRedactedAudio = async (clientId, filePath, mode) => {
+    const { redactions, duration } = getJob(clientId);
+    const untimed = redactions.filter(r => !Number.isFinite(r.start)).length;
+    if (untimed > 0) { sendProgress(clientId, 'warning', { message: `${untimed} redacted item(s) have no timings and are not removed from the audio.` }); }
+    const outputPath = path.join(audioDir, `${clientId}_redacted.mp3`);
+    sendProgress(clientId, 'status', { message: `Writing redacted audio (${mode})...` });
+    try {
+        const ranges = await redactAudio(filePath, outputPath, redactions, { mode, duration }, providerContext(clientId));
+        updateJob(clientId, { redactedAudioPath: outputPath });
+        sendProgress(clientId, 'status', { message: `Redacted audio ready: ${ranges} range(s) ${mode === 'silence' ? 'silenced' : 'bleeped'}.`, redactedAudioUrl: `/jobs/${clientId}/redacted-audio` });
     } catch (err) {
-        console.error(`[${clientId}] Failed to process with Gemini:`, err);
-        if (err.message?.includes('404') && err.message?.includes('models/')) {
-             sendProgress(clientId, 'error', { message: `Model '${modelIdentifier}' not found or unavailable via API.` });
-        } else if (err.message?.includes('RESOURCE_EXHAUSTED') || err.message?.includes('quota')) {
-             sendProgress(clientId, 'error', { message: `Gemini API quota exceeded. Please check your usage limits.` });
-        } else if (err.message?.includes('Unsupported MIME type') || err.message?.includes('Could not determine a supported MIME type')) { 
-             const fileExt = path.extname(originalName).toLowerCase();
-             let mimeType = ''; 
-             if (fileExt === '.mp3') mimeType = 'audio/mp3'; else if (fileExt === '.wav') mimeType = 'audio/wav'; else if (fileExt === '.m4a') mimeType = 'audio/m4a'; else if (fileExt === '.aac') mimeType = 'audio/aac'; else if (fileExt === '.ogg') mimeType = 'audio/ogg'; else if (fileExt === '.flac') mimeType = 'audio/flac'; else if (fileExt === '.mp4') mimeType = 'video/mp4'; else { const detectedMimeType = mime.lookup(originalName); mimeType = detectedMimeType || 'application/octet-stream'; }
-             sendProgress(clientId, 'error', { message: `Gemini processing failed: Unsupported file type (${mimeType}).` });
-        } else {
-             sendProgress(clientId, 'error', { message: `Gemini processing failed: ${err.message || 'Unknown error'}` });
+        console.error(`[${clientId}] Audio redaction failed:`, err);
+        if (fs.existsSync(outputPath)) { fs.unlinkSync(outputPath); }
+        sendProgress(clientId, 'warning', { message: `Could not write the redacted audio: ${err.message}` });
+    }
+};
+
+// Translate a finished transcript (and its summary) into each language with Gemini and store the results in
+// job.translations[language] = { language, status, transcript, segments, summary, summaryReferences, error, updatedAt }.
+// A language that fails is recorded as failed; the others still run.
+const translateTranscript = async (clientId, languages) => {
+    const saveTranslation = (language, fields) => {
+        const { translations = {} } = getJob(clientId);
+        updateJob(clientId, { translations: { ...translations, [language]: { ...translations[language], language, ...fields, updatedAt: new Date().toISOString() } } });
+    };
+    if (!geminiClient) {
+        sendProgress(clientId, 'warning', { message: 'Translation skipped: Gemini API key not configured.' });
+        languages.forEach(language => saveTranslation(language, { status: 'failed', error: 'Gemini API key not configured.' }));
+        return;
+    }
+    for (const language of languages) {
+        if (isCancelled(clientId)) { return; }
+        saveTranslation(language, { status: 'processing', error: null });
+        try {
+            const job = getJob(clientId);
+            const result = await translateJob(job, language, {
+                generate: geminiGenerator(clientId, `Gemini translation request (${language})`),
+                emit: (type, data) => sendProgress(clientId, type, data),
+                shouldStop: () => isCancelled(clientId),
+            });
+            if (result === null) { return; }
+            const summaryReferences = result.summary ? extractReferences(result.summary, job.segments ?? []) : [];
+            saveTranslation(language, { status: 'completed', transcript: result.transcript, segments: result.segments, summary: result.summary, summaryReferences });
+            sendProgress(clientId, 'translation_result', { language, transcript: result.transcript, summary: result.summary, references: summaryReferences });
+            console.log(`[${clientId}] Translation into ${language} finished.`);
+        } catch (err) {
+            if (isCancelled(clientId)) { return; }
+            console.error(`[${clientId}] Translation into ${language} failed:`, err);
+            saveTranslation(language, { status: 'failed', error: err.message });
+            sendProgress(clientId, 'error', { message: `Translation into ${languageName(language)} failed: ${err.message}` });
         }
-        throw err; 
     }
 };
 
+// Re-run the translations queued by POST /jobs/:id/translate
+const runQueuedTranslations = async (clientId) => {
+    const { translations = {}, options } = getJob(clientId);
+    const languages = Object.values(translations).filter(t => t.status === 'pending').map(t => t.language);
+    try {
+        await translateTranscript(clientId, languages);
+        if (isCancelled(clientId)) { return; }
+        const done = languages.filter(language => getJob(clientId).translations?.[language]?.status === 'completed');
+        updateJob(clientId, { status: 'completed' });
+        sendProgress(clientId, 'done', { message: `Translated into ${done.length}/${languages.length} language(s).`, languages: done, downloadUrl: `/jobs/${clientId}/download?format=${options?.outputFormat ?? 'txt'}` });
+    } catch (error) {
+        if (isCancelled(clientId)) { return; }
+        console.error(`[${clientId}] Error while translating:`, error);
+        sendProgress(clientId, 'error', { message: `Translation failed: ${error.message || 'Unknown error'}` });
+        updateJob(clientId, { status: 'completed' });
+    } finally {
+        closeSseConnection(clientId);
+    }
+};
+
+// Seconds of audio shared by neighbouring chunks when diarizing, used to match speakers across chunks
+const CHUNK_OVERLAP_SEC = parseFloat(process.env.CHUNK_OVERLAP_SEC) || 10;
+// Seconds shared by neighbouring chunks otherwise, so a word at a cut outside a pause is heard whole by one chunk
+const CHUNK_SEAM_OVERLAP_SEC = parseFloat(process.env.CHUNK_SEAM_OVERLAP_SEC) || 1;
+
+// Parallel chunk transcription limits (per-request `concurrency` is capped by the max)
+const DEFAULT_TRANSCRIBE_CONCURRENCY = parseInt(process.env.TRANSCRIBE_CONCURRENCY, 10) || 3;
+const MAX_TRANSCRIBE_CONCURRENCY = parseInt(process.env.MAX_TRANSCRIBE_CONCURRENCY, 10) || 10;
 
 // Main transcription processing function
-const processTranscription = async (clientId, filePath, originalName, diarizeEnabled, summarizeEnabled, model, chunkSizeMB) => {
+const processTranscription = async (clientId, filePath, originalName, options) => {
+    const { diarize: diarizeEnabled, summarize: summarizeEnabled, model, chunkSizeMB, outputFormat, concurrency, speakerNames, preprocess, language = null, glossaryIds, targetLanguages, redaction = null } = options;
     const effectiveChunkSizeMB = chunkSizeMB && chunkSizeMB > 0 ? chunkSizeMB : 10; 
+    const effectiveConcurrency = concurrency && concurrency > 0 ? Math.min(concurrency, MAX_TRANSCRIBE_CONCURRENCY) : DEFAULT_TRANSCRIBE_CONCURRENCY;
     const DIRECT_PROCESSING_THRESHOLD_SEC = 30; 
     let duration = Infinity;
-    let chunkPaths = [];
+    let chunks = [];
     let accumulatedTranscript = ''; 
-    const useGeminiForTranscription = model.startsWith('gemini-');
+    const provider = resolveProvider(model);
+    const { capabilities } = provider.probe();
+    // Caption and JSON exports need timings, so ask for timestamps when one of those was requested
+    const timestampsEnabled = ['srt', 'vtt', 'json'].includes(outputFormat);
+    const { terms: keyterms, replacements, missing: missingGlossaries } = resolveGlossaries(glossaryIds);
+    const transcribeChunk = (chunkPath, offsetSec, channel = null) => transcribeChunkWith(provider, clientId, chunkPath, { offsetSec, diarize: diarizeEnabled, model, timestamps: timestampsEnabled, channel, language, keyterms });
+    let wholeFileResult = null;
+    // What gets transcribed: the upload itself, or the preprocessed track(s) (see preprocess.js)
+    let tracks = [{ channel: null, path: filePath, timeMap: null }];
 
     try {
         sendProgress(clientId, 'status', { message: `Processing: ${originalName} (Diarize: ${diarizeEnabled}, Summarize: ${summarizeEnabled}, Model: ${model})` });
 
-        if (useGeminiForTranscription) {
-            // *** GEMINI PATH ***
-            if (!genAI || !geminiModel) { 
-                 throw new Error("Gemini API key not configured or model initialization failed.");
+        if (diarizeEnabled && !capabilities.diarization) {
+            sendProgress(clientId, 'warning', { message: `${provider.name} does not support speaker diarization; the transcript will have no speaker labels.` });
+        }
+        if (missingGlossaries.length > 0) {
+            sendProgress(clientId, 'warning', { message: `Selected glossaries no longer exist and are skipped: ${missingGlossaries.join(', ')}.` });
+        }
+
+        if (preprocess) {
+            const prepared = await preprocessAudio(filePath, preprocess, path.join(uploadsDir, `${clientId}_prep_`), providerContext(clientId));
+            tracks = prepared.tracks;
+            updateJob(clientId, { preprocessing: { ...preprocess, channelCount: prepared.channels, tracks: tracks.map(({ path: trackPath, ...track }) => track) } });
+            if (isCancelled(clientId)) { return; }
+        }
+        const perChannel = tracks.length > 1;
+        if (perChannel) {
+            sendProgress(clientId, 'status', { message: 'Transcribing the left and right channels separately (Speaker 0 and Speaker 1)...' });
+        }
+
+        if (provider.transcribeFile && !perChannel) {
+            // *** WHOLE-FILE PATH (Gemini) ***
+            const trackName = preprocess ? `${path.parse(originalName).name}.flac` : originalName;
+            // The provider streams its transcript itself; with redaction on, it must not go out unredacted
+            const wholeFileContext = { ...providerContext(clientId), emit: (type, data) => sendProgress(clientId, type, type === 'partial_transcript' ? { ...data, transcript: redactText(data.transcript, redaction) } : data) };
+            wholeFileResult = await provider.transcribeFile({ filePath: tracks[0].path, originalName: trackName, diarize: diarizeEnabled, model, timestamps: timestampsEnabled, speakerNames, language, keyterms, redact: redaction?.types ?? [] }, wholeFileContext);
+            if (wholeFileResult) {
+                const { transcript, segments } = redactResult(applyGlossary(wholeFileResult, replacements), redaction);
+                // The streamed transcript had no glossary replacements (and was redacted as one text)
+                if (transcript !== redactText(wholeFileResult.transcript, redaction)) { sendProgress(clientId, 'transcript_updated', { transcript }); }
+                const remapped = remapTimings(segments, tracks[0].timeMap);
+                setChunk(clientId, 0, { status: 'completed', start: 0, transcript, formattedTranscript: transcript, segments, words: [] });
+                updateJob(clientId, { transcript, segments: remapped, words: [], redactions: redaction ? redactionReport({ transcript, segments: remapped }) : [] });
+                accumulatedTranscript = transcript;
+            } else {
+                sendProgress(clientId, 'status', { message: `File is too large for a single ${provider.name} request, transcribing in chunks...`, model: model });
             }
-            await transcribeWithGemini(clientId, filePath, originalName, diarizeEnabled, summarizeEnabled, model);
+        }
 
-        } else {
-            // *** DEEPGRAM PATH ***
+        if (!wholeFileResult) {
+            // *** CHUNKED PATH ***
              try {
-                const ffprobePath = ffprobe.path;
-                const durationCommand = `"${ffprobePath}" -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${filePath}"`;
-                const { stdout } = await new Promise((resolve, reject) => {
-                    exec(durationCommand, { maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
-                        if (error) reject(stderr || error); else resolve({ stdout });
-                    });
-                });
-                duration = parseFloat(stdout);
+                duration = await probeDuration(filePath);
                 console.log(`[${clientId}] File duration: ${duration} seconds`);
                 sendProgress(clientId, 'status', { message: `File duration: ${Math.round(duration)}s` });
             } catch (err) {
@@ -407,180 +669,894 @@ const processTranscription = async (clientId, filePath, originalName, diarizeEna
                 duration = Infinity; 
             }
 
-            if (duration > DIRECT_PROCESSING_THRESHOLD_SEC) {
-                chunkPaths = await splitMediaIntoAudioChunks(clientId, filePath, effectiveChunkSizeMB); 
-                const totalChunks = chunkPaths.length;
-                for (let i = 0; i < totalChunks; i++) {
-                    const chunkPath = chunkPaths[i];
-                    const progressMsg = `Transcribing chunk ${i + 1}/${totalChunks}...`; 
-                    sendProgress(clientId, 'status', { message: progressMsg, model: model });
-                    try {
-                        const chunkTranscript = await transcribeChunkPrerecorded(clientId, chunkPath, diarizeEnabled, model); 
-                        if (chunkTranscript !== null) { accumulatedTranscript += chunkTranscript; } 
-                    } catch (err) { sendProgress(clientId, 'warning', { message: `Error processing chunk ${i + 1}. Skipping.` }); } 
-                    finally { if (fs.existsSync(chunkPath)) { fs.unlinkSync(chunkPath); } }
+            if (duration > DIRECT_PROCESSING_THRESHOLD_SEC || perChannel) {
+                // Diarized chunks overlap so speakers can be matched across the cut by their word timings
+                const reconcileSpeakers = diarizeEnabled && !perChannel;
+                const overlapSec = reconcileSpeakers && capabilities.diarization && capabilities.wordTimings ? CHUNK_OVERLAP_SEC : CHUNK_SEAM_OVERLAP_SEC;
+                // Where each track was cut, on the original timeline, for exports and later re-assembly
+                const boundaries = [];
+                for (const track of tracks) {
+                    const namePrefix = track.channel === null ? `${clientId}_chunk_` : `${clientId}_chunk_ch${track.channel}_`;
+                    const trackChunks = await splitMediaIntoAudioChunks(clientId, track.path, effectiveChunkSizeMB, overlapSec, namePrefix);
+                    trackChunks.forEach(chunk => chunks.push({ ...chunk, index: chunks.length, channel: track.channel ?? undefined }));
+                    trackChunks.slice(0, -1).forEach(chunk => boundaries.push({
+                        channel: track.channel,
+                        at: toOriginalTime(chunk.keepUntil ?? chunk.end, track.timeMap, { isEnd: true }),
+                        atSilence: Boolean(chunk.cutAtSilence),
+                    }));
                 }
+                updateJob(clientId, { boundaries });
+                const totalChunks = chunks.length;
+                const workerCount = Math.min(effectiveConcurrency, totalChunks);
+                sendProgress(clientId, 'status', { message: `Transcribing ${totalChunks} chunks (${workerCount} at a time)...`, model: model, completed: 0, total: totalChunks });
+
+                // Chunks finish in any order; hold results back so partial transcripts are emitted in chunk order
+                const chunkResults = new Array(totalChunks);
+                let nextChunkToEmit = 0;
+                let chunksDone = 0;
+                const startedAt = Date.now();
+                const emitReadyChunks = () => {
+                    while (nextChunkToEmit < totalChunks && chunkResults[nextChunkToEmit] !== undefined) {
+                        // Earlier chunks are all settled here, so speakers can be reconciled and overlaps stitched up to this one
+                        const settled = chunkResults.slice(0, nextChunkToEmit + 1);
+                        const chunkResult = stitchChunks(reconcileSpeakers ? reconcileChunks(settled) : settled)[nextChunkToEmit];
+                        if (chunkResult.formattedTranscript.trim().length > 0) {
+                            sendProgress(clientId, 'partial_transcript', { transcript: renameSpeakers(applyReplacements(chunkResult.formattedTranscript, replacements), speakerNames), chunk: nextChunkToEmit + 1 });
+                        }
+                        nextChunkToEmit++;
+                    }
+                };
+
+                await runPool(chunks, workerCount, async (chunk, i) => {
+                    let chunkResult = null;
+                    try {
+                        chunkResult = await transcribeChunk(chunk.path, chunk.start, chunk.channel); 
+                    } catch (err) { console.error(`[${clientId}] Unexpected error on chunk ${i + 1}:`, err); } 
+                    if (isCancelled(clientId)) { return; }
+                    if (chunkResult !== null) {
+                        setChunk(clientId, i, { ...chunkWindow(chunk), status: 'completed', ...chunkResult });
+                        if (fs.existsSync(chunk.path)) { fs.unlinkSync(chunk.path); }
+                    } else {
+                        // Keep the chunk's audio so it can be re-run later via /jobs/:id/retry-failed
+                        chunkResult = missingChunkResult(i, chunk.start, chunk.end);
+                        setChunk(clientId, i, { ...chunkWindow(chunk), status: 'failed', path: chunk.path, ...chunkResult });
+                        sendProgress(clientId, 'warning', { message: `Chunk ${i + 1} failed after ${RETRY_MAX_ATTEMPTS} attempts and is marked missing.` });
+                    }
+                    chunkResults[i] = { ...chunkWindow(chunk), ...chunkResult };
+                    chunksDone++;
+                    emitReadyChunks();
+                    const etaSeconds = estimateRemainingSeconds(startedAt, chunksDone, totalChunks);
+                    sendProgress(clientId, 'status', { message: `Transcribed ${chunksDone}/${totalChunks} chunks (ETA ${formatEta(etaSeconds)})`, model: model, completed: chunksDone, total: totalChunks, etaSeconds });
+                }, { shouldStop: () => isCancelled(clientId) });
+                if (isCancelled(clientId)) { return; }
                 sendProgress(clientId, 'status', { message: 'All chunks processed.' });
             } else {
-                 sendProgress(clientId, 'status', { message: 'Transcribing file directly (Pre-recorded)...', model: model });
+                 sendProgress(clientId, 'status', { message: `Transcribing file directly with ${provider.name}...`, model: model });
                  try {
-                     const transcript = await transcribeChunkPrerecorded(clientId, filePath, diarizeEnabled, model); 
-                     if (transcript !== null) { accumulatedTranscript = transcript; }
+                     const chunkResult = await transcribeChunk(tracks[0].path, 0); 
+                     if (chunkResult !== null) {
+                         if (chunkResult.formattedTranscript.trim().length > 0) {
+                             sendProgress(clientId, 'partial_transcript', { transcript: renameSpeakers(applyReplacements(chunkResult.formattedTranscript, replacements), speakerNames) });
+                         }
+                         setChunk(clientId, 0, { start: 0, end: duration, status: 'completed', ...chunkResult });
+                     } else {
+                         // The upload itself is the only chunk; keep it for /jobs/:id/retry-failed
+                         setChunk(clientId, 0, { start: 0, end: duration, status: 'failed', path: tracks[0].path, ...missingChunkResult(0, 0, duration) });
+                     }
                      sendProgress(clientId, 'status', { message: 'Processing complete.' });
-                 } catch (err) { /* Error handled in transcribeChunkPrerecorded */ }
+                 } catch (err) { /* Error handled in transcribeChunk */ }
             }
 
-            // Summarize Deepgram transcript using Gemini if enabled
-            if (summarizeEnabled && accumulatedTranscript.trim().length > 0 && geminiModel) {
-                sendProgress(clientId, 'status', { message: 'Generating summary with Gemini...' });
-                console.log(`[${clientId}] Sending Deepgram transcript (length: ${accumulatedTranscript.length}) to Gemini...`);
-                try {
-                    const prompt = `Analyze the following transcript and create a structured summary with these specific sections:
-
-1. Key discussion points (bullet points)
-2. Key decisions taken (bullet points)
-3. Key actions to be completed (bullet points)
-
-Format your response exactly with these three headings and bullet points under each. If any section has no relevant content, include the heading but note "None identified".
-
-Transcript:
----
-${accumulatedTranscript.trim()}
----`;
-                    const safetySettings = [ { category: HarmCategory.HARM_CATEGORY_HARASSMENT, threshold: HarmBlockThreshold.BLOCK_NONE }, { category: HarmCategory.HARM_CATEGORY_HATE_SPEECH, threshold: HarmBlockThreshold.BLOCK_NONE }, { category: HarmCategory.HARM_CATEGORY_SEXUALLY_EXPLICIT, threshold: HarmBlockThreshold.BLOCK_NONE }, { category: HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT, threshold: HarmBlockThreshold.BLOCK_NONE } ];
-                    
-                    // *** CORRECTED Gemini API call structure for text-only input ***
-                    const result = await geminiModel.generateContent(prompt, {safetySettings}); // Pass prompt string directly
-                    
-                    const response = result.response;
-                    // *** CORRECTED RESPONSE PARSING for summary call ***
-                    const summaryText = response?.candidates?.[0]?.content?.parts?.[0]?.text ?? ''; 
-                    console.log(`[${clientId}] Gemini summary received.`);
-                    // Send summary with both 'summary' and 'text' properties for compatibility
-                    sendProgress(clientId, 'summary_result', { summary: summaryText, text: summaryText });
-                } catch (geminiError) {
-                     console.error(`[${clientId}] Gemini API error during summarization:`, geminiError);
-                     sendProgress(clientId, 'error', { message: `Failed to generate summary: ${geminiError.message || 'Unknown Gemini error'}` });
-                }
-            } else if (summarizeEnabled && !geminiModel) { sendProgress(clientId, 'warning', { message: 'Summarization skipped: Gemini API key not configured.' }); }
-              else if (summarizeEnabled) { sendProgress(clientId, 'warning', { message: 'Summarization skipped: No transcript generated.' }); }
-        } // End of Deepgram path
+            updateJob(clientId, { duration: Number.isFinite(duration) ? duration : null });
+            accumulatedTranscript = assembleTranscript(clientId);
+            // Partial transcripts arrived one channel after the other; clients replace them with the interleaved version
+            if (perChannel) { sendProgress(clientId, 'transcript_updated', { transcript: getJob(clientId).transcript }); }
+        } // End of chunked path
 
-        sendProgress(clientId, 'done', { message: 'Transcription process finished.' });
+        if (redaction) {
+            const { redactions } = getJob(clientId);
+            sendProgress(clientId, 'redaction_report', { redactions });
+            if (redaction.audio) { await writeRedactedAudio(clientId, filePath, redaction.audio); }
+            if (isCancelled(clientId)) { return; }
+        }
+
+        // Summarize the transcript with the selected template if enabled; offline providers keep the text on this server
+        if (summarizeEnabled && capabilities.offline) {
+            sendProgress(clientId, 'warning', { message: `Summarization skipped: ${provider.name} transcripts are not sent to external services.` });
+        } else if (summarizeEnabled) { await generateTranscriptSummary(clientId, accumulatedTranscript); }
+
+        // Translations include the summary, so they come after it
+        if (targetLanguages?.length > 0 && capabilities.offline) {
+            sendProgress(clientId, 'warning', { message: `Translation skipped: ${provider.name} transcripts are not sent to external services.` });
+        } else if (targetLanguages?.length > 0) { await translateTranscript(clientId, targetLanguages); }
+
+        if (isCancelled(clientId)) { return; }
+        updateJob(clientId, { status: 'completed' });
+        sendProgress(clientId, 'done', { message: 'Transcription process finished.', downloadUrl: `/jobs/${clientId}/download?format=${outputFormat}` });
 
     } catch (error) {
+        if (isCancelled(clientId)) { return; }
         console.error(`[${clientId}] Top-level transcription processing error:`, error);
         // Ensure error is sent if not already handled within specific paths
-        if (!error.message?.includes('Gemini processing failed') && !error.message?.includes('Deepgram failed')) {
+        if (!error.reported) {
              sendProgress(clientId, 'error', { message: `Processing failed: ${error.message || 'Unknown error'}` });
         }
+        updateJob(clientId, { status: 'failed' });
     } finally {
-        if (fs.existsSync(filePath)) { fs.unlinkSync(filePath); console.log(`[${clientId}] Cleaned up original file: ${filePath}`); }
-        chunkPaths.forEach(chunkPath => { if (fs.existsSync(chunkPath)) { fs.unlinkSync(chunkPath); } });
+        const retainedPaths = new Set((getJob(clientId)?.chunks ?? []).filter(c => c?.status === 'failed' && c.path).map(c => c.path));
+        if (fs.existsSync(filePath) && !retainedPaths.has(filePath)) { fs.unlinkSync(filePath); console.log(`[${clientId}] Cleaned up original file: ${filePath}`); }
+        chunks.forEach(chunk => { if (fs.existsSync(chunk.path) && !retainedPaths.has(chunk.path)) { fs.unlinkSync(chunk.path); } });
+        tracks.forEach(track => { if (track.path !== filePath && fs.existsSync(track.path) && !retainedPaths.has(track.path)) { fs.unlinkSync(track.path); } });
         console.log(`[${clientId}] Final cleanup complete.`);
-        if (sseConnections[clientId]) {
-             setTimeout(() => {
-                if (sseConnections[clientId]) { try { sseConnections[clientId].end(); } catch(e){} delete sseConnections[clientId]; console.log(`[${clientId}] Closed SSE connection.`); }
-             }, 1500);
+        closeSseConnection(clientId);
+    }
+};
+
+// Re-run only the chunks that failed every retry and splice them back into the finished transcript
+const retryFailedChunks = async (clientId, failedChunks) => {
+    const { diarize: diarizeEnabled, summarize: summarizeEnabled, model, outputFormat, concurrency, language = null, glossaryIds } = getJob(clientId).options;
+    const provider = resolveProvider(model);
+    const { terms: keyterms } = resolveGlossaries(glossaryIds);
+    const workerCount = Math.min(concurrency && concurrency > 0 ? Math.min(concurrency, MAX_TRANSCRIBE_CONCURRENCY) : DEFAULT_TRANSCRIBE_CONCURRENCY, failedChunks.length);
+    let recovered = 0;
+    try {
+        sendProgress(clientId, 'status', { message: `Retrying ${failedChunks.length} failed chunk(s)...`, model: model, completed: 0, total: failedChunks.length });
+        await runPool(failedChunks, workerCount, async (chunk) => {
+            const chunkResult = await transcribeChunkWith(provider, clientId, chunk.path, { offsetSec: chunk.start, diarize: diarizeEnabled, model, timestamps: ['srt', 'vtt', 'json'].includes(outputFormat), channel: chunk.channel, language, keyterms });
+            if (isCancelled(clientId)) { return; }
+            if (chunkResult === null) {
+                sendProgress(clientId, 'warning', { message: `Chunk ${chunk.index + 1} failed again and remains missing.` });
+                return;
+            }
+            setChunk(clientId, chunk.index, { ...chunkWindow(chunk), status: 'completed', ...chunkResult });
+            if (fs.existsSync(chunk.path)) { fs.unlinkSync(chunk.path); }
+            recovered++;
+            sendProgress(clientId, 'status', { message: `Recovered chunk ${chunk.index + 1}.`, model: model, completed: recovered, total: failedChunks.length });
+        }, { shouldStop: () => isCancelled(clientId) });
+        if (isCancelled(clientId)) { return; }
+
+        const transcriptText = assembleTranscript(clientId);
+        // Clients replace their displayed transcript with the spliced version
+        sendProgress(clientId, 'transcript_updated', { transcript: getJob(clientId).transcript });
+        if (summarizeEnabled && recovered > 0 && !provider.probe().capabilities.offline) { await generateTranscriptSummary(clientId, transcriptText); }
+
+        updateJob(clientId, { status: 'completed' });
+        sendProgress(clientId, 'done', { message: `Retried failed chunks: ${recovered}/${failedChunks.length} recovered.`, recovered, remaining: failedChunks.length - recovered, downloadUrl: `/jobs/${clientId}/download?format=${outputFormat}` });
+    } catch (error) {
+        if (isCancelled(clientId)) { return; }
+        console.error(`[${clientId}] Error while retrying failed chunks:`, error);
+        sendProgress(clientId, 'error', { message: `Retry failed: ${error.message || 'Unknown error'}` });
+        updateJob(clientId, { status: 'completed' });
+    } finally {
+        closeSseConnection(clientId);
+    }
+};
+
+// Download a job's remote source into uploads/ (once; a recovered job may already have it) and apply the owner's
+// budget now that the duration is known. Returns false when the job failed or was cancelled instead.
+const fetchJobSource = async (clientId) => {
+    const { source, inputPath, ownerId, options } = getJob(clientId);
+    if (inputPath && fs.existsSync(inputPath)) { return true; }
+    const destPath = path.join(uploadsDir, `${clientId}_source`);
+    try {
+        sendProgress(clientId, 'status', { message: `Downloading ${describeSource(source)}...` });
+        const { originalName, bytes, episode } = await downloadSource(source, destPath, { shouldStop: () => isCancelled(clientId) });
+        console.log(`[${clientId}] Downloaded ${describeSource(source)} (${bytes} bytes) to ${destPath}.`);
+        updateJob(clientId, { inputPath: destPath, originalName, ...(episode ? { source: { ...source, episode } } : {}) });
+        sendProgress(clientId, 'status', { message: `Downloaded ${originalName} (${(bytes / 1024 / 1024).toFixed(1)} MB).`, episode });
+        const principal = findPrincipal(ownerId);
+        if (budgetsApply(principal)) {
+            let estimatedCost = 0;
+            try {
+                estimatedCost = estimateTranscription(options.model, await probeDuration(destPath), options.summarize).estimatedCost;
+            } catch (err) {
+                console.warn(`[${clientId}] Could not estimate cost for the budget check: ${err.message}`);
+            }
+            const { error } = budgetStatus(principal, estimatedCost);
+            if (error) { throw new Error(error); }
         }
+        return true;
+    } catch (error) {
+        if (fs.existsSync(destPath)) { fs.unlinkSync(destPath); }
+        if (isCancelled(clientId)) { return false; }
+        console.error(`[${clientId}] Could not fetch ${describeSource(source)}:`, error.message);
+        sendProgress(clientId, 'error', { message: `Could not fetch the source: ${error.message}` });
+        updateJob(clientId, { status: 'failed' });
+        closeSseConnection(clientId);
+        return false;
     }
 };
 
-// Modified Transcription endpoint
-app.post('/transcribe', upload.single('audio'), (req, res) => {
-   if (!req.file) { return res.status(400).json({ error: 'No file uploaded.' }); }
-   const clientId = uuidv4();
-   const filePath = req.file.path;
-   const originalName = req.file.originalname; 
-   const diarizeEnabled = req.body.diarize === 'true' || req.body.enableDiarization === 'true';
-   // Check both parameter names for summarization to ensure compatibility
+// Chunks that failed every retry and still have their audio on disk
+const retainedFailedChunks = (job) => job.chunks.filter(c => c?.status === 'failed' && c.path && fs.existsSync(c.path));
+
+// Transcriptions, failed-chunk retries and translations wait in a durable queue (see jobQueue.js); summaries and live sessions start right away
+const jobQueue = createJobQueue({
+    runners: {
+        transcribe: async (jobId) => {
+            if (getJob(jobId).source && !(await fetchJobSource(jobId))) { return; }
+            const job = getJob(jobId);
+            return processTranscription(jobId, job.inputPath, job.originalName, job.options);
+        },
+        'retry-failed': (jobId) => retryFailedChunks(jobId, retainedFailedChunks(getJob(jobId))),
+        translate: (jobId) => runQueuedTranslations(jobId),
+    },
+    onPosition: (jobId, { position, queued, running, maxConcurrent }) => {
+        sendProgress(jobId, 'queue', { message: `Queued: position ${position} of ${queued} (${running}/${maxConcurrent} jobs running).`, position, queued, running, maxConcurrent });
+    },
+});
+
+// Available providers, their models and capabilities (the UI builds its model list from this)
+app.get('/models', (req, res) => {
+   const providers = describeProviders();
+   res.json({ models: providers.flatMap(p => p.models.map(m => ({ ...m, available: p.available, capabilities: p.capabilities }))), providers });
+});
+
+// Pre-flight cost estimate: upload the file (or give durationSeconds) with the same model/summarize options as /transcribe
+app.post('/estimate', upload.single('audio'), async (req, res) => {
+   const model = req.body.model || 'nova-2';
    const summarizeEnabled = req.body.summarize === 'true' || req.body.enableSummarization === 'true';
-   const model = req.body.model || 'nova-2'; 
-   const chunkSizeMB = model.startsWith('gemini-') ? null : (parseInt(req.body.chunkSizeMB, 10) || 10); 
-   console.log(`[${clientId}] Received file: ${originalName}, Path: ${filePath}, Diarize: ${diarizeEnabled}, Summarize: ${summarizeEnabled}, Model: ${model}, ChunkTargetMB: ${chunkSizeMB ?? 'N/A'}. Starting async processing.`);
-   processTranscription(clientId, filePath, originalName, diarizeEnabled, summarizeEnabled, model, chunkSizeMB); 
-   res.json({ clientId }); 
+   let durationSeconds = parseFloat(req.body.durationSeconds);
+   if (req.file) {
+      try {
+         durationSeconds = await probeDuration(req.file.path);
+      } catch (err) {
+         return res.status(400).json({ error: `Could not read the media duration: ${err.message}` });
+      } finally {
+         if (fs.existsSync(req.file.path)) { fs.unlinkSync(req.file.path); }
+      }
+   }
+   if (!Number.isFinite(durationSeconds) || durationSeconds <= 0) {
+      return res.status(400).json({ error: 'Upload the media file or give its durationSeconds.' });
+   }
+   const estimate = estimateTranscription(model, durationSeconds, summarizeEnabled);
+   const { error, ...budget } = budgetStatus(req.principal, estimate.estimatedCost);
+   res.json({ ...estimate, budget: { ...budget, wouldExceed: Boolean(error), error } });
+});
+
+// Usage and cost report, aggregated by owner, model and day (?from=YYYY-MM-DD&to=YYYY-MM-DD); admins see every key
+app.get('/usage', (req, res) => {
+   const { from = null, to = null } = req.query;
+   if ([from, to].some(date => date && !/^\d{4}-\d{2}-\d{2}$/.test(date))) {
+      return res.status(400).json({ error: 'from and to must be dates in YYYY-MM-DD format.' });
+   }
+   const ownerId = isAdmin(req.principal) ? req.query.ownerId : req.principal.id;
+   const { error, ...budget } = budgetStatus(req.principal);
+   res.json({ ...usageReport({ ownerId, from, to }), budget });
+});
+
+// Glossaries belong to the key that created them; admins can use and manage every glossary
+const canAccessGlossary = (principal, glossary) => Boolean(glossary) && (isAdmin(principal) || glossary.ownerId === principal?.id);
+
+// Form fields arrive as strings, JSON bodies (e.g. POST /feeds) as booleans
+const isTrue = (value) => value === true || value === 'true';
+
+// Transcription options of a /transcribe or /feeds request; throws with the message for a 400 response.
+// Glossaries must belong to the requesting key (admins may use any).
+const parseTranscribeOptions = (body, principal) => {
+   const diarizeEnabled = isTrue(body.diarize) || isTrue(body.enableDiarization);
+   // Check both parameter names for summarization to ensure compatibility
+   const summarizeEnabled = isTrue(body.summarize) || isTrue(body.enableSummarization);
+   const model = body.model || 'nova-2'; 
+   const provider = resolveProvider(model);
+   const { available, reason } = provider.probe();
+   if (!available) { throw new Error(`Model '${model}' is unavailable: ${reason}`); }
+   // Whole-file providers only chunk as a fallback, with the default chunk size
+   const chunkSizeMB = provider.transcribeFile ? null : (parseInt(body.chunkSizeMB, 10) || 10); 
+   const outputFormat = String(body.outputFormat || body.format || 'txt').toLowerCase();
+   if (!OUTPUT_FORMATS.includes(outputFormat)) {
+      throw new Error(`Unsupported output format '${outputFormat}'. Use one of: ${OUTPUT_FORMATS.join(', ')}.`);
+   }
+   const concurrency = parseInt(body.concurrency, 10) || null;
+   let speakerNames;
+   try {
+      speakerNames = parseSpeakerNames(body.speakerNames);
+   } catch (err) {
+      throw new Error(`Invalid speakerNames: ${err.message}`);
+   }
+   let summaryOptions;
+   try {
+      summaryOptions = parseSummaryOptions(body);
+   } catch (err) {
+      throw new Error(`Invalid summary options: ${err.message}`);
+   }
+   let preprocess;
+   try {
+      preprocess = parsePreprocessOptions(body);
+   } catch (err) {
+      throw new Error(`Invalid preprocessing options: ${err.message}`);
+   }
+   const priority = parsePriority(body.priority);
+   const callbackUrl = parseCallbackUrl(body.callbackUrl);
+   const { glossaryIds, language } = parseVocabularyOptions(body, glossary => canAccessGlossary(principal, glossary));
+   const targetLanguages = parseTargetLanguages(body.targetLanguages);
+   let redaction;
+   try {
+      redaction = parseRedactionOptions(body);
+   } catch (err) {
+      throw new Error(`Invalid redaction options: ${err.message}`);
+   }
+   return { options: { model, diarize: diarizeEnabled, summarize: summarizeEnabled, chunkSizeMB, outputFormat, concurrency, speakerNames, summaryOptions, preprocess, callbackUrl, glossaryIds, language, targetLanguages, redaction }, priority };
+};
+
+// Modified Transcription endpoint. Takes an upload (`audio`) or a `sourceUrl`: a media URL, a podcast RSS feed
+// (with `episode`) or s3://bucket/key. Sources are downloaded when the job runs (see fetchJobSource).
+app.post('/transcribe', requireJobQuota, upload.single('audio'), async (req, res) => {
+   const filePath = req.file?.path ?? null;
+   const discardUpload = () => { if (filePath && fs.existsSync(filePath)) { fs.unlinkSync(filePath); } };
+   const clientId = uuidv4();
+   let source = null;
+   let options;
+   let priority;
+   let labels;
+   try {
+      source = req.file ? null : parseSource(req.body);
+      ({ options, priority } = parseTranscribeOptions(req.body, req.principal));
+      labels = parseJobLabels(req.body);
+      await verifySource(source);
+      await verifyCallbackUrl(options.callbackUrl);
+   } catch (err) {
+      discardUpload();
+      return res.status(400).json({ error: err.message });
+   }
+   if (!req.file && !source) { return res.status(400).json({ error: 'No file uploaded. Send an audio file or a sourceUrl.' }); }
+   const originalName = req.file ? req.file.originalname : describeSource(source);
+   console.log(`[${clientId}] Received ${req.file ? `file: ${originalName}, Path: ${filePath}` : `source: ${originalName}`}, Diarize: ${options.diarize}, Summarize: ${options.summarize}, Model: ${options.model}, ChunkTargetMB: ${options.chunkSizeMB ?? 'N/A'}, Format: ${options.outputFormat}. Starting async processing.`);
+   // Reject the job up front if its estimated cost would exceed a monthly budget (sources are checked once downloaded)
+   if (req.file && budgetsApply(req.principal)) {
+      let estimatedCost = 0;
+      try {
+         estimatedCost = estimateTranscription(options.model, await probeDuration(filePath), options.summarize).estimatedCost;
+      } catch (err) {
+         console.warn(`[${clientId}] Could not estimate cost for the budget check: ${err.message}`);
+      }
+      const { error } = budgetStatus(req.principal, estimatedCost);
+      if (error) {
+         discardUpload();
+         return res.status(402).json({ error, estimatedCost });
+      }
+   }
+   createJob({ id: clientId, type: 'transcribe', originalName, options, ownerId: req.principal.id, ...labels });
+   // The upload stays on disk until the job runs, so a queued job survives a restart
+   updateJob(clientId, req.file ? { inputPath: filePath } : { source });
+   const queuePosition = jobQueue.enqueue(clientId, { action: 'transcribe', priority });
+   res.json({ clientId, queuePosition }); 
 });
 
 // Summarization-only endpoint
-app.post('/summarize', upload.single('audio'), (req, res) => {
+app.post('/summarize', requireJobQuota, upload.single('audio'), async (req, res) => {
    const clientId = uuidv4();
-   const existingTranscription = req.body.existingTranscription;
+   let existingTranscription = req.body.existingTranscription;
+   // A finished job (e.g. a live session) can be summarized by id instead of posting its text;
+   // its segments let the summary reference timestamps in the transcript
+   const sourceJobId = req.body.jobId || null;
+   let sourceSegments = [];
+   let sourceSpeakerNames = {};
+   if (sourceJobId) {
+      const sourceJob = findAccessibleJob(req, sourceJobId);
+      if (!sourceJob) { return res.status(404).json({ error: 'Job not found.' }); }
+      if (sourceJob.status !== 'completed') { return res.status(409).json({ error: `Job is ${sourceJob.status}; only completed jobs can be summarized.` }); }
+      existingTranscription = sourceJob.transcript;
+      sourceSegments = sourceJob.segments ?? [];
+      sourceSpeakerNames = sourceJob.options?.speakerNames ?? {};
+   }
    
    if (!existingTranscription) {
       return res.status(400).json({ error: 'No transcription provided for summarization.' });
    }
    
-   console.log(`[${clientId}] Received summarization request for existing transcription (${existingTranscription.length} chars).`);
+   let speakerNames;
+   try {
+      speakerNames = parseSpeakerNames(req.body.speakerNames);
+   } catch (err) {
+      return res.status(400).json({ error: `Invalid speakerNames: ${err.message}` });
+   }
+   let summaryOptions;
+   try {
+      summaryOptions = parseSummaryOptions(req.body);
+   } catch (err) {
+      return res.status(400).json({ error: `Invalid summary options: ${err.message}` });
+   }
+   let callbackUrl;
+   let labels;
+   try {
+      callbackUrl = parseCallbackUrl(req.body.callbackUrl);
+      await verifyCallbackUrl(callbackUrl);
+      labels = parseJobLabels(req.body);
+   } catch (err) {
+      return res.status(400).json({ error: err.message });
+   }
+   const transcriptText = renameSpeakers(existingTranscription, speakerNames);
+   if (budgetsApply(req.principal)) {
+      const { cost: estimatedCost } = estimateSummaryCost(geminiClient?.modelName ?? DEFAULT_GEMINI_MODEL, estimateTranscriptTokens(transcriptText));
+      const { error } = budgetStatus(req.principal, estimatedCost);
+      if (error) { return res.status(402).json({ error, estimatedCost }); }
+   }
+   
+   console.log(`[${clientId}] Received summarization request for ${sourceJobId ? `job ${sourceJobId}` : 'existing transcription'} (${existingTranscription.length} chars).`);
+   createJob({ id: clientId, type: 'summarize', options: { speakerNames, sourceJobId, summaryOptions, callbackUrl }, ownerId: req.principal.id, ...labels });
+   updateJob(clientId, { transcript: transcriptText });
    
    // Process the summarization asynchronously
    (async () => {
       try {
          sendProgress(clientId, 'status', { message: 'Generating summary...' });
          
-         if (!geminiModel) {
+         if (!geminiClient) {
             sendProgress(clientId, 'error', { message: 'Summarization failed: Gemini API key not configured.' });
+            updateJob(clientId, { status: 'failed' });
             return;
          }
          
-         // Create the prompt for summarization with structured format
-         const prompt = `Analyze the following transcript and create a structured summary with these specific sections:
-
-1. Key discussion points (bullet points)
-2. Key decisions taken (bullet points)
-3. Key actions to be completed (bullet points)
-
-Format your response exactly with these three headings and bullet points under each. If any section has no relevant content, include the heading but note "None identified".
-
-Transcript:
----
-${existingTranscription.trim()}
----`;
-         const safetySettings = [
-            { category: HarmCategory.HARM_CATEGORY_HARASSMENT, threshold: HarmBlockThreshold.BLOCK_NONE },
-            { category: HarmCategory.HARM_CATEGORY_HATE_SPEECH, threshold: HarmBlockThreshold.BLOCK_NONE },
-            { category: HarmCategory.HARM_CATEGORY_SEXUALLY_EXPLICIT, threshold: HarmBlockThreshold.BLOCK_NONE },
-            { category: HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT, threshold: HarmBlockThreshold.BLOCK_NONE }
-         ];
-         
-         // Call Gemini API for summarization
+         // Call Gemini API for summarization with the selected template
          sendProgress(clientId, 'status', { message: 'Sending request to Gemini...' });
-         const result = await geminiModel.generateContent(prompt, {safetySettings});
-         const response = result.response;
-         const summaryText = response?.candidates?.[0]?.content?.parts?.[0]?.text ?? '';
+         const { summary: summaryText, summaryData, summaryReferences } = await requestSummary(clientId, { transcriptText, segments: sourceSegments, speakerNames: { ...sourceSpeakerNames, ...speakerNames } }, summaryOptions);
+         if (isCancelled(clientId)) { return; }
          
          console.log(`[${clientId}] Gemini summary received.`);
          
          if (summaryText.trim().length > 0) {
             // Send the summary result
-            sendProgress(clientId, 'summary_result', { summary: summaryText, text: summaryText });
+            updateJob(clientId, { summary: summaryText, summaryData, summaryReferences, status: 'completed' });
+            // Keep the summary with the source job too, so its exports include it
+            if (sourceJobId && getJob(sourceJobId)) { updateJob(sourceJobId, { summary: summaryText, summaryData, summaryReferences }); }
+            sendProgress(clientId, 'summary_result', { summary: summaryText, text: summaryText, data: summaryData, references: summaryReferences });
             sendProgress(clientId, 'status', { message: 'Summary generated successfully.', progress: 100 });
          } else {
+            updateJob(clientId, { status: 'failed' });
             sendProgress(clientId, 'error', { message: 'Failed to generate summary: Empty response from Gemini.' });
          }
       } catch (error) {
          console.error(`[${clientId}] Error during summarization:`, error);
+         updateJob(clientId, { status: 'failed' });
          sendProgress(clientId, 'error', { message: `Summarization failed: ${error.message || 'Unknown error'}` });
       } finally {
+         if (isCancelled(clientId)) { return; }
          // Mark the process as complete
          sendProgress(clientId, 'done', { message: 'Summarization process finished.' });
          
          // Close the SSE connection after a delay
-         if (sseConnections[clientId]) {
-            setTimeout(() => {
-               if (sseConnections[clientId]) {
-                  try { sseConnections[clientId].end(); } catch(e){}
-                  delete sseConnections[clientId];
-                  console.log(`[${clientId}] Closed SSE connection.`);
-               }
-            }, 1500);
-         }
+         closeSseConnection(clientId);
       }
    })();
    
    res.json({ clientId });
 });
 
-app.listen(port, () => {
-  console.log(`Server listening on port ${port}`);
+// Ask a question about a transcript (a completed job by id, or posted text) with the conversation so far; the
+// answer streams over SSE as `chat_delta` events and ends with `chat_answer` { answer, citations } (see chat.js)
+app.post('/chat', requireJobQuota, async (req, res) => {
+   if (!geminiClient) { return res.status(503).json({ error: 'Chat requires a Gemini API key.' }); }
+   const sourceJobId = req.body.jobId || null;
+   let source = { transcript: req.body.transcript, segments: [], options: {} };
+   if (sourceJobId) {
+      const sourceJob = findAccessibleJob(req, sourceJobId);
+      if (!sourceJob) { return res.status(404).json({ error: 'Job not found.' }); }
+      if (sourceJob.status !== 'completed' || !sourceJob.transcript) { return res.status(409).json({ error: `Job is ${sourceJob.status}; only completed jobs with a transcript can be asked about.` }); }
+      source = sourceJob;
+   }
+   if (typeof source.transcript !== 'string' || !source.transcript.trim()) { return res.status(400).json({ error: 'Provide a jobId or a transcript to ask about.' }); }
+   let question;
+   let history;
+   try {
+      ({ question, history } = parseChatRequest(req.body));
+   } catch (err) {
+      return res.status(400).json({ error: err.message });
+   }
+   const { passages, retrieval } = retrievePassages(source, question, history);
+   const contents = buildChatContents(question, history, { passages, retrieval });
+   if (budgetsApply(req.principal)) {
+      const promptText = contents.flatMap(c => c.parts.map(p => p.text)).join('\n');
+      const { cost: estimatedCost } = estimateSummaryCost(geminiClient.modelName, estimateTranscriptTokens(promptText));
+      const { error } = budgetStatus(req.principal, estimatedCost);
+      if (error) { return res.status(402).json({ error, estimatedCost }); }
+   }
+
+   const clientId = uuidv4();
+   console.log(`[${clientId}] Received chat question about ${sourceJobId ? `job ${sourceJobId}` : 'posted transcript'} (${retrieval}, ${passages.length} passage(s), ${history.length} earlier message(s)).`);
+   createJob({ id: clientId, type: 'chat', options: { sourceJobId, question, retrieval }, ownerId: req.principal.id });
+
+   (async () => {
+      try {
+         sendProgress(clientId, 'status', { message: retrieval === 'full' ? 'Asking Gemini...' : `Asking Gemini with ${passages.length} relevant passage(s) of the transcript...` });
+         // Only starting the stream is retried: once text has been sent it cannot be taken back
+         const result = await withRetry(
+            () => withTimeout(geminiClient.generateTextStream(contents), REQUEST_TIMEOUT_MS, 'Gemini chat request'),
+            retryOptions(clientId, 'Gemini chat request'),
+         );
+         let answer = '';
+         for await (const chunk of result.stream) {
+            if (isCancelled(clientId)) { return; }
+            const text = geminiResponseText({ response: chunk });
+            if (!text) { continue; }
+            answer += text;
+            sendProgress(clientId, 'chat_delta', { text });
+         }
+         const response = await result.response;
+         recordUsage(clientId, geminiClient.modelName, tokenUsage({ response }));
+         if (isCancelled(clientId)) { return; }
+         if (!answer.trim()) { throw new Error('Empty response from Gemini.'); }
+         const citations = extractCitations(answer, passages);
+         updateJob(clientId, { answer, citations, status: 'completed' });
+         sendProgress(clientId, 'chat_answer', { answer, citations });
+         console.log(`[${clientId}] Chat answer received (${answer.length} chars, ${citations.length} citation(s)).`);
+      } catch (error) {
+         console.error(`[${clientId}] Error during chat:`, error);
+         updateJob(clientId, { status: 'failed' });
+         sendProgress(clientId, 'error', { message: `Chat failed: ${error.message || 'Unknown error'}` });
+      } finally {
+         if (!isCancelled(clientId)) {
+            sendProgress(clientId, 'done', { message: 'Chat answer finished.' });
+            closeSseConnection(clientId);
+         }
+      }
+   })();
+
+   res.json({ clientId, retrieval, passages });
+});
+
+// Full-text search over completed transcripts (see search.js); admins search every job and may filter by ownerId
+app.get('/search', (req, res) => {
+   const { q, from = null, to = null, model = null, speaker = null } = req.query;
+   if (typeof q !== 'string' || !q.trim()) { return res.status(400).json({ error: 'Missing search query (q).' }); }
+   if ([from, to].some(date => date && !/^\d{4}-\d{2}-\d{2}$/.test(date))) {
+      return res.status(400).json({ error: 'from and to must be dates in YYYY-MM-DD format.' });
+   }
+   let tags = [];
+   try {
+      ({ tags = [] } = parseJobLabels({ tags: req.query.tags }));
+   } catch (err) {
+      return res.status(400).json({ error: err.message });
+   }
+   const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+   const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+   const hitsPerJob = Math.min(parseInt(req.query.hitsPerJob, 10) || 5, 50);
+   const ownerId = isAdmin(req.principal) ? req.query.ownerId : req.principal.id;
+   const { total, results } = searchJobs(listJobs({ ownerId }), q, { from, to, model, tags, speaker, limit, offset, hitsPerJob });
+   res.json({ query: q, total, limit, offset, results: results.map(({ job, ...result }) => ({ job: toJobSummary(job), ...result })) });
 });
+
+// Job retrieval endpoints (admins see every job and may filter by ownerId)
+app.get('/jobs', (req, res) => {
+   const { status, type } = req.query;
+   const limit = parseInt(req.query.limit, 10) || 0;
+   const ownerId = isAdmin(req.principal) ? req.query.ownerId : req.principal.id;
+   res.json({ jobs: listJobs({ status, type, limit, ownerId }).map(toJobSummary) });
+});
+
+app.get('/jobs/:id', (req, res) => {
+   const job = findAccessibleJob(req, req.params.id);
+   if (!job) { return res.status(404).json({ error: 'Job not found.' }); }
+   res.json({ ...toJobDetail(job), queuePosition: jobQueue.position(job.id) });
+});
+
+// Set a job's title and/or tags (tags replace the existing ones)
+app.patch('/jobs/:id', (req, res) => {
+   const job = findAccessibleJob(req, req.params.id);
+   if (!job) { return res.status(404).json({ error: 'Job not found.' }); }
+   let labels;
+   try {
+      labels = parseJobLabels(req.body ?? {});
+   } catch (err) {
+      return res.status(400).json({ error: err.message });
+   }
+   if (Object.keys(labels).length === 0) { return res.status(400).json({ error: 'Nothing to update. Send title and/or tags.' }); }
+   res.json(toJobSummary(updateJob(job.id, labels)));
+});
+
+// Webhook delivery log of a job (see webhooks.js)
+app.get('/jobs/:id/deliveries', (req, res) => {
+   const job = findAccessibleJob(req, req.params.id);
+   if (!job) { return res.status(404).json({ error: 'Job not found.' }); }
+   res.json({ deliveries: job.deliveries ?? [] });
+});
+
+// Download a finished job's result (defaults to the format chosen at upload)
+app.get('/jobs/:id/download', async (req, res) => {
+   const job = findAccessibleJob(req, req.params.id);
+   if (!job) { return res.status(404).json({ error: 'Job not found.' }); }
+   if (job.status !== 'completed') { return res.status(409).json({ error: `Job is ${job.status}; results are only available once it has completed.` }); }
+   const format = (req.query.format || job.options?.outputFormat || 'txt').toLowerCase();
+   if (!OUTPUT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Unsupported output format '${format}'. Use one of: ${OUTPUT_FORMATS.join(', ')}.` });
+   }
+   // ?language= exports a finished translation instead, with the original timings and speakers
+   const translation = req.query.language ? job.translations?.[req.query.language] : null;
+   if (req.query.language && translation?.status !== 'completed') { return res.status(404).json({ error: `No finished translation into '${req.query.language}'.` }); }
+   const exported = translation
+      ? { ...job, options: { ...job.options, language: translation.language }, detectedLanguage: null, transcript: translation.transcript, segments: translation.segments, words: [], summary: translation.summary, summaryData: null, summaryReferences: translation.summaryReferences }
+      : job;
+   try {
+      const { body, contentType, extension } = await renderExport(exported, format);
+      const baseName = `${job.originalName ? path.parse(job.originalName).name : job.id}${translation ? `.${translation.language}` : ''}`;
+      res.set('Content-Type', contentType);
+      res.attachment(`${baseName}.${extension}`);
+      res.send(body);
+   } catch (err) {
+      console.error(`[${job.id}] Failed to export as ${format}:`, err);
+      res.status(500).json({ error: `Export failed: ${err.message}` });
+   }
+});
+
+app.post('/jobs/:id/retry-failed', (req, res) => {
+   const job = findAccessibleJob(req, req.params.id);
+   if (!job) { return res.status(404).json({ error: 'Job not found.' }); }
+   if (job.status !== 'completed') { return res.status(409).json({ error: `Job is ${job.status}; only completed jobs can retry failed chunks.` }); }
+   const failedChunks = retainedFailedChunks(job);
+   if (failedChunks.length === 0) { return res.status(409).json({ error: 'Job has no failed chunks with retained audio to retry.' }); }
+   // Listeners should reconnect with lastEventId so the earlier 'done' event is not replayed
+   const lastEventId = job.events.length;
+   console.log(`[${job.id}] Queuing a retry of ${failedChunks.length} failed chunk(s).`);
+   const queuePosition = jobQueue.enqueue(job.id, { action: 'retry-failed', priority: job.queue?.priority ?? 'normal' });
+   res.json({ clientId: job.id, lastEventId, retrying: failedChunks.length, queuePosition });
+});
+
+// The copy of the audio made with redactAudio
+app.get('/jobs/:id/redacted-audio', (req, res) => {
+   const job = findAccessibleJob(req, req.params.id);
+   if (!job) { return res.status(404).json({ error: 'Job not found.' }); }
+   if (!job.redactedAudioPath || !fs.existsSync(job.redactedAudioPath)) { return res.status(404).json({ error: 'Job has no redacted audio.' }); }
+   res.download(job.redactedAudioPath, `${job.originalName ? path.parse(job.originalName).name : job.id}.redacted.mp3`);
+});
+
+// Translate a completed job's transcript and summary: { targetLanguages: ['de', 'fr'] }. Languages already
+// translated are translated again.
+app.post('/jobs/:id/translate', (req, res) => {
+   const job = findAccessibleJob(req, req.params.id);
+   if (!job) { return res.status(404).json({ error: 'Job not found.' }); }
+   if (job.status !== 'completed') { return res.status(409).json({ error: `Job is ${job.status}; only completed jobs can be translated.` }); }
+   if (!job.transcript?.trim()) { return res.status(409).json({ error: 'Job has no transcript to translate.' }); }
+   if (job.options?.model && resolveProvider(job.options.model).probe().capabilities.offline) {
+      return res.status(409).json({ error: 'Transcripts from offline models are not sent to external services.' });
+   }
+   if (!geminiClient) { return res.status(503).json({ error: 'Translation needs Gemini; GEMINI_API_KEY is not configured.' }); }
+   let languages;
+   try {
+      languages = parseTargetLanguages(req.body?.targetLanguages);
+   } catch (err) {
+      return res.status(400).json({ error: err.message });
+   }
+   if (languages.length === 0) { return res.status(400).json({ error: 'targetLanguages is required.' }); }
+   const now = new Date().toISOString();
+   const pending = Object.fromEntries(languages.map(language => [language, { language, status: 'pending', error: null, updatedAt: now }]));
+   updateJob(job.id, { translations: { ...job.translations, ...pending } });
+   // Listeners should reconnect with lastEventId so the earlier 'done' event is not replayed
+   const lastEventId = job.events.length;
+   console.log(`[${job.id}] Queuing translation into ${languages.join(', ')}.`);
+   const queuePosition = jobQueue.enqueue(job.id, { action: 'translate', priority: job.queue?.priority ?? 'normal' });
+   res.json({ clientId: job.id, lastEventId, languages, queuePosition });
+});
+
+app.delete('/jobs/:id', (req, res) => {
+   const job = findAccessibleJob(req, req.params.id);
+   if (!job) { return res.status(404).json({ error: 'Job not found.' }); }
+   if (!isTerminal(job)) {
+      console.log(`[${job.id}] Cancelling running job before deletion.`);
+      cancelJob(job.id);
+   }
+   // Failed chunks keep their audio for retries, live sessions keep their recording; remove them with the job
+   job.chunks.forEach(c => { if (c?.path && fs.existsSync(c.path)) { fs.unlinkSync(c.path); } });
+   if (job.audioPath && fs.existsSync(job.audioPath)) { fs.unlinkSync(job.audioPath); }
+   if (job.redactedAudioPath && fs.existsSync(job.redactedAudioPath)) { fs.unlinkSync(job.redactedAudioPath); }
+   deleteJob(job.id);
+   console.log(`[${job.id}] Job deleted.`);
+   res.json({ success: true });
+});
+
+// Podcast subscriptions (see feeds.js): new episodes become transcription jobs owned by the subscriber's key
+const findAccessibleFeed = (req, id) => {
+  const feed = getFeed(id);
+  return feed && (isAdmin(req.principal) || feed.ownerId === req.principal.id) ? feed : null;
+};
+
+// Queue one feed episode; throws when the subscriber's key was revoked or has used up its daily quota
+const transcribeEpisode = (feed, episode) => {
+    const principal = findPrincipal(feed.ownerId);
+    if (!principal) { throw new Error('The API key that owns this feed has been revoked.'); }
+    const quotaError = jobQuotaError(principal);
+    if (quotaError) { throw new Error(quotaError); }
+    const clientId = uuidv4();
+    createJob({ id: clientId, type: 'transcribe', originalName: episode.title, options: feed.options, ownerId: feed.ownerId, title: episode.title, tags: feed.tags ?? [] });
+    const { guid, title, url, publishedAt } = episode;
+    updateJob(clientId, { source: { type: 'url', url, title, feedId: feed.id, episode: { guid, title, url, publishedAt, feedTitle: feed.title } } });
+    jobQueue.enqueue(clientId, { action: 'transcribe', priority: feed.priority });
+    console.log(`[${clientId}] Queued episode '${title}' from feed ${feed.id}.`);
+    return clientId;
+};
+
+app.get('/feeds', (req, res) => {
+   const ownerId = isAdmin(req.principal) ? req.query.ownerId : req.principal.id;
+   res.json({ feeds: listFeeds({ ownerId }).map(toFeedSummary) });
+});
+
+// Subscribe: { url, intervalMinutes, backfill, priority (default low), ...the /transcribe options }
+app.post('/feeds', async (req, res) => {
+   const body = req.body ?? {};
+   let created;
+   try {
+      const { options, priority } = parseTranscribeOptions({ priority: 'low', ...body }, req.principal);
+      await verifyCallbackUrl(options.callbackUrl);
+      const { tags } = parseJobLabels({ tags: body.tags });
+      created = await createFeed({ url: body.url, ownerId: req.principal.id, intervalMinutes: body.intervalMinutes, priority, options, tags, backfill: body.backfill });
+   } catch (err) {
+      return res.status(400).json({ error: err.message });
+   }
+   const jobIds = await checkFeed(created.feed.id, transcribeEpisode, created.parsed);
+   res.status(201).json({ ...toFeedSummary(getFeed(created.feed.id)), jobIds });
+});
+
+// Check a feed for new episodes right away
+app.post('/feeds/:id/check', async (req, res) => {
+   const feed = findAccessibleFeed(req, req.params.id);
+   if (!feed) { return res.status(404).json({ error: 'Feed not found.' }); }
+   const jobIds = await checkFeed(feed.id, transcribeEpisode);
+   res.json({ ...toFeedSummary(getFeed(feed.id)), jobIds });
+});
+
+// Unsubscribe; jobs already created for its episodes are kept
+app.delete('/feeds/:id', (req, res) => {
+   const feed = findAccessibleFeed(req, req.params.id);
+   if (!feed) { return res.status(404).json({ error: 'Feed not found.' }); }
+   deleteFeed(feed.id);
+   res.json({ success: true });
+});
+
+// Summary templates: built-in ones are read-only, custom ones are kept in DATA_DIR/templates.json
+app.get('/templates', (req, res) => {
+   res.json({ templates: listTemplates() });
+});
+
+app.get('/templates/:id', (req, res) => {
+   const template = getTemplate(req.params.id);
+   if (!template) { return res.status(404).json({ error: 'Template not found.' }); }
+   res.json(template);
+});
+
+app.post('/templates', requireAdmin, (req, res) => {
+   try {
+      res.status(201).json(createTemplate(req.body ?? {}));
+   } catch (err) {
+      res.status(400).json({ error: err.message });
+   }
+});
+
+app.put('/templates/:id', requireAdmin, (req, res) => {
+   if (isBuiltInTemplate(req.params.id)) { return res.status(403).json({ error: 'Built-in templates cannot be modified; create a custom template instead.' }); }
+   try {
+      const template = updateTemplate(req.params.id, req.body ?? {});
+      if (!template) { return res.status(404).json({ error: 'Template not found.' }); }
+      res.json(template);
+   } catch (err) {
+      res.status(400).json({ error: err.message });
+   }
+});
+
+app.delete('/templates/:id', requireAdmin, (req, res) => {
+   if (isBuiltInTemplate(req.params.id)) { return res.status(403).json({ error: 'Built-in templates cannot be deleted.' }); }
+   if (!deleteTemplate(req.params.id)) { return res.status(404).json({ error: 'Template not found.' }); }
+   res.json({ success: true });
+});
+
+// Glossaries: keyword boosting, prompt vocabulary and find-and-replace rules, selected per job with `glossary`
+app.get('/glossaries', (req, res) => {
+   const ownerId = isAdmin(req.principal) ? req.query.ownerId : req.principal.id;
+   res.json({ glossaries: listGlossaries({ ownerId }) });
+});
+
+app.get('/glossaries/:id', (req, res) => {
+   const glossary = getGlossary(req.params.id);
+   if (!canAccessGlossary(req.principal, glossary)) { return res.status(404).json({ error: 'Glossary not found.' }); }
+   res.json(glossary);
+});
+
+// { name, description, terms: ['Acme', { term, boost }], replacements: [{ find, replace, regex, caseSensitive }] }
+app.post('/glossaries', (req, res) => {
+   try {
+      res.status(201).json(createGlossary(req.body ?? {}, req.principal.id, { allowRegex: isAdmin(req.principal) }));
+   } catch (err) {
+      res.status(400).json({ error: err.message });
+   }
+});
+
+app.put('/glossaries/:id', (req, res) => {
+   if (!canAccessGlossary(req.principal, getGlossary(req.params.id))) { return res.status(404).json({ error: 'Glossary not found.' }); }
+   try {
+      res.json(updateGlossary(req.params.id, req.body ?? {}, { allowRegex: isAdmin(req.principal) }));
+   } catch (err) {
+      res.status(400).json({ error: err.message });
+   }
+});
+
+// Jobs that selected a deleted glossary run without it (with a warning)
+app.delete('/glossaries/:id', (req, res) => {
+   if (!canAccessGlossary(req.principal, getGlossary(req.params.id))) { return res.status(404).json({ error: 'Glossary not found.' }); }
+   deleteGlossary(req.params.id);
+   res.json({ success: true });
+});
+
+// The secret this key's webhooks are signed with
+app.get('/webhooks/secret', (req, res) => {
+   const secret = webhookSecret(req.principal.id);
+   if (!secret) { return res.status(404).json({ error: 'Webhooks are disabled on this server (WEBHOOK_SECRET is not set).' }); }
+   res.json({ secret, signatureHeader: 'X-Webhook-Signature', timestampHeader: 'X-Webhook-Timestamp' });
+});
+
+// API key management (admin only); the plain key is returned once, on creation
+app.get('/keys', requireAdmin, (req, res) => {
+   res.json({ keys: listApiKeys() });
+});
+
+app.post('/keys', requireAdmin, (req, res) => {
+   try {
+      res.status(201).json(createApiKey(req.body ?? {}));
+   } catch (err) {
+      res.status(400).json({ error: err.message });
+   }
+});
+
+app.delete('/keys/:id', requireAdmin, (req, res) => {
+   const apiKey = revokeApiKey(req.params.id);
+   if (!apiKey) { return res.status(404).json({ error: 'API key not found.' }); }
+   res.json(apiKey);
+});
+
+// Startup recovery. Jobs interrupted by a restart are re-queued when their input is still available (a transcription
+// starts over, downloading its source again if needed; a failed-chunk retry picks up the chunks still missing) and
+// failed otherwise; summaries and live
+// sessions cannot be resumed. Files in uploads/ and DATA_DIR/audio that no job refers to are then removed.
+const recoverInterruptedJobs = () => {
+    listJobs().filter(job => !isTerminal(job)).forEach(job => {
+        const action = job.queue?.action;
+        const resumable = (action === 'transcribe' && (job.source || (job.inputPath && fs.existsSync(job.inputPath))))
+            || (action === 'retry-failed' && retainedFailedChunks(job).length > 0)
+            || action === 'translate';
+        if (!resumable) {
+            console.warn(`[${job.id}] Interrupted ${job.type} job cannot be resumed; marking it failed.`);
+            sendProgress(job.id, 'error', { message: 'The server restarted before this job finished and it could not be resumed.' });
+            updateJob(job.id, { status: 'failed' });
+            return;
+        }
+        if (job.status === 'queued') { return; }
+        if (action === 'transcribe') {
+            updateJob(job.id, { chunks: [], duration: null, transcript: '', segments: [], words: [], summary: null, summaryData: null, summaryReferences: [], preprocessing: null, boundaries: [], detectedLanguage: null, translations: {}, redactions: [], redactedAudioPath: null });
+        }
+        // An interrupted translation starts that language over
+        if (action === 'translate') {
+            updateJob(job.id, { translations: Object.fromEntries(Object.entries(job.translations ?? {}).map(([language, t]) => [language, t.status === 'processing' ? { ...t, status: 'pending' } : t])) });
+        }
+        console.log(`[${job.id}] Re-queuing ${action} interrupted by a restart.`);
+        sendProgress(job.id, 'warning', { message: action === 'transcribe' ? 'The server restarted; the job was re-queued and will start over.' : `The server restarted; the ${action === 'translate' ? 'translation' : 'retry'} was re-queued.` });
+        jobQueue.enqueue(job.id, { action, priority: job.queue.priority, enqueuedAt: job.queue.enqueuedAt });
+    });
+};
+
+const removeOrphanedFiles = () => {
+    const referenced = new Set(listJobs()
+        .flatMap(job => [job.inputPath, job.audioPath, job.redactedAudioPath, ...job.chunks.map(c => c?.path)])
+        .filter(Boolean)
+        .map(p => path.resolve(p)));
+    let removed = 0;
+    [uploadsDir, audioDir].forEach(dir => {
+        fs.readdirSync(dir).map(f => path.join(dir, f)).filter(p => !referenced.has(p) && fs.statSync(p).isFile()).forEach(p => {
+            fs.unlinkSync(p);
+            removed++;
+        });
+    });
+    if (removed > 0) { console.log(`Removed ${removed} orphaned file(s) from ${uploadsDir} and ${audioDir}.`); }
+};
+
+// Signed callbacks for jobs created with a callbackUrl; registered before recovery so jobs it fails are reported
+onJobFinished(notifyJobFinished);
+recoverInterruptedJobs();
+removeOrphanedFiles();
+resumeDeliveries();
+jobQueue.start();
+startFeedPolling(transcribeEpisode);
+
+// Exported for the CLI, which runs the server in-process when no --server is given (see cli.js)
+export const server = app.listen(port, host, () => {
+  console.log(`Server listening on port ${server.address().port}`);
+});
+
+// Live microphone transcription (ws://host/live), saved as a regular job when the session ends
+attachLiveServer(server, { sendProgress, summarize: generateTranscriptSummary, closeSseConnection, authenticate, jobQuotaError, budgetStatus, costOf, recordUsage });
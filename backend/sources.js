@@ -0,0 +1,295 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { once } from 'events';
+import mime from 'mime-types';
+import { assertPublicUrl, fetchPublic } from './urlGuard.js';
+
+// Remote inputs for /transcribe: a direct media URL, a podcast RSS feed (one episode is picked) or an object in an
+// S3-compatible bucket (AWS S3, MinIO, ...). Sources are streamed to disk with size and content-type checks.
+// URLs given by clients, feed enclosures included, may not reach local or private addresses, also not through a
+// redirect (see urlGuard.js); only the operator-configured S3 endpoint is trusted.
+//   SOURCE_MAX_BYTES         - largest download accepted (default 500 MB, same as uploads)
+//   SOURCE_IDLE_TIMEOUT_MS   - abort a download that sends nothing for this long
+//   S3_ENDPOINT              - S3-compatible endpoint, e.g. http://localhost:9000 for MinIO (default: AWS)
+//   S3_REGION                - signing region (default us-east-1)
+//   S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY - credentials (fall back to AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY;
+//                              without them objects are fetched unsigned, for public buckets)
+//   S3_FORCE_PATH_STYLE      - true for endpoint/bucket/key URLs (default when S3_ENDPOINT is set)
+//   S3_ALLOWED_BUCKETS       - comma-separated buckets (`media`) or bucket/key prefixes (`media/podcasts/`) that
+//                              s3:// sources may read; requests are signed with the server's credentials, so
+//                              s3:// sources are refused entirely when this is unset
+
+const SOURCE_MAX_BYTES = parseInt(process.env.SOURCE_MAX_BYTES, 10) || 500 * 1024 * 1024;
+const SOURCE_IDLE_TIMEOUT_MS = parseInt(process.env.SOURCE_IDLE_TIMEOUT_MS, 10) || 60000;
+const MAX_FEED_BYTES = 10 * 1024 * 1024;
+
+const S3_ENDPOINT = process.env.S3_ENDPOINT || null;
+const S3_REGION = process.env.S3_REGION || 'us-east-1';
+const S3_ACCESS_KEY_ID = process.env.S3_ACCESS_KEY_ID || process.env.AWS_ACCESS_KEY_ID || '';
+const S3_SECRET_ACCESS_KEY = process.env.S3_SECRET_ACCESS_KEY || process.env.AWS_SECRET_ACCESS_KEY || '';
+const S3_FORCE_PATH_STYLE = process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === 'true' : Boolean(S3_ENDPOINT);
+const S3_ALLOWED_BUCKETS = (process.env.S3_ALLOWED_BUCKETS || '').split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const [bucket, ...prefix] = entry.split('/');
+    return { bucket, prefix: prefix.join('/') };
+});
+
+// Generic binary types are accepted because many servers (and S3 by default) use them for media files
+const MEDIA_CONTENT_TYPES = ['application/octet-stream', 'binary/octet-stream', 'application/ogg', 'application/mp4'];
+const FEED_CONTENT_TYPE_REGEX = /\b(rss|xml)\b/i;
+// DNS-compatible bucket names, so a bucket cannot change the host of a virtual-hosted-style URL
+const S3_BUCKET_REGEX = /^[a-z0-9][a-z0-9.-]{1,61}[a-z0-9]$/;
+
+const baseContentType = (response) => (response.headers.get('content-type') ?? '').split(';')[0].trim().toLowerCase();
+
+const isMediaContentType = (type) => !type || type.startsWith('audio/') || type.startsWith('video/') || MEDIA_CONTENT_TYPES.includes(type);
+
+const isAllowedS3Object = (bucket, key) => S3_ALLOWED_BUCKETS.some(allowed => allowed.bucket === bucket && key.startsWith(allowed.prefix));
+
+// Read the `sourceUrl` (http(s):// or s3://bucket/key) and optional `episode` fields of a /transcribe request.
+// Returns null when no source was given; throws on an invalid one.
+export const parseSource = (body = {}) => {
+    const value = String(body.sourceUrl ?? '').trim();
+    if (!value) { return null; }
+    let url;
+    try {
+        url = new URL(value);
+    } catch {
+        throw new Error(`sourceUrl '${value}' is not a valid URL.`);
+    }
+    if (url.protocol === 's3:') {
+        const key = decodeURIComponent(url.pathname.replace(/^\//, ''));
+        if (!url.hostname || !key) { throw new Error('S3 sources look like s3://bucket/path/to/file.mp3.'); }
+        if (!S3_BUCKET_REGEX.test(url.hostname)) { throw new Error(`'${url.hostname}' is not a valid S3 bucket name.`); }
+        // URLs resolve . and .. segments, which would lead out of the bucket with path-style addressing
+        if (key.split('/').some(segment => segment === '.' || segment === '..')) { throw new Error('S3 keys may not contain . or .. path segments.'); }
+        if (!S3_ALLOWED_BUCKETS.length) { throw new Error('S3 sources are not enabled on this server.'); }
+        if (!isAllowedS3Object(url.hostname, key)) { throw new Error(`s3://${url.hostname}/${key} is outside the buckets this server may read.`); }
+        return { type: 's3', bucket: url.hostname, key };
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) { throw new Error('sourceUrl must be an http(s):// or s3:// URL.'); }
+    return { type: 'url', url: url.href, episode: body.episode ? String(body.episode).trim() : null };
+};
+
+// Resolve the host of a parsed URL source and refuse private addresses; the async part of the validation
+export const verifySource = async (source) => {
+    if (source?.type === 'url') { await assertPublicUrl(source.url, 'sourceUrl'); }
+};
+
+// Short label for status messages and as the job name until the download has finished
+export const describeSource = (source) => (source.type === 's3' ? `s3://${source.bucket}/${source.key}` : source.url);
+
+// --- S3 (Signature Version 4, GET only) ---
+
+const encodeRfc3986 = (value) => encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const s3ObjectUrl = (bucket, key) => {
+    const encodedKey = key.split('/').map(encodeRfc3986).join('/');
+    const endpoint = new URL(S3_ENDPOINT ?? `https://s3.${S3_REGION}.amazonaws.com`);
+    return S3_FORCE_PATH_STYLE
+        ? new URL(`${endpoint.origin}/${bucket}/${encodedKey}`)
+        : new URL(`${endpoint.protocol}//${bucket}.${endpoint.host}/${encodedKey}`);
+};
+
+const sha256Hex = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+// Headers that authorize the request; `headers` are extra headers to sign along with host and the x-amz-* ones
+export const signS3Request = ({ method = 'GET', url, headers = {}, payloadHash = 'UNSIGNED-PAYLOAD', date = new Date() }) => {
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const signed = { ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])), host: url.host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+    const names = Object.keys(signed).sort();
+    const canonicalQuery = [...url.searchParams].map(([k, v]) => `${encodeRfc3986(k)}=${encodeRfc3986(v)}`).sort().join('&');
+    const canonicalRequest = [method, url.pathname, canonicalQuery, names.map(name => `${name}:${signed[name]}\n`).join(''), names.join(';'), payloadHash].join('\n');
+    const scope = `${dateStamp}/${S3_REGION}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+    const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${S3_SECRET_ACCESS_KEY}`, dateStamp), S3_REGION));
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+    const { host, ...requestHeaders } = signed;
+    return { ...requestHeaders, authorization: `AWS4-HMAC-SHA256 Credential=${S3_ACCESS_KEY_ID}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}` };
+};
+
+// --- HTTP ---
+
+// fetch with an idle timeout that keeps running while the body is read; call `touch` per chunk and `done` at the end.
+// Unless `trusted` (the S3 endpoint), the URL and every redirect must resolve to public addresses.
+const openUrl = async (url, headers = {}, { label = 'sourceUrl', trusted = false } = {}) => {
+    const controller = new AbortController();
+    let timer = null;
+    const touch = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => controller.abort(new Error(`No data from ${new URL(url).host} for ${SOURCE_IDLE_TIMEOUT_MS / 1000}s.`)), SOURCE_IDLE_TIMEOUT_MS);
+    };
+    const done = () => clearTimeout(timer);
+    touch();
+    try {
+        const response = trusted
+            ? await fetch(url, { headers, signal: controller.signal })
+            : await fetchPublic(url, { headers, signal: controller.signal }, label);
+        if (!response.ok) { throw new Error(`${new URL(url).host} answered ${response.status} ${response.statusText}.`); }
+        return { response, touch, done };
+    } catch (err) {
+        done();
+        throw controller.signal.aborted ? controller.signal.reason : err;
+    }
+};
+
+const checkContentLength = (response, maxBytes) => {
+    const length = parseInt(response.headers.get('content-length'), 10);
+    if (length > maxBytes) { throw new Error(`Source is ${(length / 1024 / 1024).toFixed(1)} MB; the limit is ${(maxBytes / 1024 / 1024).toFixed(0)} MB.`); }
+};
+
+const readText = async ({ response, touch, done }, maxBytes) => {
+    const parts = [];
+    let bytes = 0;
+    try {
+        checkContentLength(response, maxBytes);
+        for await (const chunk of response.body) {
+            touch();
+            bytes += chunk.length;
+            if (bytes > maxBytes) { throw new Error(`Feed is larger than ${(maxBytes / 1024 / 1024).toFixed(0)} MB.`); }
+            parts.push(Buffer.from(chunk));
+        }
+    } finally {
+        done();
+    }
+    return Buffer.concat(parts).toString('utf8');
+};
+
+const safeDecode = (value) => {
+    try {
+        return decodeURIComponent(value);
+    } catch {
+        return value;
+    }
+};
+
+const fileNameFromResponse = (response) => {
+    const disposition = response.headers.get('content-disposition') ?? '';
+    const match = /filename\*?=(?:UTF-8'')?"?([^";]+)"?/i.exec(disposition);
+    if (match) { return safeDecode(match[1]); }
+    return safeDecode(path.posix.basename(new URL(response.url).pathname)) || null;
+};
+
+// The providers pick the MIME type from the file extension, so make sure the name has a media one
+const withMediaExtension = (name, contentType, fallbackName) => {
+    const safeName = (name || 'download').replace(/[\\/:*?"<>|\r\n]+/g, ' ').trim().slice(0, 200) || 'download';
+    const type = mime.lookup(safeName);
+    if (type && (type.startsWith('audio/') || type.startsWith('video/'))) { return safeName; }
+    const typed = /^(audio|video)\//.test(contentType) || contentType === 'application/ogg';
+    const extension = (typed && mime.extension(contentType)) || path.extname(fallbackName ?? '').slice(1);
+    return extension ? `${safeName}.${extension}` : safeName;
+};
+
+// Stream a media response to destPath; the partial file is removed if anything goes wrong
+const saveMedia = async ({ response, touch, done }, destPath, { shouldStop, title = null }) => {
+    try {
+        const contentType = baseContentType(response);
+        if (!isMediaContentType(contentType)) { throw new Error(`Source is not audio or video (content type ${contentType}).`); }
+        checkContentLength(response, SOURCE_MAX_BYTES);
+        const urlName = fileNameFromResponse(response);
+        const originalName = withMediaExtension(title ?? urlName, contentType, urlName);
+        const out = fs.createWriteStream(destPath);
+        let bytes = 0;
+        try {
+            for await (const chunk of response.body) {
+                touch();
+                bytes += chunk.length;
+                if (bytes > SOURCE_MAX_BYTES) { throw new Error(`Source is larger than the ${(SOURCE_MAX_BYTES / 1024 / 1024).toFixed(0)} MB limit.`); }
+                if (shouldStop()) { throw new Error('Download cancelled.'); }
+                if (!out.write(chunk)) { await once(out, 'drain'); }
+            }
+            await new Promise((resolve, reject) => out.end(err => (err ? reject(err) : resolve())));
+        } catch (err) {
+            out.destroy();
+            fs.rmSync(destPath, { force: true });
+            throw err;
+        }
+        return { originalName, bytes, contentType };
+    } finally {
+        done();
+    }
+};
+
+// --- RSS ---
+
+const decodeXml = (value) => value
+    .replace(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/, '$1')
+    .replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (m, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&(lt|gt|quot|apos|amp);/g, (m, name) => ({ lt: '<', gt: '>', quot: '"', apos: "'", amp: '&' })[name])
+    .trim();
+
+const tagText = (xml, tag) => {
+    const match = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'i').exec(xml);
+    return match ? decodeXml(match[1]) : null;
+};
+
+const attributes = (tag) => Object.fromEntries([...tag.matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)].map(([, name, double, single]) => [name.toLowerCase(), decodeXml(double ?? single)]));
+
+// Episodes of an RSS feed that have an audio/video enclosure, newest first:
+// { title, episodes: [{ guid, title, url, type, length, publishedAt }] }
+export const parseFeed = (xml) => {
+    const items = [...xml.matchAll(/<item\b[\s\S]*?<\/item>/gi)].map(([item]) => item);
+    const channel = xml.split(/<item\b/i)[0];
+    const episodes = items.flatMap(item => {
+        const enclosure = /<enclosure\b[^>]*>/i.exec(item);
+        const { url, type = null, length = null } = enclosure ? attributes(enclosure[0]) : {};
+        if (!url) { return []; }
+        const published = Date.parse(tagText(item, 'pubDate') ?? '');
+        return [{
+            guid: tagText(item, 'guid') || url,
+            title: tagText(item, 'title') || path.posix.basename(new URL(url, 'http://feed').pathname),
+            url,
+            type,
+            length: length ? parseInt(length, 10) || null : null,
+            publishedAt: Number.isNaN(published) ? null : new Date(published).toISOString(),
+        }];
+    });
+    if (episodes.every(e => e.publishedAt)) { episodes.sort((a, b) => b.publishedAt.localeCompare(a.publishedAt)); }
+    return { title: tagText(channel, 'title'), episodes };
+};
+
+// `episode`: 'latest' (default), a 1-based number counting from the newest, a guid, or part of a title
+export const selectEpisode = (episodes, selector = null) => {
+    if (episodes.length === 0) { throw new Error('The feed has no audio or video episodes.'); }
+    const wanted = String(selector ?? 'latest').trim();
+    if (wanted.toLowerCase() === 'latest') { return episodes[0]; }
+    if (/^\d+$/.test(wanted)) {
+        const episode = episodes[parseInt(wanted, 10) - 1];
+        if (!episode) { throw new Error(`The feed only has ${episodes.length} episodes.`); }
+        return episode;
+    }
+    const episode = episodes.find(e => e.guid === wanted) ?? episodes.find(e => e.title.toLowerCase().includes(wanted.toLowerCase()));
+    if (!episode) { throw new Error(`No episode matches '${wanted}'.`); }
+    return episode;
+};
+
+export const fetchFeed = async (url) => {
+    const opened = await openUrl(url, { accept: 'application/rss+xml, application/xml, text/xml, */*' }, { label: 'Feed URL' });
+    if (!FEED_CONTENT_TYPE_REGEX.test(baseContentType(opened.response))) {
+        opened.done();
+        await opened.response.body?.cancel();
+        throw new Error(`${url} is not an RSS feed (content type ${baseContentType(opened.response) || 'unknown'}).`);
+    }
+    return parseFeed(await readText(opened, MAX_FEED_BYTES));
+};
+
+// Download a source to destPath. A URL that turns out to be an RSS feed is resolved to the selected episode.
+// Resolves with { originalName, bytes, contentType, episode? }; rejects with a readable error.
+export const downloadSource = async (source, destPath, { shouldStop = () => false } = {}) => {
+    if (source.type === 's3') {
+        const url = s3ObjectUrl(source.bucket, source.key);
+        const headers = S3_ACCESS_KEY_ID && S3_SECRET_ACCESS_KEY ? signS3Request({ url }) : {};
+        return saveMedia(await openUrl(url, headers, { trusted: true }), destPath, { shouldStop });
+    }
+    const opened = await openUrl(source.url);
+    if (!FEED_CONTENT_TYPE_REGEX.test(baseContentType(opened.response))) {
+        return saveMedia(opened, destPath, { shouldStop, title: source.title ?? null });
+    }
+    const feed = parseFeed(await readText(opened, MAX_FEED_BYTES));
+    const episode = selectEpisode(feed.episodes, source.episode);
+    const saved = await saveMedia(await openUrl(episode.url, {}, { label: 'Episode URL' }), destPath, { shouldStop, title: episode.title });
+    return { ...saved, episode: { guid: episode.guid, title: episode.title, url: episode.url, publishedAt: episode.publishedAt, feedTitle: feed.title } };
+};
@@ -0,0 +1,144 @@
+// Cross-chunk speaker reconciliation and speaker naming.
+//
+// Deepgram diarizes every chunk on its own, so "Speaker 0" in one chunk says nothing about
+// "Speaker 0" in the next. Chunks are cut with overlapping windows; the words both chunks heard
+// in the overlap vote on which local speaker corresponds to which speaker already seen.
+
+// Minimum number of overlapping-word votes before two speakers are treated as the same person
+const MIN_SPEAKER_VOTES = parseInt(process.env.MIN_SPEAKER_VOTES, 10) || 2;
+// A pause longer than this starts a new paragraph when segments are rebuilt from words
+const PARAGRAPH_GAP_SEC = 2;
+
+const hasSpeaker = (speaker) => speaker !== null && speaker !== undefined;
+
+export const normalizeWord = (word) => (word ?? '').toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+
+// Accepts {"0": "Alice"}, {"Speaker 0": "Alice"} or a JSON string of either; returns {"0": "Alice"}
+export const parseSpeakerNames = (input) => {
+    if (!input) { return {}; }
+    const raw = typeof input === 'string' ? JSON.parse(input) : input;
+    if (typeof raw !== 'object' || Array.isArray(raw)) { throw new Error('speakerNames must be an object such as {"0": "Alice"}.'); }
+    const names = {};
+    Object.entries(raw).forEach(([key, name]) => {
+        const match = String(key).match(/^(?:speaker\s*)?(\d+)$/i);
+        if (!match) { throw new Error(`Invalid speaker key '${key}'. Use the speaker number, e.g. "0" or "Speaker 0".`); }
+        if (typeof name === 'string' && name.trim()) { names[match[1]] = name.trim(); }
+    });
+    return names;
+};
+
+export const speakerDisplayName = (speaker, names = {}) => (hasSpeaker(speaker) ? (names[speaker] ?? `Speaker ${speaker}`) : null);
+
+// Replace "Speaker N" labels in free text (Deepgram/Gemini transcripts, summaries) with real names
+export const renameSpeakers = (text, names = {}) => {
+    if (!text || Object.keys(names).length === 0) { return text; }
+    return text.replace(/\bSpeaker (\d+)\b/g, (label, id) => names[id] ?? label);
+};
+
+export const segmentsFromWords = (words) => {
+    const segments = [];
+    let current = null;
+    words.forEach(w => {
+        const text = w.punctuated_word ?? w.word;
+        if (!current || w.speaker !== current.speaker || w.start - current.end > PARAGRAPH_GAP_SEC) {
+            current = { start: w.start, end: w.end, speaker: w.speaker ?? null, text };
+            segments.push(current);
+        } else {
+            current.end = w.end;
+            current.text += ` ${text}`;
+        }
+    });
+    return segments;
+};
+
+export const formatSegments = (segments) => segments.map(seg => (hasSpeaker(seg.speaker) ? `Speaker ${seg.speaker}: ` : '') + seg.text + '\n\n').join('');
+
+// For each word the current chunk heard in the overlap, find the previous chunk's word that overlaps it
+// most in time and count a vote for (local speaker -> already-reconciled speaker). Matching text counts double.
+const countVotes = (previousWords, words, overlapStart, overlapEnd) => {
+    const inOverlap = (w) => w.end > overlapStart && w.start < overlapEnd && hasSpeaker(w.speaker);
+    const candidates = previousWords.filter(inOverlap);
+    const votes = new Map();
+    words.filter(inOverlap).forEach(w => {
+        let best = null;
+        let bestOverlap = 0;
+        candidates.forEach(c => {
+            const overlap = Math.min(c.end, w.end) - Math.max(c.start, w.start);
+            if (overlap > bestOverlap) { best = c; bestOverlap = overlap; }
+        });
+        if (!best) { return; }
+        const key = `${w.speaker}|${best.speaker}`;
+        votes.set(key, (votes.get(key) ?? 0) + (normalizeWord(best.word) === normalizeWord(w.word) ? 2 : 1));
+    });
+    return votes;
+};
+
+// Greedy one-to-one assignment, strongest vote first
+const assignFromVotes = (votes) => {
+    const mapping = new Map();
+    const usedGlobal = new Set();
+    [...votes.entries()]
+        .map(([key, count]) => { const [local, global] = key.split('|').map(Number); return { local, global, count }; })
+        .filter(v => v.count >= MIN_SPEAKER_VOTES)
+        .sort((a, b) => b.count - a.count)
+        .forEach(({ local, global }) => {
+            if (!mapping.has(local) && !usedGlobal.has(global)) {
+                mapping.set(local, global);
+                usedGlobal.add(global);
+            }
+        });
+    return mapping;
+};
+
+// Takes chunk records in order ({ start, end, keepFrom, keepUntil, words, segments, formattedTranscript, ... })
+// and returns them with recording-wide speaker ids, overlap trimmed to each chunk's own range,
+// and segments/transcripts rebuilt from the kept words. Deterministic, so streaming and the final
+// assembly agree.
+export const reconcileChunks = (records) => {
+    let nextSpeakerId = 0;
+    let previous = null;
+    return records.map((record, i) => {
+        const rawWords = record.words ?? [];
+        if (rawWords.length === 0) {
+            // Failed or silent chunk: nothing to match against, so the next chunk cannot use it either
+            previous = null;
+            return { ...record, speakerMap: {} };
+        }
+
+        const localSpeakers = [...new Set(rawWords.map(w => w.speaker).filter(hasSpeaker))].sort((a, b) => a - b);
+        let mapping = new Map();
+        if (i > 0 && previous) {
+            mapping = assignFromVotes(countVotes(previous.words, rawWords, record.start, previous.end));
+        }
+        const usedGlobal = new Set(mapping.values());
+        localSpeakers.forEach(local => {
+            if (mapping.has(local)) { return; }
+            // Without overlap evidence (first chunk, or the previous chunk failed) keep the chunk's own
+            // numbering; otherwise an unmatched speaker is someone new
+            if ((i === 0 || !previous) && !usedGlobal.has(local)) {
+                mapping.set(local, local);
+            } else {
+                while (usedGlobal.has(nextSpeakerId)) { nextSpeakerId++; }
+                mapping.set(local, nextSpeakerId);
+            }
+            usedGlobal.add(mapping.get(local));
+        });
+        usedGlobal.forEach(id => { nextSpeakerId = Math.max(nextSpeakerId, id + 1); });
+
+        const globalWords = rawWords.map(w => ({ ...w, speaker: hasSpeaker(w.speaker) ? mapping.get(w.speaker) : null }));
+        previous = { words: globalWords, end: record.end };
+
+        const keepFrom = record.keepFrom ?? record.start;
+        const keepUntil = record.keepUntil ?? record.end;
+        const keptWords = globalWords.filter(w => w.start >= keepFrom && w.start < keepUntil);
+        const segments = segmentsFromWords(keptWords);
+        return {
+            ...record,
+            words: keptWords,
+            segments,
+            transcript: keptWords.map(w => w.punctuated_word ?? w.word).join(' ') + ' ',
+            formattedTranscript: formatSegments(segments),
+            speakerMap: Object.fromEntries(mapping),
+        };
+    });
+};
@@ -0,0 +1,134 @@
+import { formatTimestamp } from './exporters.js';
+import { speakerDisplayName } from './speakers.js';
+import { buildSummaryPrompt, buildSectionSummaryPrompt } from './summaryTemplates.js';
+import { runPool } from './workerPool.js';
+
+// Hierarchical (map-reduce) summarization for transcripts longer than one prompt can hold.
+// Short transcripts are summarized in a single request. Longer ones are split into token-budgeted sections,
+// each section is summarized on its own (map), and the section summaries are merged into the final summary
+// with the selected template (reduce). If the section summaries are still too long they are merged in
+// groups first, one level at a time. Key points cite [HH:MM:SS] timestamps whenever the transcript has timings.
+//   SUMMARY_MAX_PROMPT_TOKENS  - largest text summarized in one request
+//   SUMMARY_SECTION_TOKENS     - transcript tokens per section in the map step
+//   SUMMARY_CONCURRENCY        - section summaries requested in parallel
+const SUMMARY_MAX_PROMPT_TOKENS = parseInt(process.env.SUMMARY_MAX_PROMPT_TOKENS, 10) || 100000;
+const SUMMARY_SECTION_TOKENS = Math.min(parseInt(process.env.SUMMARY_SECTION_TOKENS, 10) || 30000, SUMMARY_MAX_PROMPT_TOKENS);
+const SUMMARY_CONCURRENCY = parseInt(process.env.SUMMARY_CONCURRENCY, 10) || 3;
+// Safety net against section summaries that do not get shorter
+const MAX_MERGE_LEVELS = 4;
+
+const CHARS_PER_TOKEN = 4;
+const TIMESTAMP_REGEX = /\[(?:(\d+):)?(\d{1,2}):(\d{2})\]/g;
+
+// Rough token count used for budgeting (about four characters per token)
+export const estimateTokens = (text) => Math.ceil((text?.length ?? 0) / CHARS_PER_TOKEN);
+
+const toClock = (seconds) => formatTimestamp(seconds).slice(0, 8);
+
+const clockToSeconds = (h, m, s) => (parseInt(h || '0', 10) * 3600) + (parseInt(m, 10) * 60) + parseInt(s, 10);
+
+const firstTimestamp = (text) => {
+    const match = new RegExp(TIMESTAMP_REGEX.source).exec(text);
+    return match ? clockToSeconds(match[1], match[2], match[3]) : null;
+};
+
+const rangeLabel = ({ start, end }) => (start === null ? null : `${toClock(start)}-${toClock(end ?? start)}`);
+
+// Transcript lines to summarize. Segments give "[HH:MM:SS] Name: text" lines the summary can cite;
+// plain text (e.g. a posted transcript) is split into paragraphs, keeping any timestamps it already has.
+const transcriptUnits = (transcriptText, segments, speakerNames) => {
+    const timed = segments.filter(seg => Number.isFinite(seg.start) && seg.text?.trim());
+    if (timed.length > 0) {
+        return timed.map(seg => {
+            const speaker = speakerDisplayName(seg.speaker, speakerNames);
+            return { start: seg.start, end: seg.end ?? seg.start, text: `[${toClock(seg.start)}] ${speaker ? `${speaker}: ` : ''}${seg.text.trim()}` };
+        });
+    }
+    return transcriptText.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean).map(text => {
+        const start = firstTimestamp(text);
+        return { start, end: start, text };
+    });
+};
+
+// Break a unit that alone exceeds the section budget at word boundaries
+const splitOversized = (unit, maxChars) => {
+    if (unit.text.length <= maxChars) { return [unit]; }
+    const pieces = [];
+    let current = '';
+    unit.text.split(/\s+/).forEach(word => {
+        if (current && current.length + word.length + 1 > maxChars) {
+            pieces.push({ ...unit, text: current });
+            current = '';
+        }
+        current = current ? `${current} ${word}` : word;
+    });
+    if (current) { pieces.push({ ...unit, text: current }); }
+    return pieces;
+};
+
+// Pack consecutive units into sections of at most maxTokens each
+const packSections = (units, maxTokens) => {
+    const sections = [];
+    let current = null;
+    units.flatMap(unit => splitOversized(unit, maxTokens * CHARS_PER_TOKEN)).forEach(unit => {
+        if (!current || estimateTokens(current.text) + estimateTokens(unit.text) > maxTokens) {
+            current = { start: unit.start, end: unit.end, text: '' };
+            sections.push(current);
+        }
+        current.text += `${unit.text}\n`;
+        if (current.start === null) { current.start = unit.start; }
+        if (unit.end !== null) { current.end = unit.end; }
+    });
+    return sections;
+};
+
+const joinUnits = (units) => units.map(unit => unit.text).join('\n');
+
+// Key points of a summary with the transcript positions they cite:
+// [{ point, timestamps: [{ time: 'HH:MM:SS', start, segmentIndex }] }]. segmentIndex points into job.segments.
+export const extractReferences = (summaryText, segments = []) => summaryText.split('\n').flatMap(line => {
+    const timestamps = [...line.matchAll(TIMESTAMP_REGEX)].map(([, h, m, s]) => {
+        const start = clockToSeconds(h, m, s);
+        const segmentIndex = segments.findLastIndex(seg => Number.isFinite(seg.start) && seg.start <= start + 0.5);
+        return { time: toClock(start), start, segmentIndex: segmentIndex === -1 ? null : segmentIndex };
+    });
+    if (timestamps.length === 0) { return []; }
+    const point = line.replace(TIMESTAMP_REGEX, '').replace(/^[\s\-*•\d.]+/, '').replace(/\s+([.,;])/g, '$1').replace(/[\s,;]+$/, '').trim();
+    return [{ point, timestamps }];
+});
+
+// Summarize a transcript of any length with the given summary options.
+//   generate(prompt, generationConfig) - resolves with the model's response text (retries are up to the caller)
+//   emit(type, data)                   - progress: 'status' events and a 'section_summary' event per section
+// Resolves with the final response text, or null if shouldStop() turned true along the way.
+export const summarizeTranscript = async ({ transcriptText, segments = [], speakerNames = {}, summaryOptions = {} }, { generate, emit = () => {}, shouldStop = () => false }) => {
+    let units = transcriptUnits(transcriptText, segments, speakerNames);
+    const timestamps = units.some(unit => unit.start !== null);
+    let level = 0;
+
+    while (estimateTokens(joinUnits(units)) > SUMMARY_MAX_PROMPT_TOKENS && level < MAX_MERGE_LEVELS) {
+        const sections = packSections(units, SUMMARY_SECTION_TOKENS);
+        const merging = level > 0;
+        // Each summary fills a whole group on its own, so another level would not shorten anything
+        if (merging && sections.length === units.length) { break; }
+        emit('status', { message: merging
+            ? `Merging section summaries in ${sections.length} groups...`
+            : `Transcript is long (~${estimateTokens(joinUnits(units))} tokens); summarizing it in ${sections.length} sections...` });
+        let sectionsDone = 0;
+        const results = await runPool(sections, SUMMARY_CONCURRENCY, async (section, index) => {
+            const range = rangeLabel(section);
+            const summary = (await generate(buildSectionSummaryPrompt(section.text, { index, total: sections.length, range, merging, timestamps, variables: summaryOptions.variables }))).trim();
+            sectionsDone++;
+            emit('section_summary', { level, index, total: sections.length, completed: sectionsDone, start: section.start, end: section.end, summary });
+            return { start: section.start, end: section.end, text: `${range ? `Section ${range}` : `Section ${index + 1}`}:\n${summary}` };
+        }, { shouldStop });
+        if (shouldStop()) { return null; }
+        const failed = results.find(result => result?.error);
+        if (failed) { throw failed.error; }
+        units = results.map(result => result.value);
+        level++;
+    }
+
+    const prompt = buildSummaryPrompt(joinUnits(units), summaryOptions, { fromSections: level > 0, timestamps });
+    return generate(prompt, summaryOptions.format === 'json' ? { responseMimeType: 'application/json' } : undefined);
+};
@@ -0,0 +1,234 @@
+import fs from 'fs';
+import path from 'path';
+import { dataDir } from './jobStore.js';
+import { writeJsonAtomic } from './jsonFile.js';
+
+// Named summary templates. Built-in templates ship with the server; custom ones are kept in DATA_DIR/templates.json.
+// A template is { id, name, description, prompt, jsonShape, variables }:
+//   prompt     - instructions for Gemini; {{name}} placeholders are filled from the variables
+//   jsonShape  - example object describing the structure to return when JSON output is requested
+//   variables  - default values for the template's own placeholders
+// Every template also understands {{language}} and {{length}} (short, medium, long).
+
+const templatesFile = path.join(dataDir, 'templates.json');
+
+export const DEFAULT_TEMPLATE_ID = 'meeting-minutes';
+export const SUMMARY_FORMATS = ['text', 'json'];
+export const SUMMARY_LENGTHS = ['short', 'medium', 'long'];
+
+const DEFAULT_VARIABLES = { language: 'the same language as the transcript', length: 'medium' };
+
+const LENGTH_GUIDE = {
+    short: 'Keep the summary brief: no more than about 150 words.',
+    medium: 'Aim for a summary of roughly 300 words.',
+    long: 'Be thorough; up to about 800 words is fine.',
+};
+
+const BUILT_IN_TEMPLATES = [
+    {
+        id: 'meeting-minutes',
+        name: 'Meeting minutes',
+        description: 'Discussion points, decisions and action items.',
+        prompt: `Analyze the following transcript and create a structured summary with these specific sections:
+
+1. Key discussion points (bullet points)
+2. Key decisions taken (bullet points)
+3. Key actions to be completed (bullet points)
+
+Format your response exactly with these three headings and bullet points under each. If any section has no relevant content, include the heading but note "None identified".`,
+        jsonShape: { discussionPoints: ['...'], decisions: ['...'], actionItems: [{ task: '...', owner: '...', due: '...' }] },
+        variables: {},
+    },
+    {
+        id: 'lecture-notes',
+        name: 'Lecture notes',
+        description: 'Study notes: topics, key concepts, examples and review questions.',
+        prompt: `Turn the following lecture transcript into study notes with these sections:
+
+1. Main topics covered (bullet points, in the order they were taught)
+2. Key concepts and definitions
+3. Examples and illustrations mentioned
+4. Questions a student could use to review the material`,
+        jsonShape: { topics: ['...'], concepts: [{ term: '...', definition: '...' }], examples: ['...'], reviewQuestions: ['...'] },
+        variables: {},
+    },
+    {
+        id: 'podcast-show-notes',
+        name: 'Podcast show notes',
+        description: 'Episode summary, topics, guests, quotes and resources for publishing.',
+        prompt: `Write show notes for the podcast episode in the following transcript with these sections:
+
+1. Episode summary (one short paragraph)
+2. Topics discussed (bullet points, with the [HH:MM:SS] time where each starts if the transcript has timestamps)
+3. Guests and people mentioned
+4. Notable quotes (with the speaker)
+5. Books, links and other resources mentioned`,
+        jsonShape: { summary: '...', topics: [{ title: '...', timestamp: '...' }], guests: ['...'], quotes: [{ speaker: '...', quote: '...' }], resources: ['...'] },
+        variables: {},
+    },
+    {
+        id: 'interview-qa',
+        name: 'Interview Q&A',
+        description: 'Each question asked with a concise answer, plus key takeaways.',
+        prompt: `The following transcript is an interview. List every substantive question that was asked, each followed by a concise summary of the answer given. Attribute questions and answers to speakers where possible. Finish with the key takeaways (bullet points).`,
+        jsonShape: { questions: [{ question: '...', askedBy: '...', answer: '...', answeredBy: '...' }], takeaways: ['...'] },
+        variables: {},
+    },
+];
+
+const builtInIds = new Set(BUILT_IN_TEMPLATES.map(t => t.id));
+
+let customTemplates = [];
+try {
+    if (fs.existsSync(templatesFile)) { customTemplates = JSON.parse(fs.readFileSync(templatesFile, 'utf8')); }
+} catch (err) {
+    console.error(`Could not read summary templates from ${templatesFile}:`, err.message);
+}
+
+const persistTemplates = () => writeJsonAtomic(templatesFile, customTemplates);
+
+const slugify = (text) => String(text).toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+export const isBuiltInTemplate = (id) => builtInIds.has(id);
+
+export const listTemplates = () => [
+    ...BUILT_IN_TEMPLATES.map(t => ({ ...t, builtIn: true })),
+    ...customTemplates.map(t => ({ ...t, builtIn: false })),
+];
+
+export const getTemplate = (id) => listTemplates().find(t => t.id === id) ?? null;
+
+// Validate a custom template body; `existing` is the template being updated, if any
+const validateTemplate = (input, existing = null) => {
+    const template = { ...existing, ...input };
+    if (typeof template.name !== 'string' || !template.name.trim()) { throw new Error('Template name is required.'); }
+    if (typeof template.prompt !== 'string' || !template.prompt.trim()) { throw new Error('Template prompt is required.'); }
+    if (template.jsonShape !== undefined && template.jsonShape !== null && (typeof template.jsonShape !== 'object' || Array.isArray(template.jsonShape))) {
+        throw new Error('jsonShape must be an object describing the JSON output.');
+    }
+    const variables = template.variables ?? {};
+    if (typeof variables !== 'object' || Array.isArray(variables) || Object.values(variables).some(v => typeof v !== 'string')) {
+        throw new Error('variables must be an object of string default values.');
+    }
+    return {
+        id: template.id,
+        name: template.name.trim(),
+        description: typeof template.description === 'string' ? template.description.trim() : '',
+        prompt: template.prompt.trim(),
+        jsonShape: template.jsonShape ?? null,
+        variables,
+    };
+};
+
+export const createTemplate = (input) => {
+    const id = slugify(input.id || input.name || '');
+    if (!id) { throw new Error('Template name is required.'); }
+    if (getTemplate(id)) { throw new Error(`A template with id '${id}' already exists.`); }
+    const template = validateTemplate({ ...input, id });
+    customTemplates.push(template);
+    persistTemplates();
+    return { ...template, builtIn: false };
+};
+
+export const updateTemplate = (id, changes) => {
+    const index = customTemplates.findIndex(t => t.id === id);
+    if (index === -1) { return null; }
+    const template = validateTemplate({ ...changes, id }, customTemplates[index]);
+    customTemplates[index] = template;
+    persistTemplates();
+    return { ...template, builtIn: false };
+};
+
+export const deleteTemplate = (id) => {
+    const before = customTemplates.length;
+    customTemplates = customTemplates.filter(t => t.id !== id);
+    if (customTemplates.length === before) { return false; }
+    persistTemplates();
+    return true;
+};
+
+// Read summary options from a request body or query: summaryTemplate, summaryFormat, summaryLanguage,
+// summaryLength and summaryVariables (a JSON object of template variables). Throws on invalid input.
+export const parseSummaryOptions = (source = {}) => {
+    const templateId = source.summaryTemplate || DEFAULT_TEMPLATE_ID;
+    if (!getTemplate(templateId)) { throw new Error(`Unknown summary template '${templateId}'.`); }
+    const format = (source.summaryFormat || 'text').toLowerCase();
+    if (!SUMMARY_FORMATS.includes(format)) { throw new Error(`Unsupported summary format '${format}'. Use one of: ${SUMMARY_FORMATS.join(', ')}.`); }
+    let variables = source.summaryVariables || {};
+    if (typeof variables === 'string') { variables = JSON.parse(variables); }
+    if (typeof variables !== 'object' || Array.isArray(variables)) { throw new Error('summaryVariables must be an object such as {"audience": "engineers"}.'); }
+    variables = { ...variables };
+    if (source.summaryLanguage) { variables.language = source.summaryLanguage; }
+    if (source.summaryLength) { variables.length = source.summaryLength; }
+    if (variables.length && !SUMMARY_LENGTHS.includes(variables.length)) {
+        throw new Error(`Unsupported summary length '${variables.length}'. Use one of: ${SUMMARY_LENGTHS.join(', ')}.`);
+    }
+    return { templateId, format, variables };
+};
+
+const fillPlaceholders = (text, values) => text.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => values[name] ?? '');
+
+const TIMESTAMP_INSTRUCTION = 'End every key point with the [HH:MM:SS] timestamp(s) from the text where it is discussed, e.g. "Budget approved [00:12:40]".';
+
+// Final summary prompt. `fromSections` means the text is a series of section summaries of a long recording
+// (see summarizer.js) rather than the transcript itself; `timestamps` asks for [HH:MM:SS] references.
+export const buildSummaryPrompt = (transcriptText, { templateId = DEFAULT_TEMPLATE_ID, format = 'text', variables = {} } = {}, { fromSections = false, timestamps = false } = {}) => {
+    const template = getTemplate(templateId) ?? getTemplate(DEFAULT_TEMPLATE_ID);
+    const values = { ...DEFAULT_VARIABLES, ...template.variables, ...variables };
+    const lines = [];
+    if (fromSections) { lines.push('The transcript of this recording was too long to read at once. Below are summaries of its consecutive sections, in order; treat them as the transcript.', ''); }
+    lines.push(fillPlaceholders(template.prompt, values), '', LENGTH_GUIDE[values.length], `Write the summary in ${values.language}.`);
+    if (timestamps) { lines.push(TIMESTAMP_INSTRUCTION); }
+    if (format === 'json') {
+        const shape = template.jsonShape ?? { summary: '...' };
+        lines.push(`Respond with a single JSON object only, using exactly this structure:\n${JSON.stringify(shape, null, 2)}\nUse empty arrays or empty strings where there is no relevant content.`);
+        if (timestamps) { lines.push('Put the timestamps inside the text of each item.'); }
+    }
+    return `${lines.join('\n')}
+
+${fromSections ? 'Section summaries' : 'Transcript'}:
+---
+${transcriptText.trim()}
+---`;
+};
+
+// Map step of hierarchical summarization: bullet points for one section of a long transcript
+// (or, with `merging`, for a run of earlier section summaries)
+export const buildSectionSummaryPrompt = (text, { index, total, range, merging = false, timestamps = false, variables = {} }) => {
+    const { language } = { ...DEFAULT_VARIABLES, ...variables };
+    const source = merging ? `a group of consecutive section summaries (part ${index + 1} of ${total})` : `part ${index + 1} of ${total} of a long transcript`;
+    const lines = [
+        `The text below is ${source}${range ? `, covering ${range}` : ''}.`,
+        'Summarize it as bullet points, in the order things happen: topics discussed, decisions taken, action items with their owners, and notable facts or figures. Keep names and numbers exact. Do not add an introduction or conclusion.',
+        `Write in ${language}.`,
+    ];
+    if (timestamps) { lines.push(TIMESTAMP_INSTRUCTION); }
+    return `${lines.join('\n')}
+
+Text:
+---
+${text.trim()}
+---`;
+};
+
+// Parse a JSON summary, tolerating a Markdown code fence around it
+export const parseSummaryJson = (text) => {
+    const stripped = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    try {
+        return JSON.parse(stripped);
+    } catch (err) {
+        throw new Error(`Summary was not valid JSON (${err.message})`);
+    }
+};
+
+const headingFromKey = (key) => key.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/^./, c => c.toUpperCase());
+
+const itemText = (item) => (item && typeof item === 'object' ? Object.values(item).filter(v => v !== null && v !== '').join(' - ') : String(item));
+
+// Readable text version of a JSON summary, used for the transcript view and TXT/DOCX exports
+export const renderSummaryData = (data) => Object.entries(data ?? {}).map(([key, value]) => {
+    let body;
+    if (Array.isArray(value)) { body = value.length > 0 ? value.map(item => `- ${itemText(item)}`).join('\n') : 'None identified'; }
+    else { body = itemText(value); }
+    return `${headingFromKey(key)}:\n${body}`;
+}).join('\n\n');
@@ -0,0 +1,73 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planChunkWindows, stitchChunks } from '../chunking.js';
+import { parseSilences } from '../preprocess.js';
+
+// Chunk planning (cuts moved to nearby pauses) and stitching of the overlapping chunks back together.
+
+const word = (text, start, speaker = 0) => ({ word: text.toLowerCase().replace(/[^a-z]/g, ''), punctuated_word: text, start, end: start + 0.4, speaker });
+
+test('parseSilences reads silencedetect output, closing an open silence at the end', () => {
+    const stderr = [
+        '[silencedetect @ 0x1] silence_start: -0.01',
+        '[silencedetect @ 0x1] silence_end: 1.5 | silence_duration: 1.51',
+        'size=N/A time=00:01:00.00 bitrate=N/A',
+        '[silencedetect @ 0x1] silence_start: 58.2',
+    ].join('\n');
+    assert.deepEqual(parseSilences(stderr, 60), [{ start: 0, end: 1.5 }, { start: 58.2, end: 60 }]);
+});
+
+test('cuts move to the middle of the nearest pause within the search window', () => {
+    const silences = [{ start: 55, end: 56 }, { start: 118, end: 119.5 }, { start: 200, end: 201 }];
+    assert.deepEqual(planChunkWindows(silences, 200, 60), [
+        { keepFrom: 0, keepUntil: 55.5, cutAtSilence: true },
+        { keepFrom: 55.5, keepUntil: 118.75, cutAtSilence: true },
+        // No pause near 178.75 s: cut at the target
+        { keepFrom: 118.75, keepUntil: 178.75, cutAtSilence: false },
+        { keepFrom: 178.75, keepUntil: 200, cutAtSilence: false },
+    ]);
+});
+
+test('a short remainder is not cut off into its own chunk', () => {
+    assert.deepEqual(planChunkWindows([], 62, 60), [{ keepFrom: 0, keepUntil: 62, cutAtSilence: false }]);
+    assert.deepEqual(planChunkWindows([], 130, 60).map(w => w.keepUntil), [60, 120, 130]);
+});
+
+test('stitching keeps each chunk to its own range and drops words repeated across the cut', () => {
+    const first = { start: 0, end: 12, keepFrom: 0, keepUntil: 10, words: [word('Hello', 1), word('there.', 2), word('See', 9.5), word('you', 10.2)] };
+    // Chunk 2 hears "See" again, timed a little later than chunk 1 did
+    const second = { start: 8, end: 20, keepFrom: 10, keepUntil: 20, words: [word('Well,', 8.5), word('See', 10.1), word('you', 10.3), word('soon.', 10.6), word('Bye.', 15, 1)] };
+    const [a, b] = stitchChunks([first, second]);
+    assert.deepEqual(a.words.map(w => w.punctuated_word), ['Hello', 'there.', 'See']);
+    assert.deepEqual(b.words.map(w => w.punctuated_word), ['you', 'soon.', 'Bye.']);
+    assert.equal(b.transcript, 'you soon. Bye. ');
+    assert.equal(b.formattedTranscript, 'Speaker 0: you soon.\n\nSpeaker 1: Bye.\n\n');
+});
+
+test('without word timings the repeated text at the start of a chunk is dropped', () => {
+    const first = {
+        start: 0, end: 12, keepFrom: 0, keepUntil: 10,
+        transcript: 'Speaker 0: We met in the park today.',
+        formattedTranscript: '[00:00:01] Speaker 0: We met in the park today.',
+        segments: [{ start: 1, speaker: 0, text: 'We met in the park today.' }],
+    };
+    const second = {
+        start: 8, end: 20, keepFrom: 10, keepUntil: 20,
+        transcript: 'Speaker 0: park today. And then it rained.',
+        formattedTranscript: '[00:00:09] Speaker 0: park today. And then it rained.',
+        segments: [{ start: 9, speaker: 0, text: 'park today. And then it rained.' }],
+    };
+    const [, stitched] = stitchChunks([first, second]);
+    assert.equal(stitched.transcript, 'Speaker 0: And then it rained.');
+    assert.equal(stitched.formattedTranscript, '[00:00:09] Speaker 0: And then it rained.');
+    assert.equal(stitched.segments[0].text, 'And then it rained.');
+});
+
+test('chunks cut without overlap, and failed chunks, are left unchanged', () => {
+    const plain = { start: 0, end: 10, words: [word('One', 1)] };
+    const failed = { start: 8, end: 20, keepFrom: 10, keepUntil: 20, segments: [{ start: 8, missing: true }] };
+    const stitched = stitchChunks([plain, failed]);
+    assert.equal(stitched[0], plain);
+    assert.equal(stitched[1], failed);
+});
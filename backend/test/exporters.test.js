@@ -0,0 +1,60 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatTimestamp, buildCues, toSrt, toVtt, renderExport } from '../exporters.js';
+
+// Caption exports: timestamp formatting and cues built from word timings
+
+const word = (text, start, end, speaker = 0) => ({ word: text.toLowerCase(), punctuated_word: text, start, end, speaker });
+
+test('formatTimestamp writes hours, minutes, seconds and milliseconds', () => {
+    assert.equal(formatTimestamp(0), '00:00:00.000');
+    assert.equal(formatTimestamp(3725.5), '01:02:05.500');
+    assert.equal(formatTimestamp(3725.5, ','), '01:02:05,500');
+    // Rounded to the nearest millisecond, carrying into the next second
+    assert.equal(formatTimestamp(59.9996), '00:01:00.000');
+    assert.equal(formatTimestamp(1.0004), '00:00:01.000');
+    // Past 99 hours the hours simply grow
+    assert.equal(formatTimestamp(360000), '100:00:00.000');
+    assert.equal(formatTimestamp(-2), '00:00:00.000');
+    assert.equal(formatTimestamp(undefined), '00:00:00.000');
+});
+
+test('cues break on speaker changes and pauses', () => {
+    const words = [
+        word('Hello', 0.5, 0.9), word('there.', 1, 1.4),
+        word('Hi.', 1.6, 1.9, 1),
+        word('Anyone', 5, 5.4, 1), word('home?', 5.5, 6, 1),
+    ];
+    assert.deepEqual(buildCues({ words }), [
+        { start: 0.5, end: 1.4, speaker: 0, text: 'Hello there.' },
+        { start: 1.6, end: 1.9, speaker: 1, text: 'Hi.' },
+        { start: 5, end: 6, speaker: 1, text: 'Anyone home?' },
+    ]);
+});
+
+test('long speech is split into cues of at most seven seconds', () => {
+    const words = Array.from({ length: 20 }, (_, i) => word('word', i, i + 0.8));
+    const cues = buildCues({ words });
+    assert.deepEqual(cues.map(c => [c.start, c.end]), [[0, 6.8], [7, 13.8], [14, 19.8]]);
+});
+
+test('without word timings, cues come from the segments', () => {
+    const segments = [{ start: 0, end: 2, speaker: null, text: ' First. ' }, { start: 2, end: 3, speaker: null, text: '  ' }];
+    assert.deepEqual(buildCues({ segments }), [{ start: 0, end: 2, speaker: null, text: 'First.' }]);
+});
+
+test('SRT numbers cues and uses commas before the milliseconds', () => {
+    const job = { words: [word('Hello.', 61.25, 62), word('Hi.', 62.1, 62.5, 1)] };
+    assert.equal(toSrt(job), '1\n00:01:01,250 --> 00:01:02,000\nSpeaker 0: Hello.\n\n2\n00:01:02,100 --> 00:01:02,500\nSpeaker 1: Hi.\n');
+});
+
+test('WebVTT has a header, dots before the milliseconds and voice tags', async () => {
+    const job = { words: [word('Hello.', 3600, 3601.5)] };
+    assert.equal(toVtt(job), 'WEBVTT\n\n01:00:00.000 --> 01:00:01.500\n<v Speaker 0>Hello.\n');
+    assert.equal(toVtt({ segments: [{ start: 0, end: 1, text: 'No speaker.' }] }), 'WEBVTT\n\n00:00:00.000 --> 00:00:01.000\nNo speaker.\n');
+
+    const rendered = await renderExport(job, 'vtt');
+    assert.equal(rendered.contentType, 'text/vtt; charset=utf-8');
+    assert.equal(rendered.extension, 'vtt');
+});
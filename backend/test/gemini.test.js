@@ -0,0 +1,145 @@
+import { startStubServer, sendJson, tempFile } from './setup.js';
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { createGeminiClient, responseText } from '../geminiClient.js';
+import { createGeminiProvider } from '../providers/gemini.js';
+
+// The Gemini client and provider against a stub of the Gemini REST API (generateContent and the File API),
+// reached through the client's baseUrl like GEMINI_BASE_URL does.
+
+const MODEL = 'gemini-test';
+const LARGE_FILE_BYTES = 16 * 1024 * 1024;
+const TRANSCRIPT = '[00:00:01] Speaker 0: Hello there.\n[00:00:04] Speaker 1: Hi.';
+
+let stub;
+let uploadStatus;
+let uploadState;
+let client;
+let provider;
+
+before(async () => {
+    // The provider logs every request and response in detail
+    ['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+    stub = await startStubServer((req, res, body) => {
+        if (req.method === 'POST' && req.url.startsWith('/upload/v1beta/files')) {
+            if (uploadStatus !== 200) { return sendJson(res, uploadStatus, { error: { code: uploadStatus, message: 'Upload rejected.' } }); }
+            return sendJson(res, 200, { file: { name: 'files/audio-1', uri: `${stub.baseUrl}/v1beta/files/audio-1`, mimeType: 'audio/mp3', state: uploadState } });
+        }
+        if (req.method === 'GET' && req.url.startsWith('/v1beta/files/audio-1')) {
+            return sendJson(res, 200, { name: 'files/audio-1', uri: `${stub.baseUrl}/v1beta/files/audio-1`, mimeType: 'audio/mp3', state: 'ACTIVE' });
+        }
+        if (req.method === 'DELETE' && req.url.startsWith('/v1beta/files/audio-1')) { return sendJson(res, 200, {}); }
+        if (req.method === 'POST' && req.url.startsWith(`/v1beta/models/${MODEL}:generateContent`)) {
+            const { contents } = JSON.parse(body);
+            const text = contents[0].parts[0].text === 'Transcribe.' ? 'Speaker 0: Hello there.' : TRANSCRIPT;
+            return sendJson(res, 200, {
+                candidates: [{ content: { role: 'model', parts: [{ text }] }, finishReason: 'STOP' }],
+                usageMetadata: { promptTokenCount: 120, candidatesTokenCount: 30 },
+            });
+        }
+        return sendJson(res, 404, { error: { code: 404, message: `No stub for ${req.method} ${req.url}` } });
+    });
+    client = createGeminiClient({ apiKey: 'test-key', baseUrl: stub.baseUrl, model: MODEL });
+    provider = createGeminiProvider({ client });
+});
+
+after(() => stub.close());
+
+beforeEach(() => {
+    stub.requests.length = 0;
+    uploadStatus = 200;
+    uploadState = 'ACTIVE';
+});
+
+const createContext = () => {
+    const events = [];
+    const usage = [];
+    return {
+        events,
+        usage,
+        clientId: 'test-job',
+        emit: (type, data) => events.push({ type, data }),
+        retryOptions: () => ({ attempts: 1 }),
+        recordUsage: (model, units) => usage.push({ model, ...units }),
+    };
+};
+
+const generateRequests = () => stub.requests.filter(r => r.url.includes(':generateContent')).map(r => JSON.parse(r.body));
+
+test('large files are uploaded through the File API and polled until Gemini has processed them', async () => {
+    uploadState = 'PROCESSING';
+    const file = await client.uploadFile(tempFile('large.mp3', LARGE_FILE_BYTES), { mimeType: 'audio/mp3', displayName: 'large.mp3' });
+
+    const [upload, poll] = stub.requests;
+    assert.equal(upload.headers['x-goog-upload-protocol'], 'multipart');
+    assert.ok(upload.body.length > LARGE_FILE_BYTES);
+    assert.equal(poll.method, 'GET');
+    assert.deepEqual([file.name, file.state], ['files/audio-1', 'ACTIVE']);
+
+    // The uploaded file is referenced by its URI instead of being sent inline
+    const result = await client.generateContent({ contents: [{ role: 'user', parts: [{ text: 'Transcribe.' }, { fileData: { mimeType: file.mimeType, fileUri: file.uri } }] }] });
+    assert.equal(responseText(result), 'Speaker 0: Hello there.');
+    const request = JSON.parse(stub.requests.at(-1).body);
+    assert.deepEqual(request.contents[0].parts[1], { fileData: { mimeType: 'audio/mp3', fileUri: `${stub.baseUrl}/v1beta/files/audio-1` } });
+
+    await client.deleteFile(file.name);
+    assert.equal(stub.requests.at(-1).method, 'DELETE');
+});
+
+test('an upload Gemini fails to process is an error', async () => {
+    uploadState = 'FAILED';
+    await assert.rejects(client.uploadFile(tempFile('broken.mp3', 1024), { mimeType: 'audio/mp3', displayName: 'broken.mp3' }), /failed to process uploaded file files\/audio-1/);
+    assert.equal(stub.requests.length, 1);
+});
+
+test('small files are sent inline', async () => {
+    const ctx = createContext();
+    const filePath = tempFile('small.mp3', 1024);
+    const result = await provider.transcribeFile({ filePath, originalName: 'small.mp3', diarize: true, model: MODEL, timestamps: true }, ctx);
+
+    assert.equal(stub.requests.some(r => r.url.includes('/files')), false);
+    const [request] = generateRequests();
+    assert.equal(request.contents[0].parts[1].inlineData.mimeType, 'audio/mp3');
+    assert.equal(Buffer.from(request.contents[0].parts[1].inlineData.data, 'base64').length, 1024);
+    assert.deepEqual(result.segments.map(s => [s.start, s.speaker, s.text]), [[1, 0, 'Hello there.'], [4, 1, 'Hi.']]);
+    assert.deepEqual(ctx.usage, [{ model: MODEL, inputTokens: 120, outputTokens: 30 }]);
+});
+
+test('the provider sends large files through the File API and deletes them afterwards', async () => {
+    const ctx = createContext();
+    const filePath = tempFile('provider-large.mp3', LARGE_FILE_BYTES);
+    const result = await provider.transcribeFile({ filePath, originalName: 'provider-large.mp3', diarize: true, model: MODEL, timestamps: true }, ctx);
+
+    assert.equal(stub.requests[0].headers['x-goog-upload-protocol'], 'multipart');
+    const [request] = generateRequests();
+    assert.deepEqual(request.contents[0].parts[1], { fileData: { mimeType: 'audio/mp3', fileUri: `${stub.baseUrl}/v1beta/files/audio-1` } });
+    assert.equal(result.transcript, 'Speaker 0: Hello there.\n\nSpeaker 1: Hi.');
+
+    // Deletion is not awaited by the provider
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.ok(stub.requests.some(r => r.method === 'DELETE' && r.url.startsWith('/v1beta/files/audio-1')));
+});
+
+test('a failed File API upload falls back to chunked transcription', async () => {
+    uploadStatus = 400;
+    const ctx = createContext();
+    const filePath = tempFile('rejected.mp3', LARGE_FILE_BYTES);
+    const result = await provider.transcribeFile({ filePath, originalName: 'rejected.mp3', diarize: true, model: MODEL, timestamps: true }, ctx);
+
+    // null tells the caller to split the file and transcribe the chunks instead
+    assert.equal(result, null);
+    assert.equal(generateRequests().length, 0);
+    assert.match(ctx.events.find(e => e.type === 'warning').data.message, /Falling back to chunked transcription/);
+
+    const chunkPath = path.join(process.env.DATA_DIR, 'rejected_chunk_001.mp3');
+    fs.writeFileSync(chunkPath, 'chunk audio');
+    const chunk = await provider.transcribeChunk({ chunkPath, offsetSec: 600, diarize: true, model: MODEL, timestamps: true }, ctx);
+
+    const [request] = generateRequests();
+    assert.equal(Buffer.from(request.contents[0].parts[1].inlineData.data, 'base64').toString(), 'chunk audio');
+    // Chunk timings are shifted to the chunk's place in the whole recording
+    assert.deepEqual(chunk.segments.map(s => [s.start, s.speaker]), [[601, 0], [604, 1]]);
+    assert.equal(ctx.usage.length, 1);
+});
@@ -0,0 +1,56 @@
+import './setup.js';
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { isSafePattern, createGlossary, applyReplacements } from '../glossaries.js';
+
+// Replacement rules: the check that keeps catastrophically backtracking patterns out, the admin-only regex rules
+// and the time limit they run under.
+
+test('plain patterns and harmless groups are accepted', () => {
+    [
+        'acme\\s+cloud',
+        'colou?r',
+        '\\b(k8s|kube)\\b',
+        '(?:Dr|Mr)\\.? (\\w+)',
+        '(\\d{1,2}):(\\d{2})',
+        '(ab)+',
+        '(a+)?',
+        '[(+*]+x',
+        '(?<year>\\d{4})-\\d{2}',
+    ].forEach(pattern => assert.equal(isSafePattern(pattern), true, pattern));
+});
+
+test('backreferences and repeated groups holding quantifiers or alternatives are refused', () => {
+    [
+        '(a+)+',
+        '(a|aa)*',
+        '(\\w+\\s?)*$',
+        '((ab)*c)+',
+        '(a|a){1,25}b',
+        '(.*a){20}',
+        '(x+x+){2,}y',
+        '(\\w)\\1',
+        '(?<c>a)\\k<c>',
+    ].forEach(pattern => assert.equal(isSafePattern(pattern), false, pattern));
+});
+
+test('regex rules need an admin key and a safe pattern', () => {
+    const rule = { find: 'acme\\s+cloud', replace: 'Acme Cloud', regex: true };
+    assert.throws(() => createGlossary({ name: 'Products', replacements: [rule] }, 'key-1'), /only be saved with an admin key/);
+    assert.throws(() => createGlossary({ name: 'Products', replacements: [{ ...rule, find: '(a|a){1,25}b' }] }, 'admin', { allowRegex: true }), /could take too long to run/);
+    const glossary = createGlossary({ name: 'Products', replacements: [rule, { find: 'k8s', replace: 'Kubernetes' }] }, 'admin', { allowRegex: true });
+    assert.equal(applyReplacements('We run acme   cloud on K8s.', glossary.replacements), 'We run Acme Cloud on Kubernetes.');
+});
+
+test('a regex rule that runs out of time is skipped from then on', () => {
+    const warn = mock.method(console, 'warn', () => {});
+    // Slow in a way isSafePattern does not look for: three unbounded repeats in a row
+    const slow = { find: '\\s*\\s*\\s*x', replace: '', regex: true, caseSensitive: false };
+    const other = { find: 'hello', replace: 'Hello', regex: false, caseSensitive: false };
+    const text = `hello${' '.repeat(5000)}`;
+    assert.equal(applyReplacements(text, [slow, other]), `Hello${' '.repeat(5000)}`);
+    assert.equal(warn.mock.callCount(), 1);
+    assert.equal(applyReplacements('hello x', [slow, other]), 'Hello x');
+    assert.equal(warn.mock.callCount(), 1);
+    warn.mock.restore();
+});
@@ -0,0 +1,65 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRedactionOptions, redactText, redactResult, redactionReport, redactAudio } from '../redaction.js';
+
+// PII redaction: the entity detectors, word-level placeholders with their timings, the report and the FFmpeg
+// filter that bleeps or mutes the reported ranges.
+
+const ALL = parseRedactionOptions({ redact: 'all', redactTerms: 'Project Falcon' });
+
+const word = (text, start) => ({ word: text.toLowerCase(), punctuated_word: text, start, end: start + 0.5 });
+
+test('parseRedactionOptions reads types, terms and the audio mode', () => {
+    assert.deepEqual(ALL, { types: ['pci', 'ssn', 'phone', 'email', 'address', 'name'], terms: ['Project Falcon'], audio: null });
+    assert.deepEqual(parseRedactionOptions({ redact: ['email', 'phone'], redactAudio: 'BLEEP' }), { types: ['phone', 'email'], terms: [], audio: 'bleep' });
+    assert.deepEqual(parseRedactionOptions({ redactTerms: '["Acme", "Acme", " "]' }).terms, ['Acme']);
+    assert.equal(parseRedactionOptions({}), null);
+    assert.throws(() => parseRedactionOptions({ redact: 'dob' }), /Unknown redaction type 'dob'/);
+    assert.throws(() => parseRedactionOptions({ redactAudio: 'bleep' }), /needs redact or redactTerms/);
+});
+
+test('each entity type is replaced by its placeholder', () => {
+    const text = 'Hi, my name is Jane Doe. Card 4111 1111 1111 1111, SSN 123-45-6789, call +1 555 123 4567 or mail jane.doe@example.com. '
+        + 'I live at 42 Baker Street and Project Falcon is secret.';
+    assert.equal(redactText(text, ALL), 'Hi, my name is [NAME]. Card [PCI], SSN [SSN], call [PHONE] or mail [EMAIL]. '
+        + 'I live at [ADDRESS] and [CUSTOM] is secret.');
+});
+
+test('numbers that are neither cards nor phone numbers are kept', () => {
+    // Fails the Luhn check, and has too many digits for a phone number
+    assert.equal(redactText('Order 4111 1111 1111 1112 shipped.', ALL), 'Order 4111 1111 1111 1112 shipped.');
+    assert.equal(redactText('Only 12 items.', ALL), 'Only 12 items.');
+    // Only the requested types are redacted
+    assert.equal(redactText('Mail jane@example.com or call 555 123 4567.', parseRedactionOptions({ redact: 'email' })), 'Mail [EMAIL] or call 555 123 4567.');
+});
+
+test('the words of an entity collapse into one timed placeholder, and redacting twice changes nothing', () => {
+    const result = {
+        transcript: 'Call 555 123 4567, please.',
+        segments: [{ start: 0, end: 3, text: 'Call 555 123 4567, please.' }],
+        words: [word('Call', 0), word('555', 0.5), word('123', 1), word('4567,', 1.5), word('please.', 2)],
+    };
+    const redacted = redactResult(result, ALL);
+    assert.equal(redacted.transcript, 'Call [PHONE], please.');
+    assert.equal(redacted.segments[0].text, 'Call [PHONE], please.');
+    assert.deepEqual(redacted.words.map(w => [w.punctuated_word, w.start, w.end]), [['Call', 0, 0.5], ['[PHONE],', 0.5, 2], ['please.', 2, 2.5]]);
+    assert.deepEqual(redactResult(redacted, ALL), redacted);
+    assert.deepEqual(redactionReport(redacted), [{ type: 'phone', start: 0.5, end: 2 }]);
+});
+
+test('without words the report is timed by segment and includes provider placeholders', () => {
+    assert.deepEqual(redactionReport({ segments: [{ start: 5, end: 9, text: 'It is [PCI] and [CREDIT_CARD_1].' }] }), [
+        { type: 'pci', start: 5, end: 9 },
+        { type: 'credit_card', start: 5, end: 9 },
+    ]);
+    assert.deepEqual(redactionReport({ transcript: 'Mail [EMAIL] today.' }), [{ type: 'email', start: null, end: null }]);
+});
+
+test('redactAudio mutes the padded, merged ranges of the report', async () => {
+    const commands = [];
+    const report = [{ type: 'phone', start: 1, end: 2 }, { type: 'name', start: 2.2, end: 3 }, { type: 'email', start: null, end: null }];
+    const count = await redactAudio('in.mp3', 'out.mp3', report, { mode: 'silence', duration: 10 }, { runCommand: async (command) => commands.push(command) });
+    assert.equal(count, 1);
+    assert.match(commands[0], /-filter_complex "\[0:a\]volume=0:enable='between\(t,0\.850,3\.150\)'\[out\]"/);
+});
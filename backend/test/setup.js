@@ -0,0 +1,46 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+
+// Imported first by every test file, before the modules under test: stores that live under DATA_DIR get a
+// throwaway directory.
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'transcribe-test-'));
+process.on('exit', () => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+// Local HTTP server for stubbing remote APIs. `handler(req, res, body)` gets the whole request body as a Buffer.
+// Resolves with { baseUrl, requests, close }, where `requests` lists { method, url, headers, body } in order.
+export const startStubServer = async (handler) => {
+    const requests = [];
+    const server = http.createServer(async (req, res) => {
+        const parts = [];
+        for await (const chunk of req) { parts.push(chunk); }
+        const body = Buffer.concat(parts);
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+        try {
+            await handler(req, res, body);
+        } catch (err) {
+            res.writeHead(500, { 'content-type': 'application/json' });
+            res.end(JSON.stringify({ error: { message: err.message } }));
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve)),
+    };
+};
+
+export const sendJson = (res, status, value) => {
+    res.writeHead(status, { 'content-type': 'application/json' });
+    res.end(JSON.stringify(value));
+};
+
+// A file of `bytes` zero bytes in DATA_DIR (sparse, so large ones cost no disk space)
+export const tempFile = (name, bytes) => {
+    const filePath = path.join(process.env.DATA_DIR, name);
+    fs.writeFileSync(filePath, '');
+    fs.truncateSync(filePath, bytes);
+    return filePath;
+};
@@ -0,0 +1,55 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { reconcileChunks, parseSpeakerNames, renameSpeakers } from '../speakers.js';
+
+// Speaker reconciliation across overlapping chunks: the words both chunks heard in the overlap vote on which
+// local speaker is which recording-wide speaker.
+
+const word = (text, start, speaker) => ({ word: text.toLowerCase(), punctuated_word: text, start, end: start + 0.4, speaker });
+
+// Chunk 1 covers 0-12 s and chunk 2 covers 10-22 s; each keeps its words up to / from 11 s
+const firstChunk = {
+    index: 0, start: 0, end: 12, keepUntil: 11,
+    words: [word('Welcome', 1, 0), word('back.', 1.5, 0), word('So', 10, 0), word('we', 10.5, 0), word('Right,', 11, 1), word('yes.', 11.5, 1)],
+};
+// Diarized on its own, chunk 2 numbers the same two people the other way round
+const secondChunk = (overrides = {}) => ({
+    index: 1, start: 10, end: 22, keepFrom: 11,
+    words: [word('So', 10, 1), word('we', 10.5, 1), word('Right,', 11, 0), word('yes.', 11.5, 0), word('Indeed.', 14, 1), word('Hello!', 18, 2)],
+    ...overrides,
+});
+
+test('overlap votes map each chunk speaker onto the speaker already seen', () => {
+    const [first, second] = reconcileChunks([firstChunk, secondChunk()]);
+    assert.deepEqual(first.speakerMap, { 0: 0, 1: 1 });
+    assert.deepEqual(second.speakerMap, { 0: 1, 1: 0, 2: 2 });
+    // Each chunk keeps only its own part of the overlap
+    assert.deepEqual(first.words.map(w => [w.punctuated_word, w.speaker]), [['Welcome', 0], ['back.', 0], ['So', 0], ['we', 0]]);
+    assert.deepEqual(second.words.map(w => [w.punctuated_word, w.speaker]), [['Right,', 1], ['yes.', 1], ['Indeed.', 0], ['Hello!', 2]]);
+    assert.equal(second.formattedTranscript, 'Speaker 1: Right, yes.\n\nSpeaker 0: Indeed.\n\nSpeaker 2: Hello!\n\n');
+});
+
+test('a speaker with too few votes is treated as someone new', () => {
+    // Only one overlapping word, heard as a different word, is not enough evidence
+    const first = { index: 0, start: 0, end: 12, words: [word('Okay', 1, 0), word('then', 10.2, 0)] };
+    const second = { index: 1, start: 10, end: 22, words: [word('Ten', 10.2, 0), word('Later.', 15, 0)] };
+    const [, reconciled] = reconcileChunks([first, second]);
+    assert.deepEqual(reconciled.speakerMap, { 0: 1 });
+});
+
+test('after a failed chunk the next one keeps its own numbering', () => {
+    const failed = { index: 1, start: 10, end: 22, status: 'failed', words: [] };
+    const third = { index: 2, start: 20, end: 32, words: [word('Back', 21, 1), word('again.', 21.5, 0)] };
+    const [, gap, next] = reconcileChunks([firstChunk, failed, third]);
+    assert.deepEqual(gap.speakerMap, {});
+    assert.deepEqual(next.speakerMap, { 0: 0, 1: 1 });
+});
+
+test('speaker names are parsed and replace the numbered labels', () => {
+    const names = parseSpeakerNames('{"Speaker 0": " Alice ", "1": "Bob", "2": ""}');
+    assert.deepEqual(names, { 0: 'Alice', 1: 'Bob' });
+    assert.equal(renameSpeakers('Speaker 0: Hi.\n\nSpeaker 1: Hello. Speaker 10 left.', names), 'Alice: Hi.\n\nBob: Hello. Speaker 10 left.');
+    assert.throws(() => parseSpeakerNames({ host: 'Alice' }), /Invalid speaker key 'host'/);
+    assert.throws(() => parseSpeakerNames('["Alice"]'), /must be an object/);
+});
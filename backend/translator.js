@@ -0,0 +1,138 @@
+import { formatSegments, renameSpeakers } from './speakers.js';
+import { isLanguageCode, languageName } from './glossaries.js';
+import { runPool } from './workerPool.js';
+
+// Translation of finished transcripts and summaries with Gemini. The transcript is translated unit by unit (its
+// segments, or its paragraphs when it has none) in numbered batches, and every translated unit keeps the start,
+// end and speaker of the original, so a translation lines up with the source in captions and exports.
+//   TRANSLATION_BATCH_CHARS    - source text sent per request (default 6000)
+//   TRANSLATION_CONCURRENCY    - batches translated in parallel (default 3)
+//   MAX_TARGET_LANGUAGES       - languages per request (default 5)
+const TRANSLATION_BATCH_CHARS = parseInt(process.env.TRANSLATION_BATCH_CHARS, 10) || 6000;
+const TRANSLATION_CONCURRENCY = parseInt(process.env.TRANSLATION_CONCURRENCY, 10) || 3;
+const MAX_TARGET_LANGUAGES = parseInt(process.env.MAX_TARGET_LANGUAGES, 10) || 5;
+
+// `targetLanguages` of a request: a list or a comma-separated string of language codes. Throws on invalid input.
+export const parseTargetLanguages = (value) => {
+    if (value === undefined || value === null || value === '') { return []; }
+    const languages = [...new Set((Array.isArray(value) ? value : String(value).split(',')).map(l => String(l).trim()).filter(Boolean))];
+    const invalid = languages.find(l => !isLanguageCode(l));
+    if (invalid) { throw new Error(`Invalid target language '${invalid}'. Use language codes such as 'de', 'fr' or 'pt-BR'.`); }
+    if (languages.length > MAX_TARGET_LANGUAGES) { throw new Error(`At most ${MAX_TARGET_LANGUAGES} target languages can be requested at once.`); }
+    return languages;
+};
+
+// The units to translate: segments, or "Speaker N:" paragraphs of the transcript when there are none
+const translationUnits = (job) => {
+    if ((job.segments ?? []).length > 0) { return job.segments.map(s => ({ ...s })); }
+    return (job.transcript ?? '').split(/\n\s*\n/).map(p => p.trim()).filter(Boolean).map(p => {
+        const match = /^Speaker (\d+):\s*/.exec(p);
+        return { start: null, end: null, speaker: match ? Number(match[1]) : null, text: match ? p.slice(match[0].length) : p };
+    });
+};
+
+// Group unit indexes into batches of about TRANSLATION_BATCH_CHARS; missing-chunk placeholders and empty units
+// are not sent
+const packBatches = (units) => {
+    const batches = [];
+    let current = null;
+    units.forEach((unit, index) => {
+        if (unit.missing || !unit.text?.trim()) { return; }
+        if (!current || (current.chars > 0 && current.chars + unit.text.length > TRANSLATION_BATCH_CHARS)) {
+            current = { indexes: [], chars: 0 };
+            batches.push(current);
+        }
+        current.indexes.push(index);
+        current.chars += unit.text.length;
+    });
+    return batches;
+};
+
+const sourceLanguageOf = (job) => {
+    const code = job.options?.language && job.options.language !== 'auto' ? job.options.language : job.detectedLanguage;
+    return code ? languageName(code) : 'its original language';
+};
+
+const buildBatchPrompt = (lines, source, target) => [
+    `Translate the numbered transcript lines below from ${source} into ${target}.`,
+    'Reply with a JSON array holding one object per line, {"id": <id>, "text": "<translation>"}, with the same ids in the same order.',
+    'Translate every line on its own: do not merge, split or skip lines, keep names, numbers, [HH:MM:SS] timestamps and bracketed placeholders such as [PHONE] as they are, and add no comments.',
+    '',
+    JSON.stringify(lines),
+].join('\n');
+
+// Translated text by id from a batch response; ids the model left out are missing from the map
+const parseBatchResponse = (text) => {
+    const translated = new Map();
+    let parsed;
+    try {
+        parsed = JSON.parse(text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, ''));
+    } catch {
+        return translated;
+    }
+    (Array.isArray(parsed) ? parsed : []).forEach(item => {
+        if (Number.isInteger(item?.id) && typeof item.text === 'string') { translated.set(item.id, item.text.trim()); }
+    });
+    return translated;
+};
+
+// Translate a finished job into one language.
+//   generate(prompt, generationConfig) - resolves with the model's response text (retries are up to the caller)
+//   emit(type, data)                   - progress: 'translation_progress' per batch and 'partial_translation' in order
+// Resolves with { segments, transcript, summary }, or null if shouldStop() turned true along the way.
+export const translateJob = async (job, language, { generate, emit = () => {}, shouldStop = () => false }) => {
+    const target = languageName(language);
+    const source = sourceLanguageOf(job);
+    const speakerNames = job.options?.speakerNames ?? {};
+    const units = translationUnits(job);
+    const batches = packBatches(units);
+    const translated = units.map(unit => ({ ...unit }));
+
+    const translateLines = async (indexes) => {
+        const lines = indexes.map(index => ({ id: index, text: units[index].text.trim() }));
+        return parseBatchResponse(await generate(buildBatchPrompt(lines, source, target), { responseMimeType: 'application/json' }));
+    };
+
+    // Batches finish in any order; partial translations are emitted in transcript order
+    const finished = new Array(batches.length);
+    let nextBatchToEmit = 0;
+    let batchesDone = 0;
+    const emitReadyBatches = () => {
+        while (nextBatchToEmit < batches.length && finished[nextBatchToEmit]) {
+            const segments = batches[nextBatchToEmit].indexes.map(index => translated[index]);
+            emit('partial_translation', { language, batch: nextBatchToEmit + 1, total: batches.length, transcript: renameSpeakers(formatSegments(segments), speakerNames) });
+            nextBatchToEmit++;
+        }
+    };
+
+    emit('status', { message: `Translating the transcript into ${target} (${batches.length} part${batches.length === 1 ? '' : 's'})...` });
+    const results = await runPool(batches, TRANSLATION_CONCURRENCY, async (batch, batchIndex) => {
+        const texts = await translateLines(batch.indexes);
+        // Lines the model dropped get a second request of their own
+        const leftOut = batch.indexes.filter(index => !texts.has(index));
+        if (leftOut.length > 0) { (await translateLines(leftOut)).forEach((text, index) => texts.set(index, text)); }
+        const stillMissing = batch.indexes.filter(index => !texts.has(index));
+        if (stillMissing.length > 0) { throw new Error(`The translation left out ${stillMissing.length} line(s) of part ${batchIndex + 1}.`); }
+        batch.indexes.forEach(index => { translated[index].text = texts.get(index); });
+        finished[batchIndex] = true;
+        batchesDone++;
+        emit('translation_progress', { language, completed: batchesDone, total: batches.length });
+        emitReadyBatches();
+    }, { shouldStop });
+    if (shouldStop()) { return null; }
+    const failed = results.find(result => result?.error);
+    if (failed) { throw failed.error; }
+
+    let summary = null;
+    if (job.summary?.trim()) {
+        emit('status', { message: `Translating the summary into ${target}...` });
+        summary = (await generate([
+            `Translate this summary of a transcript into ${target}.`,
+            'Keep the Markdown formatting, names, numbers and every [HH:MM:SS] timestamp exactly as they are, and reply with the translation only.',
+            '',
+            job.summary,
+        ].join('\n'))).trim();
+        if (shouldStop()) { return null; }
+    }
+    return { segments: translated, transcript: renameSpeakers(formatSegments(translated), speakerNames), summary };
+};
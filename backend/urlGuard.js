@@ -0,0 +1,75 @@
+import dns from 'dns/promises';
+import net from 'net';
+
+// Outbound requests to addresses chosen by API clients (source URLs, podcast feeds and their enclosures, webhook
+// callbacks) must not reach the server's own network: loopback, private, link-local (including cloud metadata at
+// 169.254.169.254), carrier-grade NAT, multicast and reserved ranges are refused. Host names are resolved and every
+// address they resolve to is checked, and redirects are followed by hand so each hop is checked too.
+//   OUTBOUND_ALLOWED_HOSTS - comma-separated host names that may be private anyway (e.g. an internal webhook receiver)
+
+const OUTBOUND_ALLOWED_HOSTS = new Set((process.env.OUTBOUND_ALLOWED_HOSTS || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean));
+const MAX_REDIRECTS = 5;
+
+const blockedRanges = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24],
+    ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => blockedRanges.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => blockedRanges.addSubnet(address, prefix, 'ipv6'));
+
+// Whether an IP address is outside the public internet (IPv4-mapped IPv6 addresses are checked as IPv4)
+export const isPrivateAddress = (address) => {
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) { return isPrivateAddress(mapped[1]); }
+    const family = net.isIP(address);
+    if (family === 0) { return true; }
+    return blockedRanges.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+const hostOf = (url) => url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+const isAllowedHost = (host) => OUTBOUND_ALLOWED_HOSTS.has(host);
+
+// Checks that need no DNS lookup: literal private addresses and localhost names. Throws a readable error.
+export const checkUrlHost = (value, label = 'URL') => {
+    const url = new URL(value);
+    const host = hostOf(url);
+    if (isAllowedHost(host)) { return; }
+    if (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && isPrivateAddress(host))) {
+        throw new Error(`${label} must not point to a local or private network address.`);
+    }
+};
+
+// Resolve the URL's host and make sure none of its addresses is private. Throws a readable error.
+export const assertPublicUrl = async (value, label = 'URL') => {
+    checkUrlHost(value, label);
+    const host = hostOf(new URL(value));
+    if (isAllowedHost(host) || net.isIP(host)) { return; }
+    let addresses;
+    try {
+        addresses = await dns.lookup(host, { all: true, verbatim: true });
+    } catch (err) {
+        throw new Error(`${label} host ${host} could not be resolved (${err.code ?? err.message}).`);
+    }
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+        throw new Error(`${label} must not point to a local or private network address.`);
+    }
+};
+
+// fetch that checks the address of the URL and of every redirect before connecting
+export const fetchPublic = async (value, init = {}, label = 'URL') => {
+    let url = value;
+    for (let hop = 0; ; hop++) {
+        await assertPublicUrl(url, label);
+        const response = await fetch(url, { ...init, redirect: 'manual' });
+        const location = response.headers.get('location');
+        if (response.status < 300 || response.status >= 400 || !location) { return response; }
+        await response.body?.cancel();
+        if (hop >= MAX_REDIRECTS) { throw new Error(`${new URL(url).host} redirected more than ${MAX_REDIRECTS} times.`); }
+        url = new URL(location, url).href;
+        if (!['http:', 'https:'].includes(new URL(url).protocol)) { throw new Error(`${label} redirected to an unsupported address.`); }
+    }
+};
@@ -0,0 +1,194 @@
+import fs from 'fs';
+import path from 'path';
+import { dataDir, getJob, updateJob } from './jobStore.js';
+import { readJsonLines } from './jsonFile.js';
+
+// Usage metering, cost estimates and monthly budgets.
+// Every job keeps `usage`: billed audio seconds (Deepgram, whisper.cpp) and Gemini input/output tokens, per model
+// and in total, with the cost at the prices below. Prices are USD and can be overridden with PRICING (JSON), e.g.
+//   PRICING={"nova-3": {"perAudioMinute": 0.0043}, "gemini": {"perMillionInputTokens": 1.25, "perMillionOutputTokens": 10}}
+// `gemini` applies to every gemini-* model without its own entry, `default` to any other model.
+//   MONTHLY_BUDGET_USD  - spend limit per calendar month (UTC) across all keys; 0 = none
+// Per-key budgets are set on the API key (monthlyBudget, see auth.js).
+// Budgets and reports come from an append-only ledger, DATA_DIR/usage/YYYY-MM.jsonl with one line per billed request
+// ({ at, jobId, ownerId, model, units, cost }), so deleting a job does not take its spend with it.
+
+const DEFAULT_PRICING = {
+    'nova-3': { perAudioMinute: 0.0043 },
+    'nova-2': { perAudioMinute: 0.0043 },
+    'whisper-cpp': { perAudioMinute: 0 },
+    gemini: { perMillionInputTokens: 1.25, perMillionOutputTokens: 10 },
+    default: { perAudioMinute: 0.0043 },
+};
+
+let pricingOverrides = {};
+try {
+    pricingOverrides = JSON.parse(process.env.PRICING || '{}');
+} catch (err) {
+    console.error('Ignoring invalid PRICING JSON:', err.message);
+}
+const PRICING = { ...DEFAULT_PRICING, ...pricingOverrides };
+
+const MONTHLY_BUDGET_USD = parseFloat(process.env.MONTHLY_BUDGET_USD) || 0;
+
+// Gemini bills audio at 32 tokens per second; speech transcribes to roughly 4 text tokens per second
+const GEMINI_AUDIO_TOKENS_PER_SECOND = 32;
+const TRANSCRIPT_TOKENS_PER_SECOND = 4;
+const PROMPT_TOKENS = 300;
+const SUMMARY_OUTPUT_TOKENS = 1000;
+const CHARS_PER_TOKEN = 4;
+
+const UNIT_FIELDS = ['billedAudioSeconds', 'inputTokens', 'outputTokens'];
+
+export const pricingFor = (model) => PRICING[model] ?? (model?.startsWith('gemini') ? PRICING.gemini : PRICING.default);
+
+const roundCost = (cost) => Math.round(cost * 1e6) / 1e6;
+
+export const costOf = (model, { billedAudioSeconds = 0, inputTokens = 0, outputTokens = 0 }) => {
+    const { perAudioMinute = 0, perMillionInputTokens = 0, perMillionOutputTokens = 0 } = pricingFor(model);
+    return roundCost((billedAudioSeconds / 60) * perAudioMinute + (inputTokens / 1e6) * perMillionInputTokens + (outputTokens / 1e6) * perMillionOutputTokens);
+};
+
+const emptyTotals = () => ({ billedAudioSeconds: 0, inputTokens: 0, outputTokens: 0, requests: 0, cost: 0 });
+
+const emptyUsage = () => ({ ...emptyTotals(), byModel: {} });
+
+const addTotals = (target, source) => {
+    UNIT_FIELDS.forEach(field => { target[field] += source[field] ?? 0; });
+    target.requests += source.requests ?? 0;
+    target.cost = roundCost(target.cost + (source.cost ?? 0));
+    return target;
+};
+
+const usageDir = path.join(dataDir, 'usage');
+if (!fs.existsSync(usageDir)) { fs.mkdirSync(usageDir, { recursive: true }); }
+const ledgerPath = (month) => path.join(usageDir, `${month}.jsonl`);
+
+// Ledger entries by month, read from disk the first time a month is needed
+const ledgers = new Map();
+const readLedger = (month) => {
+    if (!ledgers.has(month)) {
+        let entries = [];
+        try {
+            entries = readJsonLines(ledgerPath(month));
+        } catch (err) {
+            console.error(`Could not read usage ledger ${ledgerPath(month)}:`, err.message);
+        }
+        ledgers.set(month, entries);
+    }
+    return ledgers.get(month);
+};
+
+const appendLedger = (entry) => {
+    const month = entry.at.slice(0, 7);
+    readLedger(month).push(entry);
+    fs.appendFileSync(ledgerPath(month), `${JSON.stringify(entry)}\n`);
+};
+
+// Record one billed request against a job, in the job's usage and in the ledger. A job deleted while its request
+// was in flight is still billed, so the request goes into the ledger without an owner.
+export const recordUsage = (jobId, model, units = {}) => {
+    const job = getJob(jobId);
+    const requestUnits = Object.fromEntries(UNIT_FIELDS.map(field => [field, units[field] ?? 0]));
+    appendLedger({ at: new Date().toISOString(), jobId, ownerId: job?.ownerId ?? null, model, units: requestUnits, requests: 1, cost: costOf(model, requestUnits) });
+    if (!job) { return; }
+    const usage = job.usage ?? emptyUsage();
+    const entry = usage.byModel[model] ?? emptyTotals();
+    UNIT_FIELDS.forEach(field => { entry[field] += units[field] ?? 0; });
+    entry.requests++;
+    entry.cost = costOf(model, entry);
+    usage.byModel[model] = entry;
+    Object.assign(usage, Object.values(usage.byModel).reduce(addTotals, emptyTotals()));
+    updateJob(jobId, { usage });
+};
+
+// Summary cost for a transcript of the given size (longer ones add a section-summary pass, see summarizer.js)
+export const estimateSummaryCost = (model, transcriptTokens) => {
+    const inputTokens = transcriptTokens + PROMPT_TOKENS;
+    const outputTokens = SUMMARY_OUTPUT_TOKENS + Math.round(transcriptTokens / 10);
+    return { item: 'summary', model, inputTokens, outputTokens, cost: costOf(model, { inputTokens, outputTokens }) };
+};
+
+export const estimateTranscriptTokens = (text) => Math.ceil((text?.length ?? 0) / CHARS_PER_TOKEN);
+
+// Pre-flight estimate for a transcription job. tokenBilled: the provider bills Gemini tokens instead of audio minutes.
+export const estimateJobCost = ({ model, durationSeconds, tokenBilled = false, summaryModel = null }) => {
+    const items = [];
+    const transcriptTokens = Math.round(durationSeconds * TRANSCRIPT_TOKENS_PER_SECOND);
+    if (tokenBilled) {
+        const inputTokens = Math.round(durationSeconds * GEMINI_AUDIO_TOKENS_PER_SECOND) + PROMPT_TOKENS;
+        items.push({ item: 'transcription', model, inputTokens, outputTokens: transcriptTokens, cost: costOf(model, { inputTokens, outputTokens: transcriptTokens }) });
+    } else {
+        items.push({ item: 'transcription', model, billedAudioSeconds: durationSeconds, cost: costOf(model, { billedAudioSeconds: durationSeconds }) });
+    }
+    if (summaryModel) { items.push(estimateSummaryCost(summaryModel, transcriptTokens)); }
+    return { model, durationSeconds, items, estimatedCost: roundCost(items.reduce((sum, item) => sum + item.cost, 0)), currency: 'USD' };
+};
+
+// Sub-dollar amounts keep four decimals so small jobs do not show as $0.00
+const formatUsd = (amount) => `$${amount.toFixed(amount < 1 ? 4 : 2)}`;
+
+const currentMonth = () => new Date().toISOString().slice(0, 7);
+
+// Spend recorded this calendar month (UTC), for one owner or (without ownerId) for everyone
+export const monthToDateSpend = (ownerId = undefined) => roundCost(readLedger(currentMonth())
+    .filter(entry => ownerId === undefined || entry.ownerId === ownerId)
+    .reduce((sum, entry) => sum + entry.cost, 0));
+
+export const budgetsApply = (principal) => Boolean(MONTHLY_BUDGET_USD || principal?.monthlyBudget);
+
+// Month-to-date spend against the key's and the server's budgets, and whether `estimatedCost` more would exceed one
+export const budgetStatus = (principal, estimatedCost = 0) => {
+    const budgets = [];
+    if (principal?.monthlyBudget) { budgets.push({ scope: 'key', budget: principal.monthlyBudget, spent: monthToDateSpend(principal.id) }); }
+    if (MONTHLY_BUDGET_USD) { budgets.push({ scope: 'server', budget: MONTHLY_BUDGET_USD, spent: monthToDateSpend() }); }
+    const exceeded = budgets.find(b => b.spent + estimatedCost > b.budget) ?? null;
+    return {
+        month: currentMonth(),
+        budgets: budgets.map(b => ({ ...b, remaining: roundCost(Math.max(0, b.budget - b.spent)) })),
+        error: exceeded
+            ? `This job (estimated ${formatUsd(estimatedCost)}) would exceed the ${exceeded.scope === 'key' ? "API key's" : "server's"} monthly budget of ${formatUsd(exceeded.budget)} (${formatUsd(exceeded.spent)} spent this month).`
+            : null,
+    };
+};
+
+// Months (YYYY-MM) with a ledger file, oldest first
+const ledgerMonths = () => fs.readdirSync(usageDir).filter(f => /^\d{4}-\d{2}\.jsonl$/.test(f)).map(f => f.slice(0, 7)).sort();
+
+// Rows count the distinct jobs they include
+const addRow = (rows, key, entry) => {
+    const row = rows.get(key) ?? { key, jobIds: new Set(), ...emptyTotals() };
+    row.jobIds.add(entry.jobId);
+    addTotals(row, { ...entry.units, requests: entry.requests, cost: entry.cost });
+    rows.set(key, row);
+};
+
+// Aggregate the ledger by owner, model and day (YYYY-MM-DD, by request time, inclusive range), for one owner or
+// (without ownerId) for everyone
+export const usageReport = ({ ownerId = undefined, from = null, to = null } = {}) => {
+    const selected = ledgerMonths()
+        .filter(month => (!from || month >= from.slice(0, 7)) && (!to || month <= to.slice(0, 7)))
+        .flatMap(readLedger)
+        .filter(entry => (ownerId === undefined || entry.ownerId === ownerId) && (!from || entry.at.slice(0, 10) >= from) && (!to || entry.at.slice(0, 10) <= to));
+    const byUser = new Map();
+    const byModel = new Map();
+    const byDay = new Map();
+    const totals = new Map();
+    selected.forEach(entry => {
+        addRow(totals, 'all', entry);
+        addRow(byUser, entry.ownerId ?? 'unknown', entry);
+        addRow(byDay, entry.at.slice(0, 10), entry);
+        addRow(byModel, entry.model, entry);
+    });
+    const toRow = ({ key, jobIds, ...row }) => ({ jobs: jobIds.size, ...row });
+    const rows = (map, field) => [...map.values()].map(row => ({ [field]: row.key, ...toRow(row) }));
+    return {
+        from,
+        to,
+        currency: 'USD',
+        totals: totals.has('all') ? toRow(totals.get('all')) : { jobs: 0, ...emptyTotals() },
+        byUser: rows(byUser, 'ownerId'),
+        byModel: rows(byModel, 'model'),
+        byDay: rows(byDay, 'day').sort((a, b) => a.day.localeCompare(b.day)),
+    };
+};
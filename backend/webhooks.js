@@ -0,0 +1,163 @@
+import crypto from 'crypto';
+import { getJob, updateJob, listJobs, toJobSummary } from './jobStore.js';
+import { backoffDelay } from './retry.js';
+import { assertPublicUrl, checkUrlHost } from './urlGuard.js';
+
+// Webhook notifications. A job created with a `callbackUrl` option gets a signed POST when it finishes:
+// event `done` (completed), `error` (failed) or `cancelled`, with the result or links to it. Failed deliveries
+// are retried with backoff; every attempt is logged in `job.deliveries`
+// ([{ id, event, url, status, attempts: [{ at, statusCode, error, durationMs }], createdAt, nextAttemptAt, deliveredAt }]).
+//   WEBHOOK_SECRET               - master signing secret; callbackUrl is rejected unless it is set
+//   PUBLIC_BASE_URL              - base of the links in payloads (default http://localhost:PORT)
+//   WEBHOOK_MAX_ATTEMPTS         - attempts per delivery (default 6)
+//   WEBHOOK_RETRY_BASE_DELAY_MS  - base backoff delay between attempts (default 5000, capped at 10 minutes)
+//   WEBHOOK_TIMEOUT_MS           - how long one attempt may take (default 10000)
+//   WEBHOOK_INLINE_MAX_CHARS     - longer transcripts are only linked, not sent (default 100000)
+//
+// Each API key signs with its own secret, derived from WEBHOOK_SECRET (GET /webhooks/secret). The signature is
+// `X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<X-Webhook-Timestamp>.<body>">`.
+// Callback URLs may not point into the server's own network (see urlGuard.js): they are checked when a job is
+// created and again before every attempt, since a host name can be pointed elsewhere in between.
+
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || null;
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, '');
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+const WEBHOOK_RETRY_BASE_DELAY_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY_MS, 10) || 5000;
+const WEBHOOK_RETRY_MAX_DELAY_MS = 10 * 60 * 1000;
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+const WEBHOOK_INLINE_MAX_CHARS = parseInt(process.env.WEBHOOK_INLINE_MAX_CHARS, 10) || 100000;
+
+const EVENTS_BY_STATUS = { completed: 'done', failed: 'error', cancelled: 'cancelled' };
+
+// The signing secret of one API key (or 'admin'); null when webhooks are not configured
+export const webhookSecret = (ownerId) => (WEBHOOK_SECRET
+    ? crypto.createHmac('sha256', WEBHOOK_SECRET).update(`webhook:${ownerId ?? ''}`).digest('hex')
+    : null);
+
+export const signPayload = (secret, timestamp, body) => `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// Validate a request's callbackUrl; null when none was given. Throws with the message for a 400 response.
+export const parseCallbackUrl = (value) => {
+    if (value === undefined || value === null || value === '') { return null; }
+    if (!WEBHOOK_SECRET) { throw new Error('Webhooks are disabled on this server (WEBHOOK_SECRET is not set).'); }
+    let url;
+    try {
+        url = new URL(String(value));
+    } catch {
+        throw new Error('callbackUrl must be an http(s):// address.');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) { throw new Error('callbackUrl must be an http(s):// address.'); }
+    checkUrlHost(url.href, 'callbackUrl');
+    return url.href;
+};
+
+// Resolve a parsed callbackUrl's host and refuse private addresses; the async part of the validation
+export const verifyCallbackUrl = async (url) => {
+    if (url) { await assertPublicUrl(url, 'callbackUrl'); }
+};
+
+const buildPayload = (job, delivery) => {
+    const jobUrl = `${PUBLIC_BASE_URL}/jobs/${job.id}`;
+    const inline = delivery.event === 'done' && job.transcript.length <= WEBHOOK_INLINE_MAX_CHARS;
+    return {
+        id: delivery.id,
+        event: delivery.event,
+        createdAt: delivery.createdAt,
+        job: toJobSummary(job),
+        error: delivery.event === 'error' ? (job.errors[job.errors.length - 1]?.message ?? null) : null,
+        result: inline
+            ? { duration: job.duration, transcript: job.transcript, summary: job.summary, summaryData: job.summaryData, summaryReferences: job.summaryReferences }
+            : null,
+        links: {
+            job: jobUrl,
+            download: delivery.event === 'done' ? `${jobUrl}/download?format=${job.options?.outputFormat ?? 'txt'}` : null,
+        },
+    };
+};
+
+const saveDelivery = (jobId, delivery) => {
+    const job = getJob(jobId);
+    if (!job) { return; }
+    updateJob(jobId, { deliveries: (job.deliveries ?? []).map(d => (d.id === delivery.id ? delivery : d)) });
+};
+
+// Network errors, timeouts, 408, 429 and 5xx are worth another attempt; other answers are final
+const isRetryable = (statusCode) => statusCode === null || statusCode === 408 || statusCode === 429 || statusCode >= 500;
+
+// POST one delivery. The body is built once, so every attempt sends the same payload. The log is only kept while
+// the job exists; a job deleted right after being cancelled still gets its one notification attempt.
+const attemptDelivery = async (jobId, ownerId, delivery, body) => {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    let statusCode = null;
+    let error = null;
+    let blocked = false;
+    try {
+        try {
+            await assertPublicUrl(delivery.url, 'callbackUrl');
+        } catch (err) {
+            blocked = true;
+            throw err;
+        }
+        const response = await fetch(delivery.url, {
+            method: 'POST',
+            headers: {
+                'content-type': 'application/json',
+                'user-agent': 'transcription-webhooks/1.0',
+                'x-webhook-id': delivery.id,
+                'x-webhook-event': delivery.event,
+                'x-webhook-timestamp': String(timestamp),
+                'x-webhook-signature': signPayload(webhookSecret(ownerId), timestamp, body),
+            },
+            body,
+            redirect: 'manual',
+            signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+        });
+        statusCode = response.status;
+        await response.body?.cancel();
+        if (statusCode < 200 || statusCode >= 300) { error = `Endpoint answered ${statusCode}.`; }
+    } catch (err) {
+        error = err.name === 'TimeoutError' ? `No answer within ${WEBHOOK_TIMEOUT_MS / 1000}s.` : (err.cause?.message ?? err.message);
+    }
+    const attempts = [...delivery.attempts, { at: new Date(startedAt).toISOString(), statusCode, error, durationMs: Date.now() - startedAt }];
+    const retry = error !== null && !blocked && attempts.length < WEBHOOK_MAX_ATTEMPTS && isRetryable(statusCode);
+    const delayMs = retry ? backoffDelay(attempts.length, WEBHOOK_RETRY_BASE_DELAY_MS, WEBHOOK_RETRY_MAX_DELAY_MS) : 0;
+    const updated = {
+        ...delivery,
+        attempts,
+        status: error === null ? 'delivered' : (retry ? 'pending' : 'failed'),
+        nextAttemptAt: retry ? new Date(Date.now() + delayMs).toISOString() : null,
+        deliveredAt: error === null ? new Date().toISOString() : null,
+    };
+    saveDelivery(jobId, updated);
+    if (error === null) {
+        console.log(`[${jobId}] Webhook ${delivery.event} delivered to ${delivery.url} (attempt ${attempts.length}).`);
+    } else {
+        console.warn(`[${jobId}] Webhook ${delivery.event} to ${delivery.url} failed (attempt ${attempts.length}/${WEBHOOK_MAX_ATTEMPTS}): ${error}${retry ? ` Retrying in ${(delayMs / 1000).toFixed(1)}s.` : ''}`);
+    }
+    if (retry) { setTimeout(() => attemptDelivery(jobId, ownerId, updated, body), delayMs).unref(); }
+};
+
+// onJobFinished listener: log a delivery for the job's callbackUrl and send it
+export const notifyJobFinished = (job) => {
+    const url = job.options?.callbackUrl;
+    const event = EVENTS_BY_STATUS[job.status];
+    if (!url || !event || !WEBHOOK_SECRET) { return; }
+    const now = new Date().toISOString();
+    const delivery = { id: crypto.randomUUID(), event, url, status: 'pending', attempts: [], createdAt: now, nextAttemptAt: now, deliveredAt: null };
+    updateJob(job.id, { deliveries: [...(job.deliveries ?? []), delivery] });
+    const body = JSON.stringify(buildPayload(job, delivery));
+    setImmediate(() => attemptDelivery(job.id, job.ownerId, delivery, body));
+};
+
+// After a restart, pick up deliveries that were still waiting for an attempt (their payload is rebuilt)
+export const resumeDeliveries = () => {
+    let resumed = 0;
+    listJobs().forEach(job => (job.deliveries ?? []).filter(d => d.status === 'pending').forEach(delivery => {
+        const delayMs = Math.max(0, Date.parse(delivery.nextAttemptAt ?? delivery.createdAt) - Date.now());
+        const body = JSON.stringify(buildPayload(job, delivery));
+        setTimeout(() => attemptDelivery(job.id, job.ownerId, delivery, body), delayMs).unref();
+        resumed++;
+    }));
+    if (resumed > 0) { console.log(`Resuming ${resumed} pending webhook deliver${resumed === 1 ? 'y' : 'ies'}.`); }
+};
@@ -0,0 +1,36 @@
+// Run worker(item, index) over items with at most `concurrency` calls in flight.
+// Resolves with results in input order once every item has settled; a worker that
+// throws does not stop the others, its slot holds { error } instead.
+export const runPool = async (items, concurrency, worker, { shouldStop = () => false } = {}) => {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const runWorker = async () => {
+        while (nextIndex < items.length && !shouldStop()) {
+            const index = nextIndex++;
+            try {
+                results[index] = { value: await worker(items[index], index) };
+            } catch (error) {
+                results[index] = { error };
+            }
+        }
+    };
+
+    const workerCount = Math.max(1, Math.min(concurrency || 1, items.length));
+    await Promise.all(Array.from({ length: workerCount }, runWorker));
+    return results;
+};
+
+// Seconds remaining, extrapolated from the average wall-clock time per completed item
+export const estimateRemainingSeconds = (startedAt, completed, total) => {
+    if (completed === 0) { return null; }
+    const elapsedSec = (Date.now() - startedAt) / 1000;
+    return Math.round((elapsedSec / completed) * (total - completed));
+};
+
+export const formatEta = (seconds) => {
+    if (seconds === null || seconds === undefined) { return 'estimating...'; }
+    const m = Math.floor(seconds / 60);
+    const s = seconds % 60;
+    return m > 0 ? `${m}m ${s}s` : `${s}s`;
+};